@@ -0,0 +1,217 @@
+// Trends chart rendering shared by the trends page and dashboards
+
+const trendDimensionLabels = {
+  n_gpu_layers: 'GPU Layers',
+  split_mode: 'Split',
+  main_gpu: 'Main GPU',
+  n_cpu_moe: 'CPU MoE',
+  tensor_split: 'TS',
+  tensor_buft_overrides: 'OT',
+  devices: 'Dev',
+  n_batch: 'Batch',
+  n_ubatch: 'uBatch',
+  n_ctx: 'Ctx',
+  n_prompt: 'Prompt',
+  n_gen: 'Gen',
+  n_depth: 'Depth',
+  flash_attn: 'FA',
+  cache_type_k: 'K$',
+  cache_type_v: 'V$',
+  embeddings: 'Emb',
+  no_kv_offload: 'NoKVO',
+  no_op_offload: 'NoOpO',
+  use_mmap: 'mmap',
+  n_threads: 'Threads',
+  backend: 'Backend',
+  cpu_mask: 'Mask',
+  cpu_strict: 'Strict',
+  poll: 'Poll',
+  host_id: 'Host',
+  gpu_model: 'GPU',
+  gpu_count: 'GPUs',
+  quantization: 'Quant',
+  model_family: 'Family'
+};
+
+const trendColors = [
+  'rgb(75, 192, 192)', 'rgb(54, 162, 235)', 'rgb(255, 99, 132)',
+  'rgb(255, 205, 86)', 'rgb(153, 102, 255)', 'rgb(255, 159, 64)',
+  'rgb(201, 203, 207)', 'rgb(83, 102, 255)', 'rgb(255, 99, 255)',
+  'rgb(99, 255, 132)', 'rgb(255, 128, 0)', 'rgb(128, 0, 255)',
+  'rgb(0, 255, 128)', 'rgb(255, 0, 128)', 'rgb(128, 255, 0)', 'rgb(0, 128, 255)'
+];
+
+// Sweep modes plot the metric against a test parameter; the swept part is
+// dropped from the test label so each sweep forms one series
+const trendSweepColumns = { depth: 'n_depth', prompt: 'n_prompt' };
+const trendSweepTitles = { depth: 'Context Depth', prompt: 'Prompt Tokens' };
+
+function formatTrendDate(dateStr) {
+  if (!dateStr) return 'N/A';
+  const d = new Date(dateStr);
+  return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' +
+         String(d.getDate()).padStart(2, '0') + ' ' + String(d.getHours()).padStart(2, '0') + ':' +
+         String(d.getMinutes()).padStart(2, '0');
+}
+
+function buildTrendTestName(d, xAxisMode) {
+  const label = d.test_label || d.test_type;
+  if (xAxisMode === 'depth') return label.replace(/ @ d\d+$/, '');
+  if (xAxisMode === 'prompt') return label.replace(/^pp\d+/, 'pp');
+  return label;
+}
+
+function buildTrendSeriesKey(d, xAxisMode, options, multipleBuilds) {
+  const parts = [d.model_filename || 'Unknown', buildTrendTestName(d, xAxisMode)];
+  options.groupByDimensions.forEach(dim => {
+    const value = d[dim];
+    if (value !== null && value !== undefined) {
+      const label = trendDimensionLabels[dim] || dim;
+      if (options.booleanDimensions.includes(dim)) {
+        parts.push(label + ':' + (value ? 'Y' : 'N'));
+      } else if (options.valueLabels[dim]) {
+        parts.push(label + ':' + (options.valueLabels[dim][value] || value));
+      } else {
+        parts.push(label + ':' + value);
+      }
+    }
+  });
+  if (trendSweepColumns[xAxisMode] && multipleBuilds) {
+    parts.push(d.build_commit ? d.build_commit.substring(0, 7) : 'N/A');
+  }
+  return parts.join(' | ');
+}
+
+function trendDataset(key, points, i, data) {
+  return {
+    label: key,
+    testType: points[0].test_type,
+    data: data,
+    borderColor: trendColors[i % trendColors.length],
+    backgroundColor: trendColors[i % trendColors.length].replace('rgb', 'rgba').replace(')', ', 0.1)'),
+    fill: false, tension: 0.1, spanGaps: true
+  };
+}
+
+// Draw trend data (getDimensionalTrends rows) on a canvas.
+// options: groupByDimensions, valueLabels (dimension -> value -> label),
+// booleanDimensions, xAxisMode ('build', 'date', 'depth' or 'prompt'), useLogScale
+// and metric (label, unit and aggregation of the charted value, average t/s when omitted).
+// Returns the Chart and the number of series drawn.
+function renderTrendsChart(canvas, rawData, options) {
+  const xAxisMode = options.xAxisMode || 'build';
+  const metric = options.metric || { label: 'Tokens/Second', unit: 't/s', aggregation: null };
+  const unitTitle = metric.unit + (metric.aggregation ? ', ' + metric.aggregation.toLowerCase() : '');
+  const multipleBuilds = new Set(rawData.map(d => d.build_commit)).size > 1;
+
+  // Prompt sizes only apply to tests that process a prompt
+  const chartData = xAxisMode === 'prompt' ? rawData.filter(d => d.n_prompt > 0) : rawData;
+  const seriesMap = {};
+  chartData.forEach(d => {
+    const key = buildTrendSeriesKey(d, xAxisMode, options, multipleBuilds);
+    if (!seriesMap[key]) seriesMap[key] = [];
+    seriesMap[key].push(d);
+  });
+  const series = Object.entries(seriesMap);
+
+  let labels, datasets, xAxisTitle;
+
+  if (trendSweepColumns[xAxisMode]) {
+    const column = trendSweepColumns[xAxisMode];
+    xAxisTitle = trendSweepTitles[xAxisMode];
+    datasets = series.map(([key, points], i) => trendDataset(key, points, i, points
+      .map(p => ({ x: p[column] || 0, y: p.value }))
+      .sort((a, b) => a.x - b.x)));
+  } else if (xAxisMode === 'date') {
+    const allDates = [...new Set(rawData.map(d => d.test_time))].sort();
+    labels = allDates.map(formatTrendDate);
+    xAxisTitle = 'Date';
+    datasets = series.map(([key, points], i) => {
+      const dateToValue = {};
+      points.forEach(p => { dateToValue[p.test_time] = p.value; });
+      return trendDataset(key, points, i, allDates.map(date => dateToValue[date] ?? null));
+    });
+  } else {
+    const allBuilds = [...new Set(rawData.map(d => d.build_commit))];
+    labels = allBuilds.map(b => b ? b.substring(0, 7) : 'N/A');
+    xAxisTitle = 'Build Commit';
+    datasets = series.map(([key, points], i) => {
+      const buildToValue = {};
+      points.forEach(p => { buildToValue[p.build_commit] = p.value; });
+      return trendDataset(key, points, i, allBuilds.map(build => buildToValue[build] ?? null));
+    });
+  }
+
+  const useLogScale = options.useLogScale;
+
+  // Determine which test types are present in datasets
+  // (pp+tg throughput is dominated by generation, so it shares the tg axis)
+  const hasPP = datasets.some(ds => ds.testType === 'pp');
+  const hasTG = datasets.some(ds => ds.testType !== 'pp');
+  const useDualAxis = hasPP && hasTG;
+
+  // Assign yAxisID to each dataset based on test type
+  datasets.forEach(ds => {
+    if (useDualAxis) {
+      ds.yAxisID = ds.testType === 'pp' ? 'y-pp' : 'y-tg';
+    } else {
+      ds.yAxisID = 'y';
+    }
+  });
+
+  // Build scales config (sweeps use a numeric x-axis)
+  const scales = {
+    x: labels
+      ? { title: { display: true, text: xAxisTitle } }
+      : { type: 'linear', title: { display: true, text: xAxisTitle } }
+  };
+
+  if (useDualAxis) {
+    scales['y-pp'] = {
+      type: useLogScale ? 'logarithmic' : 'linear',
+      position: 'left',
+      beginAtZero: false,
+      title: { display: true, text: 'Prompt Processing (' + unitTitle + ')' + (useLogScale ? ' (log)' : '') },
+      grid: { drawOnChartArea: true }
+    };
+    scales['y-tg'] = {
+      type: useLogScale ? 'logarithmic' : 'linear',
+      position: 'right',
+      beginAtZero: false,
+      title: { display: true, text: 'Token Generation (' + unitTitle + ')' + (useLogScale ? ' (log)' : '') },
+      grid: { drawOnChartArea: false }
+    };
+  } else {
+    scales.y = {
+      type: useLogScale ? 'logarithmic' : 'linear',
+      beginAtZero: false,
+      title: { display: true, text: (metric.aggregation ? metric.aggregation + ' ' : '') + metric.label + (useLogScale ? ' (log)' : '') }
+    };
+  }
+
+  const chart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: { labels: labels, datasets: datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        title: { display: true, text: options.title || (labels ? 'Performance Over ' + (xAxisTitle === 'Date' ? 'Time' : 'Builds') : 'Performance by ' + xAxisTitle) },
+        legend: { position: 'bottom', labels: { boxWidth: 12, font: { size: 10 } } },
+        tooltip: {
+          callbacks: {
+            label: function(context) {
+              let label = context.dataset.label || '';
+              if (label) label += ': ';
+              if (context.parsed.y !== null) label += context.parsed.y.toFixed(2) + ' ' + metric.unit;
+              return label;
+            }
+          }
+        }
+      },
+      scales: scales
+    }
+  });
+
+  return { chart: chart, seriesCount: series.length };
+}
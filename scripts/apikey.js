@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command-line management of API keys.
+ * Usage:
+ *   node scripts/apikey.js create <name> [scope,...]   (default scopes: read)
+ *   node scripts/apikey.js list
+ *   node scripts/apikey.js revoke <id>
+ * Uses the same DB_PATH as the server.
+ * @module scripts/apikey
+ */
+
+const db = require('../src/db');
+const queries = require('../src/db/queries');
+const { SCOPES, createApiKey } = require('../src/middleware/auth');
+
+/**
+ * Print usage and exit with an error code.
+ * @returns {never}
+ */
+function usage() {
+  console.error('Usage:');
+  console.error('  apikey create <name> [scope,...]   Scopes: ' + SCOPES.join(', ') + ' (default: read)');
+  console.error('  apikey list');
+  console.error('  apikey revoke <id>');
+  process.exit(1);
+}
+
+/**
+ * Run the requested command.
+ * @param {string[]} args - Command-line arguments after the script name
+ */
+function main(args) {
+  const [command, ...rest] = args;
+  db.initialize();
+
+  switch (command) {
+    case 'create': {
+      const [name, scopeList = 'read'] = rest;
+      if (!name) usage();
+      const { id, key } = createApiKey(name, scopeList.split(',').map(s => s.trim()));
+      console.log(`Created key #${id} (${name}): ${key}`);
+      console.log('Store it now, it cannot be shown again.');
+      break;
+    }
+    case 'list':
+      for (const k of queries.getApiKeys()) {
+        const status = k.revoked_at ? `revoked ${k.revoked_at}` : 'active';
+        console.log(`#${k.id}\t${k.key_prefix}…\t${k.name}\t${k.scopes}\t${status}\tlast used: ${k.last_used_at || 'never'}`);
+      }
+      break;
+    case 'revoke': {
+      const id = parseInt(rest[0], 10);
+      if (isNaN(id)) usage();
+      console.log(queries.revokeApiKey(id) ? `Revoked key #${id}` : `No active key #${id}`);
+      break;
+    }
+    default:
+      usage();
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command-line database backup and restore.
+ * Usage:
+ *   node scripts/backup.js create [file]     (default: timestamped file in BACKUP_DIR)
+ *   node scripts/backup.js list
+ *   node scripts/backup.js prune [keep]      (default: BACKUP_RETAIN)
+ *   node scripts/backup.js restore <file>    (merge a backup or export archive)
+ * Uses the same DB_PATH as the server and is safe to run while it is up.
+ * @module scripts/backup
+ */
+
+const db = require('../src/db');
+const { BACKUP_DIR, createBackup, listBackups, pruneBackups, mergeFile } = require('../src/db/backup');
+
+/**
+ * Print usage and exit with an error code.
+ * @returns {never}
+ */
+function usage() {
+  console.error('Usage:');
+  console.error('  backup create [file]     Write a consistent copy of the database (default dir: ' + BACKUP_DIR + ')');
+  console.error('  backup list');
+  console.error('  backup prune [keep]      Delete all but the newest backups');
+  console.error('  backup restore <file>    Merge a backup or export archive (.db, .json, .jsonl), skipping duplicates');
+  process.exit(1);
+}
+
+/**
+ * Run the requested command.
+ * @param {string[]} args - Command-line arguments after the script name
+ * @returns {Promise<void>}
+ */
+async function main(args) {
+  const [command, ...rest] = args;
+  db.initialize();
+
+  switch (command) {
+    case 'create': {
+      const backup = await createBackup(rest[0]);
+      console.log(`Backup written to ${backup.path} (${backup.size} bytes)`);
+      break;
+    }
+    case 'list':
+      for (const b of listBackups()) {
+        console.log(`${b.name}\t${b.size}\t${b.created_at}`);
+      }
+      break;
+    case 'prune': {
+      const keep = rest[0] === undefined ? undefined : parseInt(rest[0], 10);
+      if (keep !== undefined && isNaN(keep)) usage();
+      const pruned = pruneBackups(keep);
+      console.log(pruned.length > 0 ? `Deleted ${pruned.join(', ')}` : 'Nothing to prune');
+      break;
+    }
+    case 'restore': {
+      if (!rest[0]) usage();
+      const result = await mergeFile(rest[0]);
+      console.log(`Merged ${rest[0]}: ${result.inserted} inserted, ${result.skipped_duplicates} duplicates skipped, ` +
+        `${result.rejected} rejected, ${result.runs} run(s) created`);
+      break;
+    }
+    default:
+      usage();
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
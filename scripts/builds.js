@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command-line build metadata sync from a local llama.cpp checkout.
+ * Usage:
+ *   node scripts/builds.js sync               (read every build's commit from LLAMA_CPP_REPO)
+ *   node scripts/builds.js commits <from> <to> [limit]
+ * Uses the same DB_PATH as the server and is safe to run while it is up.
+ * @module scripts/builds
+ */
+
+const db = require('../src/db');
+const { LLAMA_CPP_REPO, LLAMA_CPP_REF, isConfigured, syncBuilds, getCommitsBetween } = require('../src/models/builds');
+
+/**
+ * Print usage and exit with an error code.
+ * @returns {never}
+ */
+function usage() {
+  console.error('Usage (requires LLAMA_CPP_REPO):');
+  console.error('  builds sync                        Store commit date, subject, author and order of every build');
+  console.error('  builds commits <from> <to> [limit] List the commits between two builds');
+  process.exit(1);
+}
+
+/**
+ * Run the requested command.
+ * @param {string[]} args - Command-line arguments after the script name
+ * @returns {Promise<void>}
+ */
+async function main(args) {
+  const [command, ...rest] = args;
+  if (!isConfigured()) usage();
+  db.initialize();
+
+  switch (command) {
+    case 'sync': {
+      const result = await syncBuilds();
+      console.log(`Synced ${result.synced} of ${result.builds} build(s) from ${LLAMA_CPP_REPO}, ` +
+        `${result.ordered} on ${LLAMA_CPP_REF}`);
+      if (result.unknown.length > 0) {
+        console.log(`Not found: ${result.unknown.join(', ')}`);
+      }
+      break;
+    }
+    case 'commits': {
+      if (!rest[0] || !rest[1]) usage();
+      const limit = rest[2] === undefined ? undefined : parseInt(rest[2], 10);
+      if (limit !== undefined && isNaN(limit)) usage();
+      const range = await getCommitsBetween(rest[0], rest[1], limit);
+      for (const c of range.commits) {
+        console.log(`${c.hash.substring(0, 7)}\t${c.date.substring(0, 10)}\t${c.benchmarked ? '*' : ' '}\t${c.subject}`);
+      }
+      console.log(`${range.commits.length}${range.truncated ? '+' : ''} commit(s) from ${range.from} to ${range.to}` +
+        (range.reversed ? ' (endpoints swapped)' : '') + '; * = benchmarked');
+      break;
+    }
+    default:
+      usage();
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
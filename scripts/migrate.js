@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command-line schema migration management.
+ * Usage:
+ *   node scripts/migrate.js status            List applied and pending migrations
+ *   node scripts/migrate.js up [--dry-run]    Apply pending migrations (the server also does this at startup)
+ * A dry run applies the pending migrations in a transaction and rolls it back.
+ * Uses the same DB_PATH as the server.
+ * @module scripts/migrate
+ */
+
+const { getDb } = require('../src/db');
+const { getStatus, migrate } = require('../src/db/migrator');
+
+/**
+ * Print usage and exit with an error code.
+ * @returns {never}
+ */
+function usage() {
+  console.error('Usage:');
+  console.error('  migrate status');
+  console.error('  migrate up [--dry-run]');
+  process.exit(1);
+}
+
+/**
+ * Run the requested command.
+ * @param {string[]} args - Command-line arguments after the script name
+ */
+function main(args) {
+  const [command, ...rest] = args;
+  const database = getDb();
+
+  switch (command) {
+    case 'status':
+      for (const m of getStatus(database)) {
+        const state = m.missing ? `applied ${m.applied_at} (file missing)` : m.applied_at ? `applied ${m.applied_at}` : 'pending';
+        console.log(`${m.name}\t${state}\t${m.description || ''}`);
+      }
+      break;
+    case 'up': {
+      const dryRun = rest.includes('--dry-run');
+      const applied = migrate(database, { dryRun });
+      if (applied.length === 0) {
+        console.log('No pending migrations');
+      } else {
+        console.log(dryRun
+          ? `Dry run: ${applied.length} migration(s) would be applied; all changes rolled back`
+          : `Applied ${applied.length} migration(s)`);
+      }
+      break;
+    }
+    default:
+      usage();
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -10,6 +10,11 @@ const path = require('path');
 const db = require('./src/db');
 const apiRoutes = require('./src/routes/api');
 const webRoutes = require('./src/routes/web');
+const adminRoutes = require('./src/routes/admin');
+const { authenticate, requireScope } = require('./src/middleware/auth');
+const { resumePendingDeliveries } = require('./src/notifications/webhooks');
+const { scheduleBackups } = require('./src/db/backup');
+const { scheduleBuildSync } = require('./src/models/builds');
 
 /** @type {express.Application} */
 const app = express();
@@ -24,9 +29,26 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
-// Routes - JSON parsing only for API routes
-app.use('/api', express.json({ limit: '10mb' }), express.text({ type: 'application/x-ndjson', limit: '10mb' }), apiRoutes);
-app.use('/', webRoutes);
+/**
+ * Content types read as raw text for the llama-bench output parsers.
+ * Requests without a Content-Type (or curl's form-encoded default) are read as
+ * text too, and their format is detected from the body.
+ * @param {express.Request} req - Express request object
+ * @returns {boolean} True if the body should be parsed as text
+ */
+function isTextSubmission(req) {
+  const contentType = req.headers['content-type'];
+  return !contentType || req.is('text/*', 'application/x-ndjson', 'application/jsonl',
+    'application/sql', 'application/x-www-form-urlencoded') !== false;
+}
+
+// Resolve API key (Bearer header or login cookie) for every route
+app.use(authenticate);
+
+// Routes - body parsing only for API routes
+app.use('/api', express.json({ limit: '10mb' }), express.text({ type: isTextSubmission, limit: '10mb' }), apiRoutes);
+app.use('/', adminRoutes);
+app.use('/', requireScope('read'), webRoutes);
 
 /**
  * Global error handler middleware.
@@ -42,6 +64,9 @@ app.use((err, req, res, next) => {
 
 // Initialize database and start server
 db.initialize();
+resumePendingDeliveries();
+scheduleBackups();
+scheduleBuildSync();
 
 app.listen(PORT, () => {
   console.log(`Llama Bench Reports running at http://localhost:${PORT}`);
@@ -0,0 +1,299 @@
+/**
+ * @fileoverview Bisect helper for a throughput change between two builds.
+ * Given a configuration (series) and its last good and first bad build, lists
+ * the builds in between that already have results, classifies each as good or
+ * bad (closer to the good or the bad build's t/s), narrows the range to the
+ * untested builds between the last good and the first bad result, and suggests
+ * the midpoint as the next build to benchmark.
+ * The range is the commit list from the llama.cpp checkout when one is
+ * configured (see models/builds), and otherwise the build numbers in between,
+ * which llama.cpp numbers consecutively on master (release tag b<number>).
+ * @module analysis/bisect
+ */
+
+const queries = require('../db/queries');
+const { isConfigured, getCommitsBetween } = require('../models/builds');
+
+/** @type {number} Maximum number of commits read from git for one range */
+const MAX_RANGE_COMMITS = 10000;
+
+/**
+ * @typedef {Object} SeriesBuild
+ * @property {string} build_commit - Build commit
+ * @property {number|null} build_number - Build number
+ * @property {number} avg_tps - Mean t/s of the build's results in the series
+ * @property {number} result_count - Number of results
+ * @property {number} latest_id - ID of the build's newest result
+ * @property {string|null} subject - Commit subject, if synced from git
+ * @property {number|null} topo_order - Position in the configured llama.cpp history
+ */
+
+/**
+ * @typedef {Object} RangePoint
+ * @property {number} position - Position in the range between the good and bad build (0 = oldest)
+ * @property {string|null} build_commit - Commit (abbreviated) when the range comes from git
+ * @property {number|null} build_number - Build number when the range comes from build numbers
+ * @property {string|null} subject - Commit subject, if known
+ */
+
+/**
+ * @typedef {Object} TimelineEntry
+ * @property {string} kind - 'build' for a build with results, 'gap' for untested builds
+ * @property {SeriesBuild} [build] - Build ('build' entries)
+ * @property {string} [verdict] - 'good' or 'bad' ('build' entries)
+ * @property {boolean} [inconsistent] - A good result after the first bad one ('build' entries)
+ * @property {number} [count] - Number of untested builds ('gap' entries)
+ * @property {RangePoint} [first] - Oldest untested build ('gap' entries)
+ * @property {RangePoint} [last] - Newest untested build ('gap' entries)
+ * @property {boolean} [contains_next] - Whether the suggested build is in this gap ('gap' entries)
+ */
+
+/**
+ * @typedef {Object} BisectResult
+ * @property {Object} series - Series key column values of the configuration
+ * @property {number} reference_id - ID of the result identifying the configuration
+ * @property {SeriesBuild[]} builds - Every build measured in the series, oldest first
+ * @property {SeriesBuild} good - Last known good build
+ * @property {SeriesBuild} bad - First known bad build
+ * @property {number|null} change_pct - Change of the bad build against the good one, in percent
+ * @property {string} mode - 'commits' (from git) or 'build_numbers'
+ * @property {string|null} note - Why the range falls back to build numbers, if it does
+ * @property {number} range_size - Builds strictly between the good and bad build
+ * @property {SeriesBuild} last_good - Newest build classified good
+ * @property {SeriesBuild} first_bad - Oldest build classified bad
+ * @property {number} untested - Untested builds between last_good and first_bad
+ * @property {number} remaining_steps - Benchmarks needed to find the first bad build
+ * @property {RangePoint|null} next - Suggested next build, or null when bisected
+ * @property {TimelineEntry[]} timeline - Good build, tested builds and gaps, and bad build, in order
+ */
+
+/**
+ * Create an error for bisect input that cannot be used.
+ * @param {string} message - Error message
+ * @returns {Error} Error with code 'INVALID_BISECT'
+ */
+function invalidBisect(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_BISECT';
+  return error;
+}
+
+/**
+ * Order a series' builds oldest to newest: by commit topology when every build
+ * is on the configured llama.cpp history, else by build number when every build
+ * has one, else by test time (the order they are given in).
+ * @param {SeriesBuild[]} builds - Builds, oldest first by test time
+ * @returns {SeriesBuild[]} Ordered builds
+ */
+function orderBuilds(builds) {
+  if (builds.every(b => b.topo_order !== null)) {
+    return [...builds].sort((a, b) => a.topo_order - b.topo_order);
+  }
+  if (builds.every(b => b.build_number !== null)) {
+    return [...builds].sort((a, b) => a.build_number - b.build_number);
+  }
+  return builds;
+}
+
+/**
+ * Find a series build by commit, accepting abbreviated hashes either way.
+ * @param {SeriesBuild[]} builds - Series builds
+ * @param {string} commit - Requested commit
+ * @returns {SeriesBuild|undefined} Build
+ */
+function findBuild(builds, commit) {
+  const wanted = String(commit).trim().toLowerCase();
+  return builds.find(b => b.build_commit.toLowerCase() === wanted) ||
+    builds.find(b => wanted.length >= 4 && (b.build_commit.toLowerCase().startsWith(wanted) || wanted.startsWith(b.build_commit.toLowerCase())));
+}
+
+/**
+ * Whether a full commit hash is the commit of a build.
+ * @param {string} hash - Full commit hash
+ * @param {SeriesBuild} build - Build
+ * @returns {boolean} True if they match
+ */
+function isBuildCommit(hash, build) {
+  return build.commit_hash ? build.commit_hash === hash : hash.startsWith(build.build_commit.toLowerCase());
+}
+
+/**
+ * Read the range between the good and bad build as a list of commits from git.
+ * @param {SeriesBuild} good - Good build
+ * @param {SeriesBuild} bad - Bad build
+ * @returns {Promise<{size: number, describe: Function, positionOf: Function}|{note: string}>}
+ *   The range, or a note why it is not available
+ */
+async function readCommitRange(good, bad) {
+  let range;
+  try {
+    range = await getCommitsBetween(good.build_commit, bad.build_commit, MAX_RANGE_COMMITS);
+  } catch (error) {
+    return { note: error.message };
+  }
+  if (range.reversed) {
+    throw invalidBisect('The good build must be older than the bad build');
+  }
+  if (range.truncated) {
+    return { note: `More than ${MAX_RANGE_COMMITS} commits between the builds` };
+  }
+  // Oldest first, without the bad build itself
+  const commits = range.commits.filter(c => !isBuildCommit(c.hash, bad)).reverse();
+  return {
+    size: commits.length,
+    describe: position => ({
+      position,
+      build_commit: commits[position].hash.substring(0, 7),
+      build_number: null,
+      subject: commits[position].subject
+    }),
+    positionOf: build => commits.findIndex(c => isBuildCommit(c.hash, build))
+  };
+}
+
+/**
+ * Read the range between the good and bad build as consecutive build numbers.
+ * @param {SeriesBuild} good - Good build
+ * @param {SeriesBuild} bad - Bad build
+ * @returns {{size: number, describe: Function, positionOf: Function}} The range
+ */
+function buildNumberRange(good, bad) {
+  if (good.build_number === null || bad.build_number === null) {
+    throw invalidBisect('Both builds need a build number, or configure LLAMA_CPP_REPO to bisect by commit');
+  }
+  if (good.build_number >= bad.build_number) {
+    throw invalidBisect('The good build must have a lower build number than the bad build');
+  }
+  return {
+    size: bad.build_number - good.build_number - 1,
+    describe: position => ({ position, build_commit: null, build_number: good.build_number + 1 + position, subject: null }),
+    positionOf: build => build.build_number !== null && build.build_number > good.build_number && build.build_number < bad.build_number
+      ? build.build_number - good.build_number - 1
+      : -1
+  };
+}
+
+/**
+ * Bisect a throughput change in one configuration.
+ * @param {Object} options - Bisect options
+ * @param {number} options.id - ID of a result of the configuration
+ * @param {string} [options.good] - Last good build commit (default: the build before `bad`)
+ * @param {string} [options.bad] - First bad build commit (default: the build of result `id`)
+ * @returns {Promise<BisectResult|null>} Bisect state, or null if the result does not exist
+ * @throws {Error} With code 'INVALID_BISECT' when the builds cannot be bisected
+ */
+async function bisect({ id, good, bad }) {
+  const reference = queries.getBenchmark(id);
+  if (!reference) {
+    return null;
+  }
+  const builds = orderBuilds(queries.getSeriesBuilds(reference));
+
+  const badBuild = findBuild(builds, bad || reference.build_commit);
+  if (!badBuild) {
+    throw invalidBisect(`Build ${bad} has no results for this configuration`);
+  }
+  let goodBuild;
+  if (good) {
+    goodBuild = findBuild(builds, good);
+    if (!goodBuild) {
+      throw invalidBisect(`Build ${good} has no results for this configuration`);
+    }
+  } else {
+    goodBuild = builds[builds.indexOf(badBuild) - 1];
+    if (!goodBuild) {
+      throw invalidBisect('No build before the bad build has results for this configuration; choose the good build');
+    }
+  }
+  if (goodBuild === badBuild) {
+    throw invalidBisect('The good and bad build are the same');
+  }
+
+  let mode = 'build_numbers';
+  let note = null;
+  let range = null;
+  if (isConfigured()) {
+    const commitRange = await readCommitRange(goodBuild, badBuild);
+    if (commitRange.note) {
+      note = commitRange.note;
+    } else {
+      range = commitRange;
+      mode = 'commits';
+    }
+  }
+  if (!range) {
+    range = buildNumberRange(goodBuild, badBuild);
+  }
+
+  // Tested builds in the range, classified by whether they are closer to the good or the bad t/s
+  const tested = builds
+    .filter(b => b !== goodBuild && b !== badBuild)
+    .map(build => ({ build, position: range.positionOf(build) }))
+    .filter(t => t.position >= 0)
+    .sort((a, b) => a.position - b.position)
+    .map(t => ({
+      ...t,
+      verdict: Math.abs(t.build.avg_tps - goodBuild.avg_tps) <= Math.abs(t.build.avg_tps - badBuild.avg_tps) ? 'good' : 'bad'
+    }));
+
+  const firstBadIndex = tested.findIndex(t => t.verdict === 'bad');
+  const firstBad = firstBadIndex === -1 ? range.size : tested[firstBadIndex].position;
+  const goodBefore = tested.filter(t => t.verdict === 'good' && t.position < firstBad);
+  const lastGood = goodBefore.length > 0 ? goodBefore[goodBefore.length - 1].position : -1;
+  const untested = firstBad - lastGood - 1;
+  const next = untested > 0 ? range.describe(Math.floor((lastGood + firstBad) / 2)) : null;
+
+  // Good build, tested builds with the untested gaps between them, bad build
+  const timeline = [{ kind: 'build', build: goodBuild, verdict: 'good', inconsistent: false }];
+  let previous = -1;
+  const addGap = before => {
+    if (before - previous > 1) {
+      timeline.push({
+        kind: 'gap',
+        count: before - previous - 1,
+        first: range.describe(previous + 1),
+        last: range.describe(before - 1),
+        contains_next: next !== null && next.position > previous && next.position < before
+      });
+    }
+  };
+  tested.forEach(t => {
+    addGap(t.position);
+    timeline.push({
+      kind: 'build',
+      build: t.build,
+      verdict: t.verdict,
+      inconsistent: t.verdict === 'good' && t.position > firstBad
+    });
+    previous = t.position;
+  });
+  addGap(range.size);
+  timeline.push({ kind: 'build', build: badBuild, verdict: 'bad', inconsistent: false });
+
+  const byPosition = position => tested.find(t => t.position === position);
+  const series = {};
+  queries.SERIES_KEY_COLUMNS.forEach(col => { series[col] = reference[col]; });
+
+  return {
+    series,
+    reference_id: reference.id,
+    builds,
+    good: goodBuild,
+    bad: badBuild,
+    change_pct: goodBuild.avg_tps ? (badBuild.avg_tps - goodBuild.avg_tps) / goodBuild.avg_tps * 100 : null,
+    mode,
+    note,
+    range_size: range.size,
+    last_good: lastGood === -1 ? goodBuild : byPosition(lastGood).build,
+    first_bad: firstBad === range.size ? badBuild : byPosition(firstBad).build,
+    untested,
+    remaining_steps: Math.ceil(Math.log2(untested + 1)),
+    next,
+    timeline
+  };
+}
+
+module.exports = {
+  orderBuilds,
+  bisect
+};
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Statistical A/B comparison of benchmark results.
+ * Splits results into a baseline and a candidate by one dimension (a build,
+ * a host, flash attention on/off, ...), pairs them up per configuration and
+ * tests each pair with Welch's t-test on the stored per-repetition samples.
+ * @module analysis/compare
+ */
+
+const queries = require('../db/queries');
+const { tCritical, welchTTest } = require('./stats');
+const { summarizeRows } = require('./regressions');
+
+/** @type {string[]} Series columns describing the machine rather than the benchmark configuration */
+const HARDWARE_COLUMNS = ['gpu_info', 'cpu_info', 'host_id', 'gpu_model', 'gpu_count'];
+
+/** @type {string[]} Dimensions that compare machines */
+const HARDWARE_DIMENSIONS = ['host', ...HARDWARE_COLUMNS];
+
+/** @type {string[]} Dimensions that compare model files, which differ by definition */
+const MODEL_DIMENSIONS = ['quantization', 'model_family'];
+
+/** @type {number} Default significance level (REGRESSION_ALPHA, default 0.05) */
+const DEFAULT_ALPHA = parseFloat(process.env.REGRESSION_ALPHA) || 0.05;
+
+/**
+ * @typedef {Object} ABOptions
+ * @property {string} baseline - Baseline value of the dimension
+ * @property {string} candidate - Candidate value of the dimension
+ * @property {string} [dimension='build_commit'] - Dimension to split on (see queries.AB_DIMENSIONS)
+ * @property {number} [alpha] - Significance level; the confidence interval is (1 - alpha)
+ * @property {string[]} [models=[]] - Model filenames to include
+ * @property {string[]} [testTypes=[]] - Test types to include
+ * @property {string[]} [hosts=[]] - Host names to include
+ * @property {string[]} [gpuModels=[]] - GPU models to include
+ * @property {number[]} [gpuCounts=[]] - GPU counts to include
+ */
+
+/**
+ * @typedef {Object} ABComparison
+ * @property {Object} config - Configuration column values shared by both sides
+ * @property {import('./stats').Summary} baseline - Baseline t/s summary
+ * @property {import('./stats').Summary} candidate - Candidate t/s summary
+ * @property {number} speedup_pct - Candidate vs baseline change in percent (positive = faster)
+ * @property {number|null} ci_low_pct - Lower bound of the confidence interval of the change, in percent
+ * @property {number|null} ci_high_pct - Upper bound of the confidence interval of the change, in percent
+ * @property {number|null} p_value - Welch's t-test p-value (null if either side has a single observation)
+ * @property {boolean} significant - Whether the change is outside the noise
+ */
+
+/**
+ * @typedef {Object} ABResult
+ * @property {string} dimension - Dimension compared
+ * @property {string} baseline - Baseline value
+ * @property {string} candidate - Candidate value
+ * @property {number} alpha - Significance level used
+ * @property {string[]} config_columns - Config columns whose values differ between comparisons
+ * @property {ABComparison[]} comparisons - One entry per configuration measured on both sides
+ * @property {{configs: number, faster: number, slower: number, geomean_speedup_pct: number|null}} summary - Overview
+ */
+
+/**
+ * Check whether a row's value matches a requested side of the comparison.
+ * @param {string} dimension - Dimension compared
+ * @param {*} rowValue - The row's value of the dimension
+ * @param {string} requested - Requested value
+ * @returns {boolean} True on match (build commits match by prefix)
+ */
+function matchesSide(dimension, rowValue, requested) {
+  if (rowValue === null || rowValue === undefined) {
+    return false;
+  }
+  return dimension === 'build_commit'
+    ? String(rowValue).startsWith(requested)
+    : String(rowValue) === String(requested);
+}
+
+/**
+ * Compare one configuration's baseline rows against its candidate rows.
+ * The confidence interval is the Welch interval of the difference of means,
+ * expressed relative to the baseline mean. Without repeated samples on both
+ * sides, the change must exceed twice the combined standard deviation.
+ * @param {Object[]} baselineRows - Baseline rows
+ * @param {Object[]} candidateRows - Candidate rows
+ * @param {number} alpha - Significance level
+ * @returns {Omit<ABComparison, 'config'>} Comparison without the config
+ */
+function compareRows(baselineRows, candidateRows, alpha) {
+  const baseline = summarizeRows(baselineRows);
+  const candidate = summarizeRows(candidateRows);
+  const speedupPct = (candidate.mean - baseline.mean) / baseline.mean * 100;
+  const test = welchTTest(baseline, candidate);
+
+  if (!test) {
+    return {
+      baseline,
+      candidate,
+      speedup_pct: speedupPct,
+      ci_low_pct: null,
+      ci_high_pct: null,
+      p_value: null,
+      significant: Math.abs(candidate.mean - baseline.mean) > 2 * Math.sqrt(baseline.sd ** 2 + candidate.sd ** 2)
+    };
+  }
+
+  const margin = test.se === 0 ? 0 : tCritical(alpha, test.df) * test.se;
+  return {
+    baseline,
+    candidate,
+    speedup_pct: speedupPct,
+    ci_low_pct: (test.diff - margin) / baseline.mean * 100,
+    ci_high_pct: (test.diff + margin) / baseline.mean * 100,
+    p_value: test.pValue,
+    significant: test.pValue < alpha
+  };
+}
+
+/**
+ * Compare a baseline against a candidate for every configuration measured on both sides.
+ * @param {ABOptions} options - Comparison options
+ * @returns {ABResult} Per-configuration comparisons, largest change first, with a summary
+ * @throws {Error} If baseline or candidate is missing, the commits overlap, or the dimension is not comparable
+ */
+function compareAB({ baseline, candidate, dimension = 'build_commit', alpha = DEFAULT_ALPHA, ...filters }) {
+  if (!baseline || !candidate) {
+    throw new Error('Both baseline and candidate are required');
+  }
+  if (dimension === 'build_commit') {
+    // Stored hashes are lower-case; a prefix of the other side would match both sides
+    baseline = String(baseline).toLowerCase();
+    candidate = String(candidate).toLowerCase();
+    if (baseline.startsWith(candidate) || candidate.startsWith(baseline)) {
+      throw new Error('Baseline and candidate commits must not be prefixes of one another');
+    }
+  }
+
+  const rows = queries.getABResults({ dimension, values: [baseline, candidate], ...filters });
+
+  // Everything that identifies a series, except the dimension being compared;
+  // comparing machines ignores all hardware columns, and comparing quantizations
+  // or families ignores the model file, which differ by definition
+  const excluded = HARDWARE_DIMENSIONS.includes(dimension) ? HARDWARE_COLUMNS
+    : MODEL_DIMENSIONS.includes(dimension) ? ['model_filename', dimension]
+      : [dimension];
+  const configColumns = queries.SERIES_KEY_COLUMNS.filter(col => !excluded.includes(col));
+
+  const configs = new Map();
+  for (const row of rows) {
+    const side = matchesSide(dimension, row.ab_value, baseline) ? 'baseline'
+      : matchesSide(dimension, row.ab_value, candidate) ? 'candidate'
+        : null;
+    if (!side) {
+      continue;
+    }
+    const key = JSON.stringify(configColumns.map(col => row[col]));
+    if (!configs.has(key)) {
+      const config = {};
+      configColumns.forEach(col => { config[col] = row[col]; });
+      configs.set(key, { config, baseline: [], candidate: [] });
+    }
+    configs.get(key)[side].push(row);
+  }
+
+  const comparisons = [...configs.values()]
+    .filter(c => c.baseline.length > 0 && c.candidate.length > 0)
+    .map(c => ({ config: c.config, ...compareRows(c.baseline, c.candidate, alpha) }))
+    .sort((a, b) => Math.abs(b.speedup_pct) - Math.abs(a.speedup_pct));
+
+  const varying = configColumns.filter(col =>
+    new Set(comparisons.map(c => JSON.stringify(c.config[col]))).size > 1);
+
+  const logRatios = comparisons.map(c => Math.log(c.candidate.mean / c.baseline.mean));
+  const geomean = logRatios.length > 0
+    ? (Math.exp(logRatios.reduce((sum, v) => sum + v, 0) / logRatios.length) - 1) * 100
+    : null;
+
+  return {
+    dimension,
+    baseline,
+    candidate,
+    alpha,
+    config_columns: varying,
+    comparisons,
+    summary: {
+      configs: comparisons.length,
+      faster: comparisons.filter(c => c.significant && c.speedup_pct > 0).length,
+      slower: comparisons.filter(c => c.significant && c.speedup_pct < 0).length,
+      geomean_speedup_pct: geomean
+    }
+  };
+}
+
+module.exports = {
+  compareAB
+};
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Best-configuration recommender.
+ * Ranks the parameter combinations measured for a model on a GPU by
+ * throughput, per llama-bench test, and estimates how much each parameter
+ * mattered from the best result reached with each of its values.
+ * @module analysis/recommendations
+ */
+
+const queries = require('../db/queries');
+const { getDimension } = require('../config/dimensions');
+
+/** @type {string[]} Tunable llama-bench parameters compared by the recommender */
+const RECOMMENDATION_PARAMETERS = [
+  'n_gpu_layers', 'n_batch', 'n_ubatch', 'flash_attn',
+  'cache_type_k', 'cache_type_v', 'n_threads', 'split_mode'
+];
+
+/** @type {number} Default number of runner-up configurations returned per test */
+const DEFAULT_RUNNER_UPS = 5;
+
+/** @type {string[]} Order tests are reported in */
+const TEST_TYPE_ORDER = ['pp', 'tg', 'pp+tg'];
+
+/**
+ * @typedef {Object} RankedConfiguration
+ * @property {Object.<string, *>} config - Parameter values (RECOMMENDATION_PARAMETERS)
+ * @property {number} avg_tps - Average tokens per second, across builds
+ * @property {number|null} avg_stddev - Average standard deviation
+ * @property {number} results - Number of stored results averaged
+ * @property {number} builds - Number of builds averaged
+ * @property {number} behind_pct - Throughput below the best configuration, in percent (0 for the best)
+ */
+
+/**
+ * @typedef {Object} ParameterImpact
+ * @property {string} key - Parameter (dimension key)
+ * @property {string} label - Display label
+ * @property {number} impact_pct - Spread of the best t/s reached with each value, relative to the overall best
+ * @property {{value: *, best_tps: number}[]} values - Best t/s reached with each value, fastest first
+ */
+
+/**
+ * @typedef {Object} TestRecommendation
+ * @property {string|null} test_label - llama-bench test (e.g. 'pp512', 'tg128')
+ * @property {string} test_type - Test type
+ * @property {number} configurations - Number of distinct configurations measured
+ * @property {RankedConfiguration} best - Fastest configuration
+ * @property {RankedConfiguration[]} runner_ups - Next fastest configurations
+ * @property {ParameterImpact[]} parameters - Parameters measured with more than one value, most important first
+ * @property {string[]} constant - Parameters measured with a single value only
+ */
+
+/**
+ * @typedef {Object} RecommendationOptions
+ * @property {string} model - Model filename
+ * @property {string} gpu - Normalized GPU model (see parseGpuInfo)
+ * @property {number} [runnerUps=5] - Number of runner-up configurations per test
+ */
+
+/**
+ * Average per-build trend rows into one entry per configuration, weighting
+ * each build by its number of results.
+ * @param {import('../db/queries').DimensionalTrendData[]} rows - Rows grouped by build and parameters
+ * @returns {Object[]} Configurations with config, avg_tps, avg_stddev, results and builds
+ */
+function mergeBuilds(rows) {
+  const configs = new Map();
+  for (const row of rows) {
+    const config = Object.fromEntries(RECOMMENDATION_PARAMETERS.map(key => [key, row[key]]));
+    const key = JSON.stringify(config);
+    if (!configs.has(key)) {
+      configs.set(key, { config, tpsSum: 0, stddevSum: 0, stddevCount: 0, results: 0, builds: 0 });
+    }
+    const entry = configs.get(key);
+    entry.tpsSum += row.avg_tps * row.sample_count;
+    if (row.avg_stddev !== null) {
+      entry.stddevSum += row.avg_stddev * row.sample_count;
+      entry.stddevCount += row.sample_count;
+    }
+    entry.results += row.sample_count;
+    entry.builds += 1;
+  }
+  return [...configs.values()].map(e => ({
+    config: e.config,
+    avg_tps: e.tpsSum / e.results,
+    avg_stddev: e.stddevCount > 0 ? e.stddevSum / e.stddevCount : null,
+    results: e.results,
+    builds: e.builds
+  }));
+}
+
+/**
+ * Estimate how much each parameter mattered: for every value, the best t/s
+ * reached with it; the spread between its best and worst value shows what
+ * choosing the wrong value costs, even when the sweep is not a full grid.
+ * @param {Object[]} ranked - Configurations, fastest first
+ * @returns {{parameters: ParameterImpact[], constant: string[]}} Varied parameters and constant ones
+ */
+function rankParameters(ranked) {
+  const overallBest = ranked[0].avg_tps;
+  const parameters = [];
+  const constant = [];
+
+  for (const key of RECOMMENDATION_PARAMETERS) {
+    const bestByValue = new Map();
+    ranked.forEach(c => {
+      const value = c.config[key];
+      if (!bestByValue.has(value)) {
+        bestByValue.set(value, c.avg_tps);
+      }
+    });
+    if (bestByValue.size < 2) {
+      constant.push(key);
+      continue;
+    }
+    const values = [...bestByValue].map(([value, best_tps]) => ({ value, best_tps }));
+    const worst = values[values.length - 1].best_tps;
+    parameters.push({
+      key,
+      label: getDimension(key).label,
+      impact_pct: (overallBest - worst) / overallBest * 100,
+      values
+    });
+  }
+  parameters.sort((a, b) => b.impact_pct - a.impact_pct);
+  return { parameters, constant };
+}
+
+/**
+ * Recommend the fastest parameter combination for a model on a GPU, per test.
+ * Results are averaged across builds.
+ * @param {RecommendationOptions} options - Model, GPU and output size
+ * @returns {{model: string, gpu: string, parameters: string[], tests: TestRecommendation[]}} Recommendations
+ * @throws {Error} If the model or GPU is missing
+ */
+function recommendConfigurations({ model, gpu, runnerUps = DEFAULT_RUNNER_UPS }) {
+  if (!model || !gpu) {
+    throw new Error('Both model and gpu are required');
+  }
+
+  const rows = queries.getDimensionalTrends({
+    groupByDimensions: RECOMMENDATION_PARAMETERS,
+    filters: { gpu_model: [gpu] },
+    testTypes: TEST_TYPE_ORDER,
+    models: [model]
+  });
+
+  // One group per test; different prompt sizes or depths are not comparable
+  const tests = new Map();
+  for (const row of rows) {
+    const key = row.test_label || row.test_type;
+    if (!tests.has(key)) {
+      tests.set(key, { test_label: row.test_label, test_type: row.test_type, n_prompt: row.n_prompt, n_gen: row.n_gen, n_depth: row.n_depth, rows: [] });
+    }
+    tests.get(key).rows.push(row);
+  }
+
+  const recommendations = [...tests.values()]
+    .sort((a, b) => TEST_TYPE_ORDER.indexOf(a.test_type) - TEST_TYPE_ORDER.indexOf(b.test_type)
+      || (a.n_prompt || 0) - (b.n_prompt || 0) || (a.n_gen || 0) - (b.n_gen || 0) || (a.n_depth || 0) - (b.n_depth || 0))
+    .map(test => {
+      const ranked = mergeBuilds(test.rows).sort((a, b) => b.avg_tps - a.avg_tps);
+      const best = ranked[0].avg_tps;
+      ranked.forEach(c => { c.behind_pct = (best - c.avg_tps) / best * 100; });
+      return {
+        test_label: test.test_label,
+        test_type: test.test_type,
+        configurations: ranked.length,
+        best: ranked[0],
+        runner_ups: ranked.slice(1, runnerUps + 1),
+        ...rankParameters(ranked)
+      };
+    });
+
+  return { model, gpu, parameters: RECOMMENDATION_PARAMETERS, tests: recommendations };
+}
+
+module.exports = {
+  RECOMMENDATION_PARAMETERS,
+  recommendConfigurations
+};
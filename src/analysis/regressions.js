@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Performance regression detection between builds.
+ * For every series (model + test type + hardware + parameter set), compares the
+ * newest build against a window of preceding builds using the stored
+ * per-repetition samples, and flags statistically significant slowdowns.
+ * @module analysis/regressions
+ */
+
+const queries = require('../db/queries');
+const { summarize, welchTTest } = require('./stats');
+
+/**
+ * @typedef {Object} RegressionOptions
+ * @property {number} [thresholdPct] - Minimum slowdown in percent to report (REGRESSION_THRESHOLD_PCT, default 3)
+ * @property {number} [window] - Number of preceding builds forming the baseline (REGRESSION_WINDOW, default 3)
+ * @property {number} [alpha] - Significance level for Welch's t-test (REGRESSION_ALPHA, default 0.05)
+ * @property {string[]} [models=[]] - Model filenames to analyze (all when empty)
+ * @property {string[]} [testTypes=[]] - Test types to analyze (all when empty)
+ */
+
+/** @type {{thresholdPct: number, window: number, alpha: number}} Defaults, overridable by env vars */
+const DEFAULT_OPTIONS = {
+  thresholdPct: parseFloat(process.env.REGRESSION_THRESHOLD_PCT) || 3,
+  window: parseInt(process.env.REGRESSION_WINDOW, 10) || 3,
+  alpha: parseFloat(process.env.REGRESSION_ALPHA) || 0.05
+};
+
+/**
+ * Build a stable key identifying the series a row belongs to.
+ * @param {Object} row - Benchmark row
+ * @returns {string} Series key
+ */
+function seriesKey(row) {
+  return JSON.stringify(queries.SERIES_KEY_COLUMNS.map(col => row[col]));
+}
+
+/**
+ * Collect per-repetition observations for a set of rows.
+ * Rows without stored samples contribute their mean as a single observation.
+ * @param {Object[]} rows - Benchmark rows
+ * @returns {number[]} Observations in tokens per second
+ */
+function observations(rows) {
+  const values = [];
+  for (const row of rows) {
+    const samples = row.samples ? JSON.parse(row.samples) : [];
+    if (samples.length > 0) {
+      values.push(...samples);
+    } else {
+      values.push(row.tokens_per_second);
+    }
+  }
+  return values;
+}
+
+/**
+ * Summarize rows into mean/sd/n, falling back to the reported stddev when only
+ * one observation is available.
+ * @param {Object[]} rows - Benchmark rows
+ * @returns {import('./stats').Summary} Summary of the rows
+ */
+function summarizeRows(rows) {
+  const summary = summarize(observations(rows));
+  if (summary.n < 2) {
+    summary.sd = Math.max(0, ...rows.map(r => r.stddev || 0));
+  }
+  return summary;
+}
+
+/**
+ * @typedef {Object} BuildGroup
+ * @property {string} build_commit - Build commit hash
+ * @property {number|null} build_number - Build number
+ * @property {number|null} build_order - Position in the configured llama.cpp history, if synced
+ * @property {string} test_time - Latest test time for the build in this series
+ * @property {Object[]} rows - Rows for this build
+ */
+
+/**
+ * Group a series' rows by build, ordered oldest to newest. Builds are ordered by
+ * commit topology when every build of the series is on the configured llama.cpp
+ * history (see models/builds), otherwise by latest test time.
+ * @param {Object[]} rows - Rows of one series
+ * @returns {BuildGroup[]} Builds in order
+ */
+function groupByBuild(rows) {
+  const builds = new Map();
+  for (const row of rows) {
+    if (!builds.has(row.build_commit)) {
+      builds.set(row.build_commit, {
+        build_commit: row.build_commit,
+        build_number: row.build_number,
+        build_order: row.build_order ?? null,
+        test_time: row.test_time,
+        rows: []
+      });
+    }
+    const build = builds.get(row.build_commit);
+    build.rows.push(row);
+    if (row.test_time > build.test_time) {
+      build.test_time = row.test_time;
+    }
+  }
+  const groups = [...builds.values()];
+  if (groups.every(b => b.build_order !== null)) {
+    return groups.sort((a, b) => a.build_order - b.build_order);
+  }
+  return groups.sort((a, b) => (a.test_time < b.test_time ? -1 : a.test_time > b.test_time ? 1 : 0));
+}
+
+/**
+ * @typedef {Object} BuildComparison
+ * @property {Object} series - Series key column values
+ * @property {string} candidate_build - Newest build commit
+ * @property {number|null} candidate_build_number - Newest build number
+ * @property {string} candidate_time - Latest test time of the newest build
+ * @property {number} candidate_id - ID of a result of the newest build (identifies the series)
+ * @property {number} candidate_tps - Mean t/s of the newest build
+ * @property {string[]} baseline_builds - Build commits forming the baseline
+ * @property {number} baseline_tps - Mean t/s of the baseline window
+ * @property {number} change_pct - Relative change of the candidate vs the baseline, in percent
+ * @property {number|null} p_value - Welch's t-test p-value (null if too few samples)
+ * @property {boolean} significant - Whether the change is outside the noise
+ * @property {boolean} regression - Whether this is a significant slowdown beyond the threshold
+ */
+
+/**
+ * Compare one build against a baseline of rows from earlier builds.
+ * Significance uses Welch's t-test when both sides have repeated samples;
+ * otherwise the change must exceed twice the combined standard deviation.
+ * @param {Object[]} baselineRows - Rows of the baseline builds
+ * @param {Object[]} candidateRows - Rows of the candidate build
+ * @param {{thresholdPct: number, alpha: number}} options - Threshold and significance level
+ * @returns {{baseline_tps: number, candidate_tps: number, change_pct: number, p_value: number|null, significant: boolean, regression: boolean}}
+ */
+function compareBuilds(baselineRows, candidateRows, { thresholdPct, alpha }) {
+  const baseline = summarizeRows(baselineRows);
+  const candidate = summarizeRows(candidateRows);
+  const changePct = (candidate.mean - baseline.mean) / baseline.mean * 100;
+
+  const test = welchTTest(baseline, candidate);
+  const significant = test
+    ? test.pValue < alpha
+    : Math.abs(candidate.mean - baseline.mean) > 2 * Math.sqrt(baseline.sd ** 2 + candidate.sd ** 2);
+
+  return {
+    baseline_tps: baseline.mean,
+    candidate_tps: candidate.mean,
+    change_pct: changePct,
+    p_value: test ? test.pValue : null,
+    significant,
+    regression: significant && changePct <= -thresholdPct
+  };
+}
+
+/**
+ * Compare the newest build of every series against its baseline window.
+ * @param {RegressionOptions} [options] - Analysis options
+ * @returns {BuildComparison[]} One comparison per series that has at least two builds
+ */
+function analyzeSeries(options = {}) {
+  const { thresholdPct, window, alpha } = { ...DEFAULT_OPTIONS, ...options };
+  const rows = queries.getSeriesResults({ models: options.models || [], testTypes: options.testTypes || [] });
+
+  const seriesMap = new Map();
+  for (const row of rows) {
+    const key = seriesKey(row);
+    if (!seriesMap.has(key)) {
+      seriesMap.set(key, []);
+    }
+    seriesMap.get(key).push(row);
+  }
+
+  const comparisons = [];
+  for (const seriesRows of seriesMap.values()) {
+    const builds = groupByBuild(seriesRows);
+    if (builds.length < 2) {
+      continue;
+    }
+
+    const candidate = builds[builds.length - 1];
+    const baselineBuilds = builds.slice(-1 - window, -1);
+    const series = {};
+    queries.SERIES_KEY_COLUMNS.forEach(col => { series[col] = seriesRows[0][col]; });
+
+    comparisons.push({
+      series,
+      candidate_build: candidate.build_commit,
+      candidate_build_number: candidate.build_number,
+      candidate_time: candidate.test_time,
+      candidate_id: candidate.rows[candidate.rows.length - 1].id,
+      baseline_builds: baselineBuilds.map(b => b.build_commit),
+      ...compareBuilds(baselineBuilds.flatMap(b => b.rows), candidate.rows, { thresholdPct, alpha })
+    });
+  }
+
+  return comparisons;
+}
+
+/**
+ * Find series whose newest build is significantly slower than its baseline.
+ * @param {RegressionOptions} [options] - Analysis options
+ * @returns {BuildComparison[]} Regressions, largest slowdown first
+ */
+function detectRegressions(options = {}) {
+  return analyzeSeries(options)
+    .filter(c => c.regression)
+    .sort((a, b) => a.change_pct - b.change_pct);
+}
+
+/**
+ * Find regressions introduced by a submitted run: series measured in the run
+ * whose build is significantly slower than the previous build of the same config.
+ * @param {number} runId - Run ID
+ * @param {RegressionOptions} [options] - Analysis options (window defaults to 1)
+ * @returns {BuildComparison[]} Regressions, largest slowdown first
+ */
+function detectRunRegressions(runId, options = {}) {
+  const runRows = queries.getRunBenchmarks(runId);
+  if (runRows.length === 0) {
+    return [];
+  }
+  const runSeries = new Set(runRows.map(seriesKey));
+  const runBuilds = new Set(runRows.map(r => r.build_commit));
+  const models = [...new Set(runRows.map(r => r.model_filename))];
+
+  return detectRegressions({ window: 1, ...options, models })
+    .filter(c => runBuilds.has(c.candidate_build) && runSeries.has(seriesKey(c.series)));
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  summarizeRows,
+  compareBuilds,
+  analyzeSeries,
+  detectRegressions,
+  detectRunRegressions
+};
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Per-repetition sample analysis for a single benchmark result.
+ * Summarizes the stored llama-bench repetitions (mean, spread, coefficient of
+ * variation) and flags outliers with the modified z-score, which stays robust
+ * for the handful of repetitions llama-bench usually runs.
+ * Also loads the detail view of a result: its samples and related results.
+ * @module analysis/samples
+ */
+
+const queries = require('../db/queries');
+const { formatBenchmark } = require('../models/benchmark');
+const { summarize } = require('./stats');
+
+/** @type {number} Modified z-score above which a repetition is flagged (Iglewicz and Hoaglin) */
+const OUTLIER_Z = 3.5;
+
+/**
+ * @typedef {Object} SamplePoint
+ * @property {number} index - Repetition number (1-based)
+ * @property {number} tps - Tokens per second
+ * @property {number|null} ns - Duration in nanoseconds, if stored
+ * @property {number|null} z - Modified z-score (null when all repetitions are equal)
+ * @property {boolean} outlier - Whether the repetition is an outlier
+ */
+
+/**
+ * @typedef {Object} SampleAnalysis
+ * @property {number} n - Number of repetitions
+ * @property {number|null} mean - Mean tokens per second
+ * @property {number|null} sd - Sample standard deviation
+ * @property {number|null} cv_pct - Coefficient of variation, in percent
+ * @property {number|null} median - Median tokens per second
+ * @property {number|null} min - Slowest repetition
+ * @property {number|null} max - Fastest repetition
+ * @property {SamplePoint[]} points - Every repetition, in order
+ * @property {number[]} outliers - Repetition numbers flagged as outliers
+ */
+
+/**
+ * Median of a list of numbers.
+ * @param {number[]} values - Values
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Analyze the repetitions of a benchmark result.
+ * @param {number[]} samples - Per-repetition tokens per second
+ * @param {number[]} [samplesNs=[]] - Per-repetition durations in nanoseconds
+ * @returns {SampleAnalysis} Summary, points and outliers
+ */
+function analyzeSamples(samples, samplesNs = []) {
+  const values = (samples || []).filter(v => typeof v === 'number' && isFinite(v));
+  if (values.length === 0) {
+    return { n: 0, mean: null, sd: null, cv_pct: null, median: null, min: null, max: null, points: [], outliers: [] };
+  }
+
+  const { n, mean, sd } = summarize(values);
+  const med = median(values);
+  // Median absolute deviation; 0.6745 scales it to a standard deviation for normal data
+  const mad = median(values.map(v => Math.abs(v - med)));
+
+  const points = values.map((tps, i) => {
+    const z = mad > 0 ? 0.6745 * (tps - med) / mad : null;
+    return {
+      index: i + 1,
+      tps,
+      ns: samplesNs[i] ?? null,
+      z,
+      outlier: n >= 3 && (z !== null ? Math.abs(z) > OUTLIER_Z : tps !== med)
+    };
+  });
+
+  return {
+    n,
+    mean,
+    sd,
+    cv_pct: mean > 0 ? sd / mean * 100 : null,
+    median: med,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    points,
+    outliers: points.filter(p => p.outlier).map(p => p.index)
+  };
+}
+
+/**
+ * @typedef {Object} BenchmarkDetail
+ * @property {Object} benchmark - Formatted benchmark (every stored field, samples parsed)
+ * @property {SampleAnalysis} sample_analysis - Analysis of its repetitions
+ * @property {Object[]} same_config - Same configuration on other builds, newest first,
+ *   with change_pct against this result
+ * @property {Object[]} same_build - Same build and hardware, other configurations
+ */
+
+/**
+ * Load a benchmark result with its sample analysis and related results.
+ * @param {number} id - Benchmark ID
+ * @returns {BenchmarkDetail|null} Detail, or null if not found
+ */
+function getBenchmarkDetail(id) {
+  const row = queries.getBenchmark(id);
+  if (!row) {
+    return null;
+  }
+  const benchmark = formatBenchmark(row);
+  return {
+    benchmark,
+    sample_analysis: analyzeSamples(benchmark.samples, benchmark.samples_ns),
+    same_config: queries.getSameConfigBenchmarks(row).map(formatBenchmark).map(b => ({
+      ...b,
+      change_pct: benchmark.tokens_per_second && b.tokens_per_second !== null
+        ? (b.tokens_per_second - benchmark.tokens_per_second) / benchmark.tokens_per_second * 100
+        : null
+    })),
+    same_build: queries.getSameBuildBenchmarks(row).map(formatBenchmark)
+  };
+}
+
+module.exports = {
+  OUTLIER_Z,
+  analyzeSamples,
+  getBenchmarkDetail
+};
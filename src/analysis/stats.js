@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Small statistics helpers for benchmark analysis.
+ * Summaries and percentiles over samples, and Welch's t-test for comparing
+ * two sets of measurements with unequal variances.
+ * @module analysis/stats
+ */
+
+/**
+ * @typedef {Object} Summary
+ * @property {number} n - Number of observations
+ * @property {number} mean - Arithmetic mean
+ * @property {number} sd - Sample standard deviation (0 when n < 2)
+ */
+
+/**
+ * Summarize an array of observations.
+ * @param {number[]} values - Observations
+ * @returns {Summary} Count, mean and sample standard deviation
+ */
+function summarize(values) {
+  const n = values.length;
+  if (n === 0) {
+    return { n: 0, mean: NaN, sd: NaN };
+  }
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const variance = n > 1
+    ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1)
+    : 0;
+  return { n, mean, sd: Math.sqrt(variance) };
+}
+
+/**
+ * Percentile of an array of observations, interpolating linearly between the
+ * closest ranks (so the 50th percentile is the median).
+ * @param {number[]} values - Observations
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} The percentile, or null without observations
+ */
+function percentile(values, p) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.min(Math.max(p, 0), 100) / 100 * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation).
+ * @param {number} x - Positive input
+ * @returns {number} ln(Γ(x))
+ */
+function logGamma(x) {
+  const c = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  for (const coef of c) {
+    ser += coef / ++y;
+  }
+  return -tmp + Math.log(2.5066282746310005 * ser / x);
+}
+
+/**
+ * Continued fraction for the regularized incomplete beta function.
+ * @param {number} x - Evaluation point in [0, 1]
+ * @param {number} a - Shape parameter a
+ * @param {number} b - Shape parameter b
+ * @returns {number} Continued fraction value
+ */
+function betaContinuedFraction(x, a, b) {
+  const EPS = 3e-14;
+  const FPMIN = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPS) break;
+  }
+  return h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b).
+ * @param {number} x - Evaluation point in [0, 1]
+ * @param {number} a - Shape parameter a
+ * @param {number} b - Shape parameter b
+ * @returns {number} I_x(a, b)
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(x, a, b) / a
+    : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Two-sided p-value of Student's t distribution.
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} P(|T| >= |t|)
+ */
+function tTestPValue(t, df) {
+  if (!isFinite(t)) return 0;
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * Two-sided critical value of Student's t distribution, found by bisection.
+ * @param {number} alpha - Significance level (e.g., 0.05 for a 95% interval)
+ * @param {number} df - Degrees of freedom
+ * @returns {number} t such that P(|T| >= t) = alpha
+ */
+function tCritical(alpha, df) {
+  let lo = 0;
+  let hi = 1000;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (tTestPValue(mid, df) > alpha) {
+      lo = mid;
+    } else {
+      hi = mid;
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * @typedef {Object} WelchResult
+ * @property {number} diff - Difference of means (b - a)
+ * @property {number} se - Standard error of the difference
+ * @property {number} t - t statistic
+ * @property {number} df - Welch–Satterthwaite degrees of freedom
+ * @property {number} pValue - Two-sided p-value
+ */
+
+/**
+ * Welch's unequal-variance t-test comparing summary b against summary a.
+ * Both summaries need at least two observations.
+ * @param {Summary} a - Baseline summary
+ * @param {Summary} b - Candidate summary
+ * @returns {WelchResult|null} Test result, or null if either side has fewer than 2 observations
+ */
+function welchTTest(a, b) {
+  if (a.n < 2 || b.n < 2) {
+    return null;
+  }
+  const va = (a.sd ** 2) / a.n;
+  const vb = (b.sd ** 2) / b.n;
+  const diff = b.mean - a.mean;
+  const se = Math.sqrt(va + vb);
+
+  if (se === 0) {
+    // Identical repetitions on both sides: any difference is exact
+    return { diff, se: 0, t: diff === 0 ? 0 : Infinity * Math.sign(diff), df: a.n + b.n - 2, pValue: diff === 0 ? 1 : 0 };
+  }
+
+  const df = (va + vb) ** 2 / ((va ** 2) / (a.n - 1) + (vb ** 2) / (b.n - 1));
+  const t = diff / se;
+  return { diff, se, t, df, pValue: tTestPValue(t, df) };
+}
+
+module.exports = {
+  summarize,
+  percentile,
+  tTestPValue,
+  tCritical,
+  welchTTest
+};
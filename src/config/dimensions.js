@@ -11,6 +11,7 @@
  * @property {string} group - Category for UI grouping
  * @property {string} type - Data type ('numeric', 'text', 'boolean')
  * @property {number} priority - Sort order in UI (lower = higher priority)
+ * @property {{table: string, label: string}} [lookup] - Table the column references by ID, and its display column
  */
 
 /** @type {DimensionConfig[]} */
@@ -19,6 +20,10 @@ const DIMENSIONS = [
   { key: 'n_gpu_layers', label: 'GPU Layers', group: 'GPU Config', type: 'numeric', priority: 1 },
   { key: 'split_mode', label: 'Split Mode', group: 'GPU Config', type: 'text', priority: 2 },
   { key: 'main_gpu', label: 'Main GPU', group: 'GPU Config', type: 'numeric', priority: 3 },
+  { key: 'n_cpu_moe', label: 'CPU MoE Layers', group: 'GPU Config', type: 'numeric', priority: 4 },
+  { key: 'tensor_split', label: 'Tensor Split', group: 'GPU Config', type: 'text', priority: 5 },
+  { key: 'tensor_buft_overrides', label: 'Tensor Overrides', group: 'GPU Config', type: 'text', priority: 6 },
+  { key: 'devices', label: 'Devices', group: 'GPU Config', type: 'text', priority: 7 },
 
   // Batching (Priority 2)
   { key: 'n_batch', label: 'Batch Size', group: 'Batching', type: 'numeric', priority: 10 },
@@ -35,10 +40,23 @@ const DIMENSIONS = [
   { key: 'cache_type_k', label: 'K Cache Type', group: 'Features', type: 'text', priority: 31 },
   { key: 'cache_type_v', label: 'V Cache Type', group: 'Features', type: 'text', priority: 32 },
   { key: 'embeddings', label: 'Embeddings', group: 'Features', type: 'boolean', priority: 33 },
+  { key: 'no_kv_offload', label: 'No KV Offload', group: 'Features', type: 'boolean', priority: 34 },
+  { key: 'no_op_offload', label: 'No Op Offload', group: 'Features', type: 'boolean', priority: 35 },
+  { key: 'use_mmap', label: 'mmap', group: 'Features', type: 'boolean', priority: 36 },
 
   // Hardware/Build (Priority 5)
   { key: 'n_threads', label: 'Threads', group: 'Hardware', type: 'numeric', priority: 40 },
   { key: 'backend', label: 'Backend', group: 'Hardware', type: 'text', priority: 41 },
+  { key: 'cpu_mask', label: 'CPU Mask', group: 'Hardware', type: 'text', priority: 42 },
+  { key: 'cpu_strict', label: 'CPU Strict', group: 'Hardware', type: 'boolean', priority: 43 },
+  { key: 'poll', label: 'Poll', group: 'Hardware', type: 'numeric', priority: 44 },
+  { key: 'host_id', label: 'Host', group: 'Hardware', type: 'numeric', priority: 45, lookup: { table: 'hosts', label: 'name' } },
+  { key: 'gpu_model', label: 'GPU Model', group: 'Hardware', type: 'text', priority: 46 },
+  { key: 'gpu_count', label: 'GPU Count', group: 'Hardware', type: 'numeric', priority: 47 },
+
+  // Model (Priority 6)
+  { key: 'quantization', label: 'Quantization', group: 'Model', type: 'text', priority: 50 },
+  { key: 'model_family', label: 'Model Family', group: 'Model', type: 'text', priority: 51 },
 ];
 
 /** @type {string[]} Valid dimension keys for SQL injection prevention */
@@ -68,6 +86,17 @@ function getDimension(key) {
   return DIMENSIONS.find(d => d.key === key);
 }
 
+/**
+ * Get the dimensions that can be swept on a chart's x-axis: numeric values
+ * that are not IDs of another table.
+ * @returns {DimensionConfig[]} Sweepable dimensions, by priority
+ */
+function getSweepDimensions() {
+  return DIMENSIONS
+    .filter(d => d.type === 'numeric' && !d.lookup)
+    .sort((a, b) => a.priority - b.priority);
+}
+
 /**
  * Validate that a dimension key is valid (for SQL injection prevention).
  * @param {string} key - Dimension key to validate
@@ -86,11 +115,41 @@ function filterValidDimensions(keys) {
   return keys.filter(key => isValidDimension(key));
 }
 
+/**
+ * Parse `filter_<dimension>=value` query parameters into dimension filters.
+ * Unknown dimensions and empty values are ignored; numeric and boolean
+ * dimensions are converted to integers.
+ * @param {Object} query - Express request query
+ * @returns {Object.<string, (string|number)[]>} Map of dimension key to values
+ */
+function parseDimensionFilters(query) {
+  const dimensionFilters = {};
+  Object.keys(query).forEach(key => {
+    if (!key.startsWith('filter_')) {
+      return;
+    }
+    const dimension = key.replace('filter_', '');
+    const dimConfig = getDimension(dimension);
+    if (!dimConfig) {
+      return;
+    }
+    const values = [].concat(query[key]).filter(v => v !== '');
+    if (values.length > 0) {
+      dimensionFilters[dimension] = dimConfig.type === 'numeric' || dimConfig.type === 'boolean'
+        ? values.map(v => parseInt(v, 10))
+        : values;
+    }
+  });
+  return dimensionFilters;
+}
+
 module.exports = {
   DIMENSIONS,
   VALID_DIMENSION_KEYS,
   getDimensionsByGroup,
   getDimension,
+  getSweepDimensions,
   isValidDimension,
-  filterValidDimensions
+  filterValidDimensions,
+  parseDimensionFilters
 };
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Metric and aggregation configuration for trends and comparisons.
+ * Besides raw throughput, results can be charted as their run-to-run variation,
+ * as latency, or as efficiency metrics derived from the model size and parameter
+ * count llama-bench reports, which puts models of different sizes and
+ * quantizations on one scale. The results of a chart point are combined with
+ * the chosen aggregation; the median and latest value are robust to a single
+ * outlier run, which the average is not.
+ * @module config/metrics
+ */
+
+/**
+ * @typedef {Object} MetricConfig
+ * @property {string} key - Metric key (the `metric` query parameter)
+ * @property {string} label - Human-readable label
+ * @property {string} unit - Unit shown on chart axes and tooltips
+ * @property {string} description - How the metric is derived
+ * @property {string} expression - SQL expression over unqualified benchmarks columns; NULL where the metric does not apply
+ */
+
+/** @type {MetricConfig[]} */
+const METRICS = [
+  {
+    key: 'tps',
+    label: 'Tokens/Second',
+    unit: 't/s',
+    description: 'Throughput as measured by llama-bench',
+    expression: 'tokens_per_second'
+  },
+  {
+    key: 'stddev',
+    label: 'Std Deviation',
+    unit: 't/s',
+    description: 'Standard deviation of the repetitions of a result',
+    expression: 'stddev'
+  },
+  {
+    key: 'cv',
+    label: 'Coefficient of Variation',
+    unit: '%',
+    description: 'Standard deviation of the repetitions relative to their mean',
+    expression: '100.0 * stddev / tokens_per_second'
+  },
+  {
+    key: 'ms_per_token',
+    label: 'Milliseconds/Token',
+    unit: 'ms/token',
+    description: 'Time per token: 1000 / t/s',
+    expression: '1000.0 / tokens_per_second'
+  },
+  {
+    key: 'tps_gb',
+    label: 't/s × GB',
+    unit: 't/s·GB',
+    description: 'Throughput times the model size in GB',
+    expression: 'tokens_per_second * model_size / 1e9'
+  },
+  {
+    key: 'tps_per_bparam',
+    label: 't/s per B Params',
+    unit: 't/s/B',
+    description: 'Throughput per billion model parameters',
+    expression: 'tokens_per_second / (model_n_params / 1e9)'
+  },
+  {
+    key: 'bandwidth',
+    label: 'Effective Memory Bandwidth',
+    unit: 'GB/s',
+    description: 'Generation only: every generated token reads the whole model once',
+    expression: "CASE WHEN test_type = 'tg' THEN tokens_per_second * model_size / 1e9 END"
+  },
+  {
+    key: 'tflops',
+    label: 'Effective Compute',
+    unit: 'TFLOPS',
+    description: 'Prompt processing only: about two floating point operations per parameter and token',
+    expression: "CASE WHEN test_type = 'pp' THEN 2 * model_n_params * tokens_per_second / 1e12 END"
+  }
+];
+
+/** @type {string} Metric used when none is chosen */
+const DEFAULT_METRIC = 'tps';
+
+/** @type {string[]} Valid metric keys for SQL injection prevention */
+const VALID_METRIC_KEYS = METRICS.map(m => m.key);
+
+/**
+ * @typedef {Object} AggregationConfig
+ * @property {string} key - Aggregation key (the `agg` query parameter)
+ * @property {string} label - Human-readable label
+ * @property {function(string, string=): string} sql - SQL aggregate of a value expression; the
+ *   second argument qualifies the row columns it adds (e.g. 'b.'). percentile() and latest()
+ *   are registered by db/functions
+ */
+
+/** @type {AggregationConfig[]} */
+const AGGREGATIONS = [
+  { key: 'avg', label: 'Average', sql: value => `AVG(${value})` },
+  { key: 'median', label: 'Median', sql: value => `percentile(${value}, 50)` },
+  { key: 'p90', label: '90th Percentile', sql: value => `percentile(${value}, 90)` },
+  { key: 'min', label: 'Minimum', sql: value => `MIN(${value})` },
+  { key: 'max', label: 'Maximum', sql: value => `MAX(${value})` },
+  { key: 'latest', label: 'Latest', sql: (value, table = '') => `latest(${value}, ${table}test_time, ${table}id)` }
+];
+
+/** @type {string} Aggregation used when none is chosen */
+const DEFAULT_AGGREGATION = 'avg';
+
+/** @type {string[]} Valid aggregation keys for SQL injection prevention */
+const VALID_AGGREGATION_KEYS = AGGREGATIONS.map(a => a.key);
+
+/**
+ * Get metric config by key.
+ * @param {string} key - Metric key
+ * @returns {MetricConfig|undefined}
+ */
+function getMetric(key) {
+  return METRICS.find(m => m.key === key);
+}
+
+/**
+ * Parse a metric query parameter: the default when omitted, undefined when unknown.
+ * @param {string|undefined} value - Query parameter value
+ * @returns {MetricConfig|undefined} Metric config
+ */
+function parseMetric(value) {
+  return getMetric(value === undefined || value === '' ? DEFAULT_METRIC : value);
+}
+
+/**
+ * Get aggregation config by key.
+ * @param {string} key - Aggregation key
+ * @returns {AggregationConfig|undefined}
+ */
+function getAggregation(key) {
+  return AGGREGATIONS.find(a => a.key === key);
+}
+
+/**
+ * Parse an agg query parameter: the default when omitted, undefined when unknown.
+ * @param {string|undefined} value - Query parameter value
+ * @returns {AggregationConfig|undefined} Aggregation config
+ */
+function parseAggregation(value) {
+  return getAggregation(value === undefined || value === '' ? DEFAULT_AGGREGATION : value);
+}
+
+/**
+ * Describe a metric and aggregation for chart axes and tooltips (public/js/trends-chart.js).
+ * @param {MetricConfig} metric - Metric
+ * @param {AggregationConfig} aggregation - Aggregation
+ * @returns {{label: string, unit: string, aggregation: string|null}} Metric label and unit, and the
+ *   aggregation label unless it is the default
+ */
+function describeValue(metric, aggregation) {
+  return {
+    label: metric.label,
+    unit: metric.unit,
+    aggregation: aggregation.key === DEFAULT_AGGREGATION ? null : aggregation.label
+  };
+}
+
+module.exports = {
+  METRICS,
+  DEFAULT_METRIC,
+  VALID_METRIC_KEYS,
+  AGGREGATIONS,
+  DEFAULT_AGGREGATION,
+  VALID_AGGREGATION_KEYS,
+  getMetric,
+  parseMetric,
+  getAggregation,
+  parseAggregation,
+  describeValue
+};
@@ -11,6 +11,8 @@
  * @property {string} [format] - Format type: 'number', 'code', 'boolean', or default (string)
  * @property {number} [decimals] - Decimal places for number format
  * @property {boolean} [bold] - Whether to bold the value
+ * @property {boolean} [hidden] - Only shown when picked in a column layout, never automatically
+ * @property {string} [sortColumn] - Stored column to sort by, for values derived when formatting
  */
 
 /** @type {ColumnConfig[]} */
@@ -18,9 +20,14 @@ const TABLE_COLUMNS = [
   // Identity
   { key: 'model_filename', label: 'Model' },
   { key: 'model_type', label: 'Type' },
+  { key: 'quantization', label: 'Quant', hidden: true },
+  { key: 'model_family', label: 'Family', hidden: true },
+  { key: 'model_size_gb', label: 'Size (GB)', format: 'number', decimals: 2, hidden: true, sortColumn: 'model_size' },
+  { key: 'model_params_b', label: 'Params (B)', format: 'number', decimals: 2, hidden: true, sortColumn: 'model_n_params' },
 
   // Test info
-  { key: 'test_type', label: 'Test' },
+  { key: 'test_label', label: 'Test' },
+  { key: 'test_type', label: 'Test Type' },
   { key: 'n_prompt', label: 'Prompt' },
   { key: 'n_gen', label: 'Gen' },
   { key: 'n_depth', label: 'Depth' },
@@ -31,6 +38,8 @@ const TABLE_COLUMNS = [
 
   // Hardware
   { key: 'gpu_info', label: 'GPU' },
+  { key: 'cpu_info', label: 'CPU', hidden: true },
+  { key: 'gpu_count', label: 'GPUs' },
   { key: 'backend', label: 'Backend' },
 
   // Parameters
@@ -43,12 +52,24 @@ const TABLE_COLUMNS = [
   // GPU config
   { key: 'split_mode', label: 'Split Mode' },
   { key: 'main_gpu', label: 'Main GPU' },
+  { key: 'n_cpu_moe', label: 'CPU MoE' },
+  { key: 'tensor_split', label: 'Tensor Split' },
+  { key: 'tensor_buft_overrides', label: 'Overrides' },
+  { key: 'devices', label: 'Devices' },
 
   // Features
   { key: 'flash_attn', label: 'Flash Attn', format: 'boolean' },
   { key: 'cache_type_k', label: 'K Cache' },
   { key: 'cache_type_v', label: 'V Cache' },
   { key: 'embeddings', label: 'Embeddings', format: 'boolean' },
+  { key: 'no_kv_offload', label: 'No KV Offload', format: 'boolean' },
+  { key: 'no_op_offload', label: 'No Op Offload', format: 'boolean' },
+  { key: 'use_mmap', label: 'mmap', format: 'boolean' },
+
+  // CPU scheduling
+  { key: 'cpu_mask', label: 'CPU Mask' },
+  { key: 'cpu_strict', label: 'CPU Strict', format: 'boolean' },
+  { key: 'poll', label: 'Poll' },
 
   // Build info
   { key: 'build_commit', label: 'Build', format: 'code' },
@@ -58,6 +79,7 @@ const TABLE_COLUMNS = [
 
 /**
  * Detect which columns have at least one non-null value in the data.
+ * Hidden columns are left out.
  * @param {Object[]} data - Array of benchmark objects
  * @returns {ColumnConfig[]} Columns that have data
  */
@@ -67,13 +89,59 @@ function getActiveColumns(data) {
   }
 
   return TABLE_COLUMNS.filter(col => {
-    return data.some(row => {
+    return !col.hidden && data.some(row => {
       const val = row[col.key];
       return val !== null && val !== undefined && val !== '';
     });
   });
 }
 
+/**
+ * Parse a column layout: a comma-separated list (or array) of column keys in
+ * display order. Unknown and repeated keys are dropped.
+ * @param {string|string[]|null|undefined} value - Column keys
+ * @returns {string[]} Valid column keys, in order
+ */
+function parseColumnLayout(value) {
+  const keys = [].concat(value ?? []).flatMap(v => String(v).split(',')).map(k => k.trim());
+  return [...new Set(keys)]
+    .filter(key => TABLE_COLUMNS.some(col => col.key === key));
+}
+
+/**
+ * Get the columns to show: the columns of a layout in its order, or the
+ * columns that have data when no layout is chosen.
+ * @param {Object[]} data - Array of benchmark objects
+ * @param {string[]} [layout] - Column keys from parseColumnLayout
+ * @returns {ColumnConfig[]} Columns to render
+ */
+function getLayoutColumns(data, layout) {
+  if (!layout || layout.length === 0) {
+    return getActiveColumns(data);
+  }
+  return layout.map(key => TABLE_COLUMNS.find(col => col.key === key));
+}
+
+/**
+ * Get the stored column the benchmarks table sorts by for a column key.
+ * Only TABLE_COLUMNS keys are accepted, so the result is safe to use in SQL.
+ * @param {string} key - Column key
+ * @returns {string|null} Column name, or null if the key is not a table column
+ */
+function getSortColumn(key) {
+  const column = TABLE_COLUMNS.find(col => col.key === key);
+  return column ? column.sortColumn || column.key : null;
+}
+
+/**
+ * Check whether the benchmarks table can be sorted by a column.
+ * @param {string} key - Column key
+ * @returns {boolean} True if the column is sortable
+ */
+function isSortableColumn(key) {
+  return getSortColumn(key) !== null;
+}
+
 /**
  * Format a cell value based on column configuration.
  * @param {*} value - The raw value
@@ -107,5 +175,9 @@ function formatCellValue(value, column) {
 module.exports = {
   TABLE_COLUMNS,
   getActiveColumns,
+  parseColumnLayout,
+  getLayoutColumns,
+  getSortColumn,
+  isSortableColumn,
   formatCellValue
 };
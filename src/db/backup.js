@@ -0,0 +1,367 @@
+/**
+ * @fileoverview Database backups and merge-restore.
+ * Backups are consistent online copies made with SQLite's backup API, so they
+ * can be taken while the server is running in WAL mode. A backup (or an export
+ * archive from GET /api/export) can be merged into the live database; rows
+ * already present are skipped by fingerprint. Merges read their source row by
+ * row and insert in batches, so memory use does not grow with its size.
+ * @module db/backup
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const Database = require('better-sqlite3');
+const { DB_PATH, getDb } = require('./index');
+const queries = require('./queries');
+const { FINGERPRINT_FIELDS, getRowFingerprint, getTestLabel, transformBenchmark } = require('../models/benchmark');
+const { parseGpuInfo } = require('../models/hardware');
+const { validateSubmission } = require('../models/validation');
+
+/** @type {string} Directory backups are written to (BACKUP_DIR, default: "backups" next to the database) */
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(path.dirname(DB_PATH), 'backups');
+
+/** @type {number} Hours between scheduled backups (BACKUP_INTERVAL_HOURS, 0 disables) */
+const BACKUP_INTERVAL_HOURS = parseFloat(process.env.BACKUP_INTERVAL_HOURS) || 0;
+
+/** @type {number} Number of backups kept by scheduled backups (BACKUP_RETAIN, default 7) */
+const BACKUP_RETAIN = parseInt(process.env.BACKUP_RETAIN, 10) || 7;
+
+/** @type {RegExp} File names of backups created by this module */
+const BACKUP_FILE_PATTERN = /^benchmarks-\d{8}T\d{9}Z\.db$/;
+
+/** @type {number} Rows inserted per transaction when merging */
+const MERGE_BATCH_SIZE = 500;
+
+/** @type {string} First bytes of every SQLite database file */
+const SQLITE_HEADER = 'SQLite format 3\0';
+
+/**
+ * Stored benchmark columns copied when merging, besides the fingerprint fields.
+ * run_id and host_id are reassigned in the target database.
+ * @type {string[]}
+ */
+const MERGE_COLUMNS = [
+  'test_type', 'test_label', 'gpu_model', 'gpu_count',
+  'tokens_per_second', 'stddev', 'samples', 'avg_ns', 'stddev_ns', 'samples_ns', 'raw_json'
+];
+
+/**
+ * @typedef {Object} BackupInfo
+ * @property {string} name - File name
+ * @property {string} path - Absolute file path
+ * @property {number} size - Size in bytes
+ * @property {string} created_at - Modification time (ISO 8601)
+ */
+
+/**
+ * @typedef {Object} MergeResult
+ * @property {number} runs - Number of runs created in the target database
+ * @property {number} inserted - Rows added
+ * @property {number} skipped_duplicates - Rows already present (same fingerprint)
+ * @property {number} rejected - Archive records that failed validation
+ */
+
+/**
+ * Describe a backup file.
+ * @param {string} file - Backup file path
+ * @returns {BackupInfo} Backup details
+ */
+function describeBackup(file) {
+  const stat = fs.statSync(file);
+  return { name: path.basename(file), path: path.resolve(file), size: stat.size, created_at: stat.mtime.toISOString() };
+}
+
+/**
+ * Create a consistent copy of the live database.
+ * @param {string} [destination] - Target file (default: a timestamped file in BACKUP_DIR)
+ * @returns {Promise<BackupInfo>} The created backup
+ */
+async function createBackup(destination) {
+  const timestamp = new Date().toISOString().replace(/[-:.]/g, '');
+  const file = destination || path.join(BACKUP_DIR, `benchmarks-${timestamp}.db`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  await getDb().backup(file);
+  return describeBackup(file);
+}
+
+/**
+ * List backups in BACKUP_DIR, newest first.
+ * @returns {BackupInfo[]} Backups
+ */
+function listBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(BACKUP_DIR)
+    .filter(name => BACKUP_FILE_PATTERN.test(name))
+    .map(name => describeBackup(path.join(BACKUP_DIR, name)))
+    .sort((a, b) => b.name.localeCompare(a.name));
+}
+
+/**
+ * Resolve a backup name to its path, refusing anything outside BACKUP_DIR.
+ * @param {string} name - Backup file name
+ * @returns {string|null} Backup path, or null if there is no such backup
+ */
+function getBackupPath(name) {
+  if (!BACKUP_FILE_PATTERN.test(name || '')) {
+    return null;
+  }
+  const file = path.join(BACKUP_DIR, name);
+  return fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Delete the oldest backups beyond the retention count.
+ * @param {number} [retain=BACKUP_RETAIN] - Number of backups to keep
+ * @returns {string[]} Names of deleted backups
+ */
+function pruneBackups(retain = BACKUP_RETAIN) {
+  const expired = listBackups().slice(Math.max(retain, 1));
+  expired.forEach(backup => fs.unlinkSync(backup.path));
+  return expired.map(backup => backup.name);
+}
+
+/**
+ * Convert a stored benchmark row (from a backup or a JSONL export) into an
+ * insertable record, filling columns missing from older schemas.
+ * The stored fingerprint is kept when there is one: a JSONL export has no raw
+ * record to tell a defaulted test time from a measured one.
+ * @param {Object} row - Stored benchmark row
+ * @returns {Object} Benchmark record with its fingerprint
+ */
+function rowToBenchmark(row) {
+  const benchmark = {};
+  [...FINGERPRINT_FIELDS, ...MERGE_COLUMNS].forEach(column => {
+    const value = row[column] ?? null;
+    benchmark[column] = Array.isArray(value) ? JSON.stringify(value) : value;
+  });
+  if (benchmark.gpu_model === null && benchmark.gpu_info) {
+    const gpu = parseGpuInfo(benchmark.gpu_info);
+    benchmark.gpu_model = gpu.model;
+    benchmark.gpu_count = gpu.count;
+  }
+  if (benchmark.test_label === null) {
+    benchmark.test_label = getTestLabel(benchmark.n_prompt, benchmark.n_gen, benchmark.n_depth);
+  }
+  benchmark.fingerprint = row.fingerprint || getRowFingerprint(benchmark);
+  return benchmark;
+}
+
+/**
+ * Insert one batch of merged rows and add the outcome to the totals. The first
+ * batch stored for a target creates its run; later batches are added to it.
+ * @param {MergeResult} totals - Running totals (updated in place)
+ * @param {Object[]} benchmarks - Benchmark records
+ * @param {{run: import('./queries').RunInfo, runId: number|null}} target - Run metadata and the created run's ID
+ */
+function mergeBatch(totals, benchmarks, target) {
+  if (benchmarks.length === 0) {
+    return;
+  }
+  const result = queries.insertBenchmarks(benchmarks, { run: target.run, runId: target.runId, onDuplicate: 'skip' });
+  if (target.runId === null && result.run_id !== null) {
+    target.runId = result.run_id;
+    totals.runs++;
+  }
+  totals.inserted += result.inserted;
+  totals.skipped_duplicates += result.skipped_duplicates;
+}
+
+/**
+ * Create a collector that merges the rows added to it as one run, in batches of
+ * MERGE_BATCH_SIZE.
+ * @param {MergeResult} totals - Running totals (updated in place)
+ * @param {import('./queries').RunInfo} run - Run metadata
+ * @returns {{add: function(Object): void, flush: function(): void}} Collector; call flush after the last row
+ */
+function createRunMerger(totals, run) {
+  const target = { run, runId: null };
+  let pending = [];
+  const flush = () => {
+    mergeBatch(totals, pending, target);
+    pending = [];
+  };
+  return {
+    add: benchmark => {
+      pending.push(benchmark);
+      if (pending.length >= MERGE_BATCH_SIZE) {
+        flush();
+      }
+    },
+    flush
+  };
+}
+
+/**
+ * Merge a SQLite backup into the live database, keeping its runs and hosts.
+ * @param {string} file - Backup file path
+ * @param {string} label - Source name used for runs without a name
+ * @returns {MergeResult} Merge outcome
+ * @throws {Error} If the file has no benchmarks table
+ */
+function mergeDatabase(file, label) {
+  const source = new Database(file, { readonly: true, fileMustExist: true });
+  try {
+    const tables = source.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(t => t.name);
+    if (!tables.includes('benchmarks')) {
+      throw new Error('Not a benchmarks database: no benchmarks table');
+    }
+    const hasRuns = tables.includes('runs')
+      && source.prepare('PRAGMA table_info(benchmarks)').all().some(c => c.name === 'run_id');
+
+    const totals = { runs: 0, inserted: 0, skipped_duplicates: 0, rejected: 0 };
+
+    // Rows of each source run become one run in the target database
+    const runs = hasRuns
+      ? source.prepare('SELECT * FROM runs WHERE id IN (SELECT DISTINCT run_id FROM benchmarks) ORDER BY id').all()
+      : [];
+    const batches = [
+      ...runs.map(r => ({
+        where: 'run_id = @runId',
+        params: { runId: r.id },
+        run: { name: r.name || `Restored from ${label}`, host: r.host, notes: r.notes }
+      })),
+      { where: hasRuns ? '(run_id IS NULL OR run_id NOT IN (SELECT id FROM runs))' : '1=1', params: {}, run: { name: `Restored from ${label}` } }
+    ];
+
+    for (const batch of batches) {
+      const merger = createRunMerger(totals, batch.run);
+      for (const row of source.prepare(`SELECT * FROM benchmarks WHERE ${batch.where} ORDER BY id`).iterate(batch.params)) {
+        merger.add(rowToBenchmark(row));
+      }
+      merger.flush();
+    }
+    return totals;
+  } finally {
+    source.close();
+  }
+}
+
+/**
+ * Merge an export archive into the live database. Accepts the llama-bench JSON
+ * export (re-validated like a submission) and the JSONL export of stored rows;
+ * JSONL lines holding llama-bench records are accepted too. JSONL is read line
+ * by line; a JSON array is parsed whole, so large archives should be JSONL.
+ * Rows are merged as they are read, so rows before a malformed line are kept.
+ * @param {string} file - Archive file path
+ * @param {string} label - Source name used for the created runs
+ * @returns {Promise<MergeResult>} Merge outcome
+ * @throws {Error} If the archive is not valid JSON/JSONL
+ */
+async function mergeArchive(file, label) {
+  const totals = { runs: 0, inserted: 0, skipped_duplicates: 0, rejected: 0 };
+  const run = { name: `Restored from ${label}` };
+
+  // Stored rows keep their original run grouping; llama-bench records form one run
+  const storedRuns = new Map();
+  const submitted = createRunMerger(totals, run);
+  let entries = [];
+  const mergeEntries = () => {
+    const { valid } = validateSubmission(entries);
+    totals.rejected += entries.length - valid.length;
+    valid.forEach(entry => submitted.add(transformBenchmark(entry.data)));
+    entries = [];
+  };
+  const addRecord = (record, index) => {
+    if (record && 'tokens_per_second' in record) {
+      const runId = record.run_id ?? null;
+      if (!storedRuns.has(runId)) {
+        storedRuns.set(runId, createRunMerger(totals, run));
+      }
+      storedRuns.get(runId).add(rowToBenchmark(record));
+    } else {
+      entries.push({ index, data: record });
+      if (entries.length >= MERGE_BATCH_SIZE) {
+        mergeEntries();
+      }
+    }
+  };
+
+  const input = fs.createReadStream(file, { encoding: 'utf8' });
+  let isArray = false;
+  try {
+    let lineNumber = 0;
+    let index = 0;
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      lineNumber++;
+      if (!line.trim()) {
+        continue;
+      }
+      if (index === 0 && line.trimStart().startsWith('[')) {
+        isArray = true;
+        break;
+      }
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+      }
+      addRecord(record, index++);
+    }
+  } finally {
+    input.destroy();
+  }
+  if (isArray) {
+    JSON.parse(await fs.promises.readFile(file, 'utf8')).forEach(addRecord);
+  }
+
+  storedRuns.forEach(merger => merger.flush());
+  mergeEntries();
+  submitted.flush();
+  if (totals.rejected > 0) {
+    console.warn(`Restore: ${totals.rejected} invalid record(s) in ${label} were skipped`);
+  }
+  return totals;
+}
+
+/**
+ * Merge a backup or export archive into the live database, de-duplicating by
+ * fingerprint. API keys and webhooks in a backup are not merged.
+ * @param {string} file - SQLite backup, llama-bench JSON export or JSONL export
+ * @param {string} [label] - Source name used to label the created runs (default: the file name)
+ * @returns {Promise<MergeResult>} Merge outcome
+ */
+async function mergeFile(file, label = path.basename(file)) {
+  const fd = fs.openSync(file, 'r');
+  const header = Buffer.alloc(SQLITE_HEADER.length);
+  fs.readSync(fd, header, 0, header.length, 0);
+  fs.closeSync(fd);
+  return header.toString('latin1') === SQLITE_HEADER ? mergeDatabase(file, label) : mergeArchive(file, label);
+}
+
+/**
+ * Start scheduled backups when BACKUP_INTERVAL_HOURS is set. After each backup,
+ * all but the newest BACKUP_RETAIN backups are deleted.
+ * @returns {NodeJS.Timeout|null} Interval timer, or null when disabled
+ */
+function scheduleBackups() {
+  if (BACKUP_INTERVAL_HOURS <= 0) {
+    return null;
+  }
+  const run = async () => {
+    try {
+      const backup = await createBackup();
+      const pruned = pruneBackups();
+      console.log(`Backup written to ${backup.path}` + (pruned.length > 0 ? ` (pruned ${pruned.length})` : ''));
+    } catch (error) {
+      console.error('Scheduled backup failed:', error.message);
+    }
+  };
+  console.log(`Scheduled backups every ${BACKUP_INTERVAL_HOURS}h to ${BACKUP_DIR} (keeping ${BACKUP_RETAIN})`);
+  return setInterval(run, BACKUP_INTERVAL_HOURS * 3600 * 1000).unref();
+}
+
+module.exports = {
+  BACKUP_DIR,
+  BACKUP_INTERVAL_HOURS,
+  BACKUP_RETAIN,
+  createBackup,
+  listBackups,
+  getBackupPath,
+  pruneBackups,
+  mergeFile,
+  scheduleBackups
+};
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview SQL functions registered on the database connection.
+ * SQLite has no percentile aggregate, and "the value of the newest row" cannot
+ * be expressed as a plain aggregate, so both are provided as user-defined
+ * aggregates for the aggregations of config/metrics.
+ * @module db/functions
+ */
+
+const { percentile } = require('../analysis/stats');
+
+/**
+ * Register the aggregate functions on a database connection:
+ * - `percentile(value, p)`: the p-th percentile (0-100) of the non-null values,
+ *   interpolated linearly between the closest ranks
+ * - `latest(value, time, id)`: the value of the row with the greatest time,
+ *   the greatest id breaking ties; rows with a null value are ignored
+ * @param {import('better-sqlite3').Database} database - The SQLite database instance
+ * @returns {void}
+ */
+function registerFunctions(database) {
+  database.aggregate('percentile', {
+    start: () => ({ values: [], p: null }),
+    step: (state, value, p) => {
+      if (value !== null) {
+        state.values.push(value);
+        state.p = p;
+      }
+      return state;
+    },
+    result: state => percentile(state.values, state.p)
+  });
+
+  database.aggregate('latest', {
+    start: () => null,
+    step: (state, value, time, id) => {
+      if (value === null) {
+        return state;
+      }
+      if (state === null || time > state.time || (time === state.time && id > state.id)) {
+        return { value, time, id };
+      }
+      return state;
+    },
+    result: state => (state === null ? null : state.value)
+  });
+}
+
+module.exports = { registerFunctions };
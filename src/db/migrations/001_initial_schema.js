@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Baseline schema: the benchmarks table and its indexes as created
+ * before versioned migrations. Databases from that time already have them, so
+ * every statement is idempotent; all later columns and tables come from the
+ * following migrations.
+ * @module db/migrations/001_initial_schema
+ */
+
+/** @type {string} */
+const description = 'Create the benchmarks table';
+
+/**
+ * Apply the migration.
+ * @param {import('better-sqlite3').Database} database - The SQLite database instance
+ */
+function up(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS benchmarks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      -- Build info
+      build_commit TEXT,
+      build_number INTEGER,
+      test_time TEXT,
+
+      -- Hardware
+      cpu_info TEXT,
+      gpu_info TEXT,
+      backend TEXT,
+
+      -- Model
+      model_filename TEXT,
+      model_type TEXT,
+      model_size INTEGER,
+      model_n_params INTEGER,
+
+      -- Test parameters
+      test_type TEXT,
+      n_prompt INTEGER,
+      n_gen INTEGER,
+      n_batch INTEGER,
+      n_ubatch INTEGER,
+      n_threads INTEGER,
+      n_gpu_layers INTEGER,
+      n_ctx INTEGER,
+      flash_attn INTEGER,
+      cache_type_k TEXT,
+      cache_type_v TEXT,
+      embeddings INTEGER,
+      split_mode TEXT,
+      main_gpu INTEGER,
+
+      -- Results
+      tokens_per_second REAL,
+      stddev REAL,
+      samples TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_build_commit ON benchmarks(build_commit);
+    CREATE INDEX IF NOT EXISTS idx_model_filename ON benchmarks(model_filename);
+    CREATE INDEX IF NOT EXISTS idx_test_time ON benchmarks(test_time);
+    CREATE INDEX IF NOT EXISTS idx_test_type ON benchmarks(test_type);
+    CREATE INDEX IF NOT EXISTS idx_gpu_info ON benchmarks(gpu_info);
+  `);
+}
+
+module.exports = { description, up };
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Schema added after the baseline, before versioned migrations:
+ * the runs, hosts, api_keys, webhooks and webhook_deliveries tables, and the
+ * benchmarks columns for llama-bench parameters (n_prompt, n_gen, n_depth, ...),
+ * run and host links, the rest of the llama-bench record, the duplicate-detection
+ * fingerprint and normalized GPU columns.
+ * Replaces the table and column checks that ran at every startup before versioned
+ * migrations, so every statement is idempotent.
+ * @module db/migrations/002_unversioned_schema
+ */
+
+const { addColumnIfMissing } = require('../migrator');
+
+/** @type {string} */
+const description = 'Add runs, hosts, API keys and webhooks, and llama-bench parameter, run/host link, fingerprint and GPU profile columns';
+
+/**
+ * Columns added to benchmarks, as [name, definition] pairs.
+ * @type {Array<[string, string]>}
+ */
+const COLUMNS = [
+  ['n_prompt', 'INTEGER'],
+  ['n_gen', 'INTEGER'],
+  ['split_mode', 'TEXT'],
+  ['main_gpu', 'INTEGER'],
+  ['n_depth', 'INTEGER'],
+  ['run_id', 'INTEGER REFERENCES runs(id)'],
+  ['n_cpu_moe', 'INTEGER'],
+  ['tensor_split', 'TEXT'],
+  ['tensor_buft_overrides', 'TEXT'],
+  ['devices', 'TEXT'],
+  ['use_mmap', 'INTEGER'],
+  ['no_kv_offload', 'INTEGER'],
+  ['no_op_offload', 'INTEGER'],
+  ['cpu_mask', 'TEXT'],
+  ['cpu_strict', 'INTEGER'],
+  ['poll', 'INTEGER'],
+  ['avg_ns', 'INTEGER'],
+  ['stddev_ns', 'INTEGER'],
+  ['samples_ns', 'TEXT'],
+  ['raw_json', 'TEXT'],
+  ['fingerprint', 'TEXT'],
+  ['host_id', 'INTEGER REFERENCES hosts(id)'],
+  ['gpu_model', 'TEXT'],
+  ['gpu_count', 'INTEGER']
+];
+
+/**
+ * Apply the migration.
+ * @param {import('better-sqlite3').Database} database - The SQLite database instance
+ */
+function up(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT,
+      host TEXT,
+      notes TEXT,
+      submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS hosts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      cpu_info TEXT,
+      gpu_info TEXT,
+      gpu_model TEXT,
+      gpu_count INTEGER,
+      gpu_devices TEXT,
+      first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_runs_submitted_at ON runs(submitted_at);
+
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      key_prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      scopes TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME,
+      revoked_at DATETIME
+    );
+
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      url TEXT NOT NULL,
+      format TEXT NOT NULL DEFAULT 'json',
+      events TEXT NOT NULL,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id INTEGER NOT NULL REFERENCES webhooks(id),
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      response_status INTEGER,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_attempt_at DATETIME,
+      next_attempt_at DATETIME
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status);
+  `);
+  for (const [name, definition] of COLUMNS) {
+    if (addColumnIfMissing(database, 'benchmarks', name, definition)) {
+      console.log(`  Added ${name} column`);
+    }
+  }
+  database.exec(`
+    CREATE INDEX IF NOT EXISTS idx_run_id ON benchmarks(run_id);
+    CREATE INDEX IF NOT EXISTS idx_host_id ON benchmarks(host_id);
+    CREATE INDEX IF NOT EXISTS idx_gpu_model ON benchmarks(gpu_model);
+  `);
+}
+
+module.exports = { description, up };
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Compute fingerprints for rows stored before duplicate detection
+ * existed, then enforce uniqueness. Only the oldest copy of a duplicated row
+ * gets the fingerprint; later copies keep NULL so the unique index can be
+ * created without deleting any data. The fingerprint logic is a snapshot of
+ * models/benchmark at this version.
+ * @module db/migrations/003_backfill_fingerprints
+ */
+
+const crypto = require('crypto');
+
+/** @type {string} */
+const description = 'Backfill fingerprints and add the unique fingerprint index';
+
+/** @type {number} Rows read per page: the table is never loaded at once, and rows can't be updated while a statement iterates */
+const PAGE_SIZE = 1000;
+
+/** @type {string[]} */
+const FINGERPRINT_FIELDS = [
+  'build_commit', 'build_number', 'test_time',
+  'cpu_info', 'gpu_info', 'backend',
+  'model_filename', 'model_type', 'model_size', 'model_n_params',
+  'n_prompt', 'n_gen', 'n_depth', 'n_batch', 'n_ubatch', 'n_threads', 'n_gpu_layers',
+  'n_ctx', 'flash_attn', 'cache_type_k', 'cache_type_v', 'embeddings',
+  'split_mode', 'main_gpu',
+  'n_cpu_moe', 'tensor_split', 'tensor_buft_overrides', 'devices',
+  'use_mmap', 'no_kv_offload', 'no_op_offload',
+  'cpu_mask', 'cpu_strict', 'poll',
+  'samples'
+];
+
+/** @type {string[]} */
+const UNTIMED_FINGERPRINT_FIELDS = ['tokens_per_second', 'stddev'];
+
+/** @type {Object<string, string|number>} */
+const FINGERPRINT_DEFAULTS = {
+  n_cpu_moe: 0,
+  tensor_split: '0.00',
+  tensor_buft_overrides: 'none',
+  devices: 'auto',
+  use_mmap: 1,
+  no_kv_offload: 0,
+  no_op_offload: 0,
+  cpu_mask: '0x0',
+  cpu_strict: 0,
+  poll: 50
+};
+
+/**
+ * Compute the fingerprint of a stored row. A test time missing from the raw
+ * record was defaulted at submission and is replaced by the measured values.
+ * @param {Object} row - Benchmark row
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function getFingerprint(row) {
+  if (row.raw_json && JSON.parse(row.raw_json).test_time === undefined) {
+    row = { ...row, test_time: null };
+  }
+  const parts = (row.test_time ? FINGERPRINT_FIELDS : [...FINGERPRINT_FIELDS, ...UNTIMED_FINGERPRINT_FIELDS])
+    .filter(field => row[field] !== null && row[field] !== undefined)
+    .filter(field => row[field] !== FINGERPRINT_DEFAULTS[field])
+    .map(field => [field, row[field]]);
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * Apply the migration.
+ * @param {import('better-sqlite3').Database} database - The SQLite database instance
+ */
+function up(database) {
+  const columns = ['id', 'raw_json', ...FINGERPRINT_FIELDS, ...UNTIMED_FINGERPRINT_FIELDS];
+  const page = database.prepare(`
+    SELECT ${columns.join(', ')} FROM benchmarks
+    WHERE fingerprint IS NULL AND id > ? ORDER BY id LIMIT ${PAGE_SIZE}
+  `);
+  const exists = database.prepare('SELECT 1 FROM benchmarks WHERE fingerprint = ?');
+  const update = database.prepare('UPDATE benchmarks SET fingerprint = ? WHERE id = ?');
+
+  let lastId = 0;
+  let read = 0;
+  let updated = 0;
+  for (let rows = page.all(lastId); rows.length > 0; rows = page.all(lastId)) {
+    for (const row of rows) {
+      const fingerprint = getFingerprint(row);
+      if (!exists.get(fingerprint)) {
+        update.run(fingerprint, row.id);
+        updated++;
+      }
+    }
+    read += rows.length;
+    lastId = rows[rows.length - 1].id;
+  }
+  if (updated > 0) {
+    console.log(`  Backfilled ${updated} fingerprints (${read - updated} duplicates left unmarked)`);
+  }
+
+  database.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_fingerprint ON benchmarks(fingerprint)');
+}
+
+module.exports = { description, up };
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Derive gpu_model/gpu_count from gpu_info for rows stored before
+ * they existed, and create host profiles from the host names of earlier runs.
+ * The gpu_info parsing is a snapshot of models/hardware at this version.
+ * @module db/migrations/004_backfill_host_profiles
+ */
+
+/** @type {string} */
+const description = 'Backfill normalized GPU columns and host profiles';
+
+/** @type {RegExp} Separators between devices in multi-GPU strings */
+const DEVICE_SEPARATOR = /\s*(?:,|\/|;|\|)\s*/;
+
+/** @type {RegExp} Multiplier prefix or suffix, e.g. "2x RTX 3090" or "RTX 3090 x2" */
+const MULTIPLIER = /^(\d+)\s*[x×]\s+(.+)$|^(.+?)\s+[x×]\s*(\d+)$/i;
+
+/**
+ * Parse a gpu_info string into a device list, total count and normalized model.
+ * @param {string|null} gpuInfo - Raw gpu_info value
+ * @returns {{devices: {name: string, count: number}[], count: number, model: string|null}} GPU profile
+ */
+function parseGpuInfo(gpuInfo) {
+  const counts = new Map();
+
+  for (const part of String(gpuInfo || '').split(DEVICE_SEPARATOR)) {
+    let name = part.trim();
+    let count = 1;
+    const match = name.match(MULTIPLIER);
+    if (match) {
+      name = (match[2] || match[3]).trim();
+      count = parseInt(match[1] || match[4], 10);
+    }
+    if (name) {
+      counts.set(name, (counts.get(name) || 0) + count);
+    }
+  }
+
+  const devices = [...counts.entries()].map(([name, count]) => ({ name, count }));
+  return {
+    devices,
+    count: devices.reduce((sum, d) => sum + d.count, 0),
+    model: devices.length > 0 ? devices.map(d => d.name).join(' + ') : null
+  };
+}
+
+/**
+ * Derive gpu_model and gpu_count from gpu_info where missing.
+ * @param {import('better-sqlite3').Database} database - The SQLite database instance
+ */
+function backfillGpuProfiles(database) {
+  const rows = database.prepare(`
+    SELECT DISTINCT gpu_info FROM benchmarks
+    WHERE gpu_count IS NULL AND gpu_info IS NOT NULL AND gpu_info != ''
+  `).all();
+
+  const update = database.prepare(`
+    UPDATE benchmarks SET gpu_model = @model, gpu_count = @count
+    WHERE gpu_info = @gpuInfo AND gpu_count IS NULL
+  `);
+  for (const { gpu_info: gpuInfo } of rows) {
+    const { model, count } = parseGpuInfo(gpuInfo);
+    update.run({ gpuInfo, model, count });
+  }
+  if (rows.length > 0) {
+    console.log(`  Parsed ${rows.length} distinct GPU strings`);
+  }
+}
+
+/**
+ * Create host profiles from run host names and link their rows.
+ * Each profile takes its hardware from the host's most recent row.
+ * @param {import('better-sqlite3').Database} database - The SQLite database instance
+ */
+function backfillHosts(database) {
+  const rows = database.prepare(`
+    SELECT r.host, MAX(b.id) as latest_id
+    FROM benchmarks b
+    JOIN runs r ON r.id = b.run_id
+    WHERE b.host_id IS NULL AND r.host IS NOT NULL AND r.host != ''
+    GROUP BY r.host
+  `).all();
+
+  const latest = database.prepare('SELECT cpu_info, gpu_info FROM benchmarks WHERE id = ?');
+  const insert = database.prepare(`
+    INSERT INTO hosts (name, cpu_info, gpu_info, gpu_model, gpu_count, gpu_devices)
+    VALUES (@name, @cpu_info, @gpu_info, @gpu_model, @gpu_count, @gpu_devices)
+    ON CONFLICT(name) DO NOTHING
+  `);
+  const link = database.prepare(`
+    UPDATE benchmarks SET host_id = (SELECT id FROM hosts WHERE name = @name)
+    WHERE host_id IS NULL AND run_id IN (SELECT id FROM runs WHERE host = @name)
+  `);
+  for (const row of rows) {
+    const { cpu_info, gpu_info } = latest.get(row.latest_id);
+    const gpu = parseGpuInfo(gpu_info);
+    insert.run({
+      name: row.host,
+      cpu_info,
+      gpu_info,
+      gpu_model: gpu.model,
+      gpu_count: gpu.count,
+      gpu_devices: JSON.stringify(gpu.devices)
+    });
+    link.run({ name: row.host });
+  }
+  if (rows.length > 0) {
+    console.log(`  Linked runs from ${rows.length} hosts`);
+  }
+}
+
+/**
+ * Apply the migration.
+ * @param {import('better-sqlite3').Database} database - The SQLite database instance
+ */
+function up(database) {
+  backfillGpuProfiles(database);
+  backfillHosts(database);
+}
+
+module.exports = { description, up };
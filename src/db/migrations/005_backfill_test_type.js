@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Recompute test_type from n_prompt/n_gen.
+ * Rows stored by early versions have a NULL or inconsistent test_type
+ * (e.g. mixed pp+tg tests classified by the first non-zero count).
+ * The classification is a snapshot of models/benchmark getTestType at this version.
+ * @module db/migrations/005_backfill_test_type
+ */
+
+/** @type {string} */
+const description = 'Recompute test_type from n_prompt and n_gen';
+
+/**
+ * Determine the test type from n_prompt and n_gen.
+ * @param {number|null} nPrompt - Number of prompt tokens
+ * @param {number|null} nGen - Number of generated tokens
+ * @returns {string|null} 'pp', 'tg', 'pp+tg', or null when neither count is set
+ */
+function getTestType(nPrompt, nGen) {
+  if (nPrompt > 0 && (!nGen || nGen === 0)) {
+    return 'pp';
+  }
+  if (nGen > 0 && (!nPrompt || nPrompt === 0)) {
+    return 'tg';
+  }
+  if (nPrompt > 0 && nGen > 0) {
+    return 'pp+tg';
+  }
+  return null;
+}
+
+/**
+ * Apply the migration.
+ * @param {import('better-sqlite3').Database} database - The SQLite database instance
+ */
+function up(database) {
+  const rows = database.prepare(`
+    SELECT DISTINCT n_prompt, n_gen, test_type FROM benchmarks
+    WHERE n_prompt IS NOT NULL OR n_gen IS NOT NULL
+  `).all();
+
+  const update = database.prepare(`
+    UPDATE benchmarks SET test_type = @testType
+    WHERE n_prompt IS @nPrompt AND n_gen IS @nGen AND test_type IS @oldType
+  `);
+  let updated = 0;
+  for (const row of rows) {
+    const testType = getTestType(row.n_prompt, row.n_gen);
+    if (testType !== null && testType !== row.test_type) {
+      updated += update.run({ testType, nPrompt: row.n_prompt, nGen: row.n_gen, oldType: row.test_type }).changes;
+    }
+  }
+  if (updated > 0) {
+    console.log(`  Updated test_type on ${updated} rows`);
+  }
+}
+
+module.exports = { description, up };
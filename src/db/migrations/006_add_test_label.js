@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Add the test_label column (llama-bench test name such as
+ * "pp512", "tg128", "pp512+tg128" or "tg128 @ d4096") and fill it from
+ * n_prompt, n_gen and n_depth. The label format is a snapshot of models/benchmark
+ * getTestLabel at this version.
+ * @module db/migrations/006_add_test_label
+ */
+
+const { addColumnIfMissing } = require('../migrator');
+/** @type {string} */
+const description = 'Add and backfill the test_label column';
+
+/**
+ * Build the llama-bench test label, e.g. 'pp512', 'tg128', 'pp512+tg128' or 'tg128 @ d4096'.
+ * @param {number|null} nPrompt - Number of prompt tokens
+ * @param {number|null} nGen - Number of generated tokens
+ * @param {number|null} nDepth - Context depth
+ * @returns {string|null} Test label, or null when neither count is set
+ */
+function getTestLabel(nPrompt, nGen, nDepth) {
+  const parts = [];
+  if (nPrompt > 0) {
+    parts.push(`pp${nPrompt}`);
+  }
+  if (nGen > 0) {
+    parts.push(`tg${nGen}`);
+  }
+  if (parts.length === 0) {
+    return null;
+  }
+  return parts.join('+') + (nDepth > 0 ? ` @ d${nDepth}` : '');
+}
+
+/**
+ * Apply the migration.
+ * @param {import('better-sqlite3').Database} database - The SQLite database instance
+ */
+function up(database) {
+  if (addColumnIfMissing(database, 'benchmarks', 'test_label', 'TEXT')) {
+    console.log('  Added test_label column');
+  }
+  database.exec('CREATE INDEX IF NOT EXISTS idx_test_label ON benchmarks(test_label)');
+
+  const rows = database.prepare(`
+    SELECT DISTINCT n_prompt, n_gen, n_depth FROM benchmarks
+    WHERE test_label IS NULL AND (n_prompt IS NOT NULL OR n_gen IS NOT NULL)
+  `).all();
+
+  const update = database.prepare(`
+    UPDATE benchmarks SET test_label = @testLabel
+    WHERE test_label IS NULL AND n_prompt IS @nPrompt AND n_gen IS @nGen AND n_depth IS @nDepth
+  `);
+  let updated = 0;
+  for (const row of rows) {
+    const testLabel = getTestLabel(row.n_prompt, row.n_gen, row.n_depth);
+    if (testLabel !== null) {
+      updated += update.run({ testLabel, nPrompt: row.n_prompt, nGen: row.n_gen, nDepth: row.n_depth }).changes;
+    }
+  }
+  if (updated > 0) {
+    console.log(`  Set test_label on ${updated} rows`);
+  }
+}
+
+module.exports = { description, up };
@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Add the column_presets table: named, shared column layouts
+ * for the benchmarks and trends tables.
+ * @module db/migrations/007_add_column_presets
+ */
+
+/** @type {string} */
+const description = 'Create the column_presets table';
+
+/**
+ * Apply the migration.
+ * @param {import('better-sqlite3').Database} database - The SQLite database instance
+ */
+function up(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS column_presets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      columns TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+module.exports = { description, up };
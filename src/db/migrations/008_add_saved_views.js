@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Add saved trends views and dashboards composed of them.
+ * @module db/migrations/008_add_saved_views
+ */
+
+/** @type {string} */
+const description = 'Create the saved_views, dashboards and dashboard_views tables';
+
+/**
+ * Apply the migration.
+ * @param {import('better-sqlite3').Database} database - The SQLite database instance
+ */
+function up(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS saved_views (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      query TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS dashboards (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      home INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS dashboard_views (
+      dashboard_id INTEGER NOT NULL REFERENCES dashboards(id),
+      view_id INTEGER NOT NULL REFERENCES saved_views(id),
+      position INTEGER NOT NULL,
+      PRIMARY KEY (dashboard_id, view_id)
+    );
+  `);
+}
+
+module.exports = { description, up };
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Add commit metadata for benchmarked builds, read from a local
+ * llama.cpp git checkout.
+ * @module db/migrations/009_add_builds
+ */
+
+/** @type {string} */
+const description = 'Create the builds table';
+
+/**
+ * Apply the migration.
+ * @param {import('better-sqlite3').Database} database - The SQLite database instance
+ */
+function up(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS builds (
+      build_commit TEXT PRIMARY KEY,
+      commit_hash TEXT NOT NULL,
+      subject TEXT,
+      author TEXT,
+      commit_date TEXT,
+      parents TEXT,
+      topo_order INTEGER,
+      synced_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_builds_topo_order ON builds(topo_order);
+  `);
+}
+
+module.exports = { description, up };
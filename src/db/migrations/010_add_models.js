@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Add the model catalogue: one row per model file with metadata
+ * parsed from llama-bench's model_type and model_filename, and a user-editable
+ * family and alias. Benchmarks get quantization and model_family columns, kept
+ * in sync with the catalogue, so both can be used as dimensions. The model
+ * metadata parsing is a snapshot of models/modelInfo at this version.
+ * @module db/migrations/010_add_models
+ */
+
+const { addColumnIfMissing } = require('../migrator');
+
+/** @type {string} */
+const description = 'Create the models catalogue and add quantization/model_family to benchmarks';
+
+/**
+ * llama.cpp file type descriptions (the end of model_type) mapped to the
+ * quantization names used in GGUF file names.
+ * @type {Object.<string, string>}
+ */
+const FTYPE_SUFFIXES = {
+  'Small': 'S',
+  'Medium': 'M',
+  'Large': 'L',
+  'Extra Small': 'XS',
+  'Extra Extra Small': 'XXS'
+};
+
+/** @type {RegExp} Quantization names as they appear in GGUF file names (e.g. Q4_K_M, IQ3_XXS, Q8_0, BF16) */
+const QUANT_PATTERN = /(?:^|[._-])((?:I?Q\d_(?:K_(?:XL|S|M|L)|K|[01]|NL|XXS|XS|S|M|L))|TQ\d_0|MXFP4|BF16|F16|F32)(?=$|[._-])/i;
+
+/** @type {RegExp} Parameter count classes in model_type: 7B, 1.5B, 135M, 8x7B, 30B.A3B, ?B */
+const PARAMS_CLASS_PATTERN = /^(?:\d+x)?(?:\d+(?:\.\d+)?|\?)[BMK](?:\.A\d+(?:\.\d+)?[BM])?$/;
+
+/** @type {string[]} Architectures that are mixtures of experts without saying so in their name */
+const MOE_ARCHITECTURES = ['mixtral', 'deepseek2', 'dbrx', 'arctic', 'gpt-oss', 'llama4', 'jamba', 'hunyuan-moe', 'bailingmoe'];
+
+/** @type {RegExp} Split GGUF suffix, e.g. -00001-of-00003 */
+const SPLIT_SUFFIX_PATTERN = /-\d{5}-of-\d{5}$/;
+
+/**
+ * @typedef {Object} ModelInfo
+ * @property {string|null} architecture - Architecture name (e.g. 'llama', 'qwen3moe')
+ * @property {string|null} params_class - Parameter count class (e.g. '8B', '8x7B', '30B.A3B')
+ * @property {string|null} quantization - Quantization (e.g. 'Q4_K_M', 'Q8_0', 'F16')
+ * @property {boolean} moe - Whether the model is a mixture of experts
+ * @property {string|null} family - Default family: the file's base name without quantization
+ */
+
+/**
+ * Convert a llama.cpp file type description to a quantization name.
+ * @param {string} ftype - File type, e.g. 'Q4_K - Medium', 'IQ4_XS - 4.25 bpw', 'all F32', 'MXFP4 MoE'
+ * @returns {string|null} Quantization, e.g. 'Q4_K_M', 'IQ4_XS', 'F32', 'MXFP4'
+ */
+function parseFileType(ftype) {
+  const match = /^(?:all\s+)?([A-Za-z0-9_]+)(?:\s+-\s+(.+))?/.exec(ftype.trim());
+  if (!match) {
+    return null;
+  }
+  const suffix = match[2] && FTYPE_SUFFIXES[match[2].trim()];
+  return (suffix ? `${match[1]}_${suffix}` : match[1]).toUpperCase();
+}
+
+/**
+ * Get the base name of a model file: no directory, extension or split suffix.
+ * @param {string} filename - Model file name or path
+ * @returns {string} Base name
+ */
+function getBaseName(filename) {
+  return filename.split(/[\\/]/).pop().replace(/\.gguf$/i, '').replace(SPLIT_SUFFIX_PATTERN, '');
+}
+
+/**
+ * Parse llama-bench's model_type and model_filename into model metadata.
+ * The quantization is taken from the file name when it names one, since it can
+ * be more specific: a Q4_K_XL file reports the file type "Q4_K - Medium".
+ * @param {string|null} modelType - llama-bench model_type
+ * @param {string|null} modelFilename - llama-bench model_filename
+ * @returns {ModelInfo} Parsed metadata (fields are null when unknown)
+ */
+function parseModelInfo(modelType, modelFilename) {
+  const tokens = (modelType || '').trim().split(/\s+/).filter(Boolean);
+  const architecture = tokens.length > 0 ? tokens[0].toLowerCase() : null;
+  const paramsClass = tokens.length > 1 && PARAMS_CLASS_PATTERN.test(tokens[1]) ? tokens[1] : null;
+  const ftype = tokens.slice(paramsClass ? 2 : 1).join(' ');
+
+  const baseName = modelFilename ? getBaseName(modelFilename) : '';
+  const quantMatch = QUANT_PATTERN.exec(baseName);
+  const quantization = quantMatch ? quantMatch[1].toUpperCase() : (ftype ? parseFileType(ftype) : null);
+
+  // Everything before the quantization, e.g. 'Qwen3-8B' in 'Qwen3-8B-Q4_K_M' or 'Qwen3-8B-UD-Q4_K_XL'
+  const family = (quantMatch ? baseName.substring(0, quantMatch.index) : baseName).replace(/[._-](?:UD|imat|i1)$/i, '').replace(/[._-]+$/, '');
+
+  const moe = Boolean(
+    (architecture && (architecture.includes('moe') || MOE_ARCHITECTURES.includes(architecture))) ||
+    (paramsClass && /x|\.A/.test(paramsClass)) ||
+    /\bMoE\b/.test(ftype) ||
+    /[._-]A\d+(?:\.\d+)?B(?=$|[._-])/i.test(baseName)
+  );
+
+  return {
+    architecture,
+    params_class: paramsClass,
+    quantization,
+    moe,
+    family: family || null
+  };
+}
+
+/**
+ * Apply the migration.
+ * @param {import('better-sqlite3').Database} database - The SQLite database instance
+ */
+function up(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS models (
+      model_filename TEXT PRIMARY KEY,
+      model_type TEXT,
+      architecture TEXT,
+      params_class TEXT,
+      model_n_params INTEGER,
+      model_size INTEGER,
+      quantization TEXT,
+      moe INTEGER NOT NULL DEFAULT 0,
+      default_family TEXT,
+      family TEXT,
+      alias TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  addColumnIfMissing(database, 'benchmarks', 'quantization', 'TEXT');
+  addColumnIfMissing(database, 'benchmarks', 'model_family', 'TEXT');
+  database.exec(`
+    CREATE INDEX IF NOT EXISTS idx_quantization ON benchmarks(quantization);
+    CREATE INDEX IF NOT EXISTS idx_model_family ON benchmarks(model_family);
+  `);
+
+  // Catalogue every stored model file from its most recent row
+  const rows = database.prepare(`
+    SELECT model_filename, model_type, model_n_params, model_size
+    FROM benchmarks
+    WHERE id IN (SELECT MAX(id) FROM benchmarks WHERE model_filename IS NOT NULL GROUP BY model_filename)
+  `).all();
+  const insert = database.prepare(`
+    INSERT INTO models (model_filename, model_type, architecture, params_class, model_n_params, model_size,
+      quantization, moe, default_family)
+    VALUES (@model_filename, @model_type, @architecture, @params_class, @model_n_params, @model_size,
+      @quantization, @moe, @default_family)
+    ON CONFLICT(model_filename) DO NOTHING
+  `);
+  const update = database.prepare(`
+    UPDATE benchmarks SET quantization = @quantization, model_family = @default_family
+    WHERE model_filename = @model_filename
+  `);
+  for (const row of rows) {
+    const info = parseModelInfo(row.model_type, row.model_filename);
+    const model = {
+      ...row,
+      architecture: info.architecture,
+      params_class: info.params_class,
+      quantization: info.quantization,
+      moe: info.moe ? 1 : 0,
+      default_family: info.family
+    };
+    insert.run(model);
+    update.run(model);
+  }
+  if (rows.length > 0) {
+    console.log(`  Catalogued ${rows.length} model files`);
+  }
+}
+
+module.exports = { description, up };
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Versioned schema migrations.
+ * Migrations live in src/db/migrations as `<version>_<name>.js` modules
+ * exporting `{ description, up(database) }`. Applied versions are recorded in
+ * the schema_migrations table; pending migrations run in version order, each
+ * in its own transaction.
+ * @module db/migrator
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** @type {string} Directory holding the migration modules */
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/** @type {RegExp} Migration file names: numeric version, underscore, name */
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version - Version number from the file name
+ * @property {string} name - File name without extension, e.g. "005_backfill_test_type"
+ * @property {string} description - What the migration does
+ * @property {function(import('better-sqlite3').Database): void} up - Apply the migration
+ */
+
+/**
+ * @typedef {Object} MigrationStatus
+ * @property {number} version - Version number
+ * @property {string} name - Migration name
+ * @property {string|null} description - Description (null if the file is missing)
+ * @property {string|null} applied_at - When it was applied (null if pending)
+ * @property {boolean} missing - True if it was applied but its file no longer exists
+ */
+
+/**
+ * Load the migration modules, ordered by version.
+ * @returns {Migration[]} Migrations
+ * @throws {Error} If two files share a version
+ */
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(MIGRATION_FILE_PATTERN))
+    .filter(match => match)
+    .map(match => {
+      const { description, up } = require(path.join(MIGRATIONS_DIR, match[0]));
+      return { version: parseInt(match[1], 10), name: match[0].replace(/\.js$/, ''), description, up };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((m, i) => {
+    if (i > 0 && migrations[i - 1].version === m.version) {
+      throw new Error(`Duplicate migration version ${m.version}: ${migrations[i - 1].name}, ${m.name}`);
+    }
+  });
+  return migrations;
+}
+
+/**
+ * Create the schema_migrations table if needed.
+ * @param {import('better-sqlite3').Database} database - The SQLite database instance
+ */
+function ensureMigrationsTable(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Get applied and pending migrations.
+ * @param {import('better-sqlite3').Database} database - The SQLite database instance
+ * @returns {MigrationStatus[]} Every known or applied migration, by version
+ */
+function getStatus(database) {
+  ensureMigrationsTable(database);
+  const applied = new Map(database.prepare('SELECT * FROM schema_migrations').all().map(r => [r.version, r]));
+  const migrations = loadMigrations();
+
+  const status = migrations.map(m => ({
+    version: m.version,
+    name: m.name,
+    description: m.description,
+    applied_at: applied.has(m.version) ? applied.get(m.version).applied_at : null,
+    missing: false
+  }));
+  for (const row of applied.values()) {
+    if (!migrations.some(m => m.version === row.version)) {
+      status.push({ version: row.version, name: row.name, description: null, applied_at: row.applied_at, missing: true });
+    }
+  }
+  return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply pending migrations in version order, each in its own transaction.
+ * A dry run applies them all in one transaction and rolls it back, so the
+ * migrations are exercised (and their log output shown) without changing data.
+ * @param {import('better-sqlite3').Database} database - The SQLite database instance
+ * @param {{dryRun?: boolean}} [options] - Migration options
+ * @returns {string[]} Names of the migrations applied (or that would be applied)
+ * @throws {Error} If a migration fails; that migration's changes are rolled back
+ */
+function migrate(database, { dryRun = false } = {}) {
+  const applied = new Set(getStatus(database).filter(s => s.applied_at).map(s => s.version));
+  const pending = loadMigrations().filter(m => !applied.has(m.version));
+  const record = database.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+
+  const apply = migration => {
+    console.log(`Migration ${migration.name}: ${migration.description}`);
+    try {
+      migration.up(database);
+    } catch (error) {
+      error.message = `Migration ${migration.name} failed: ${error.message}`;
+      throw error;
+    }
+    record.run(migration.version, migration.name);
+  };
+
+  if (dryRun) {
+    const rollback = new Error('Dry run');
+    try {
+      database.transaction(() => {
+        pending.forEach(apply);
+        throw rollback;
+      })();
+    } catch (error) {
+      if (error !== rollback) {
+        throw error;
+      }
+    }
+  } else {
+    pending.forEach(migration => database.transaction(apply)(migration));
+  }
+  return pending.map(m => m.name);
+}
+
+/**
+ * Check whether a table has a column.
+ * @param {import('better-sqlite3').Database} database - The SQLite database instance
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {boolean} True if the column exists
+ */
+function hasColumn(database, table, column) {
+  return database.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+/**
+ * Add a column unless it already exists (databases created before versioned
+ * migrations may have it from the old startup checks).
+ * @param {import('better-sqlite3').Database} database - The SQLite database instance
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ * @returns {boolean} True if the column was added
+ */
+function addColumnIfMissing(database, table, column, definition) {
+  if (hasColumn(database, table, column)) {
+    return false;
+  }
+  database.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getStatus,
+  migrate,
+  hasColumn,
+  addColumnIfMissing
+};
@@ -4,22 +4,62 @@
  * @module db/queries
  */
 
-const { getDb } = require('./index');
-const { VALID_DIMENSION_KEYS, filterValidDimensions } = require('../config/dimensions');
+const { getDb, openReadConnection } = require('./index');
+const { VALID_DIMENSION_KEYS, filterValidDimensions, getDimension } = require('../config/dimensions');
+const { parseGpuInfo } = require('../models/hardware');
+const { parseModelInfo } = require('../models/modelInfo');
+const { getSortColumn } = require('../config/tableColumns');
+const { DEFAULT_METRIC, DEFAULT_AGGREGATION, getMetric, getAggregation } = require('../config/metrics');
+
+/**
+ * SQL expression for the position of a row's build in the configured llama.cpp
+ * history (null when the commit is unknown), for ordering by commit topology.
+ * @type {string}
+ */
+const BUILD_ORDER_SELECT = '(SELECT topo_order FROM builds WHERE builds.build_commit = benchmarks.build_commit)';
+
+/**
+ * Get the SQL expression of a metric (see config/metrics), falling back to the
+ * default metric for unknown keys.
+ * @param {string} metric - Metric key
+ * @returns {string} SQL expression
+ */
+function getMetricExpression(metric) {
+  return (getMetric(metric) || getMetric(DEFAULT_METRIC)).expression;
+}
+
+/**
+ * Get the SQL aggregate of a metric (see config/metrics), falling back to the
+ * default aggregation for unknown keys.
+ * @param {string} metric - Metric key
+ * @param {string} agg - Aggregation key
+ * @param {string} [table=''] - Prefix qualifying row columns (e.g. 'b.')
+ * @returns {string} SQL aggregate expression
+ */
+function getAggregateExpression(metric, agg, table = '') {
+  return (getAggregation(agg) || getAggregation(DEFAULT_AGGREGATION)).sql(getMetricExpression(metric), table);
+}
 
 /**
  * @typedef {Object} BenchmarkData
+ * @property {number|null} [run_id] - ID of the run this row belongs to
+ * @property {number|null} [host_id] - ID of the host the row was measured on
  * @property {string|null} build_commit - Git commit hash of the build
  * @property {number|null} build_number - Build number
  * @property {string|null} test_time - ISO timestamp of the test
  * @property {string|null} cpu_info - CPU information
  * @property {string|null} gpu_info - GPU information
  * @property {string|null} backend - Backend used (e.g., CUDA, Metal)
+ * @property {string|null} gpu_model - Distinct GPU names parsed from gpu_info, joined with ' + '
+ * @property {number|null} gpu_count - Number of GPUs parsed from gpu_info
  * @property {string|null} model_filename - Model file name
  * @property {string|null} model_type - Model architecture type
  * @property {number|null} model_size - Model size in bytes
  * @property {number|null} model_n_params - Number of model parameters
+ * @property {string|null} [quantization] - Quantization parsed from the model (e.g. 'Q4_K_M'), set on insert
+ * @property {string|null} [model_family] - Family of the model in the models catalogue, set on insert
  * @property {string|null} test_type - Test type ('pp', 'tg', or 'pp+tg')
+ * @property {string|null} test_label - llama-bench test name (e.g. 'pp512', 'tg128', 'pp512+tg128 @ d4096')
  * @property {number|null} n_prompt - Number of prompt tokens
  * @property {number|null} n_gen - Number of generated tokens
  * @property {number|null} n_depth - Context depth (for -d parameter)
@@ -34,32 +74,99 @@ const { VALID_DIMENSION_KEYS, filterValidDimensions } = require('../config/dimen
  * @property {number} embeddings - Embeddings enabled (0 or 1)
  * @property {string|null} split_mode - GPU split mode ('none', 'layer', or 'row')
  * @property {number|null} main_gpu - Main GPU device index
+ * @property {number|null} n_cpu_moe - MoE expert layers kept on the CPU (--n-cpu-moe)
+ * @property {string|null} tensor_split - Tensor split ratios (-ts), e.g. '0.60/0.40'
+ * @property {string|null} tensor_buft_overrides - Tensor buffer type overrides (-ot)
+ * @property {string|null} devices - Devices used (-dev)
+ * @property {number|null} use_mmap - Memory-mapped model loading (0 or 1)
+ * @property {number|null} no_kv_offload - KV cache kept on the CPU (0 or 1)
+ * @property {number|null} no_op_offload - Op offloading disabled (0 or 1)
+ * @property {string|null} cpu_mask - CPU affinity mask
+ * @property {number|null} cpu_strict - Strict CPU placement (0 or 1)
+ * @property {number|null} poll - Polling level (0-100)
  * @property {number|null} tokens_per_second - Tokens per second result
  * @property {number|null} stddev - Standard deviation of results
- * @property {string|null} samples - JSON string of sample data
+ * @property {string|null} samples - JSON string of per-repetition t/s samples
+ * @property {number|null} avg_ns - Average repetition duration in nanoseconds
+ * @property {number|null} stddev_ns - Standard deviation of repetition duration in nanoseconds
+ * @property {string|null} samples_ns - JSON string of per-repetition durations in nanoseconds
+ * @property {string|null} raw_json - Original llama-bench record as JSON
+ * @property {string} fingerprint - Content hash used for duplicate detection
+ * @property {string|null} [legacy_fingerprint] - Fingerprint without samples, matching rows stored before they were kept
+ */
+
+/**
+ * @typedef {Object} RunInfo
+ * @property {string|null} [name] - Human-readable run name (e.g., "nightly sweep box A")
+ * @property {string|null} [host] - Host the run was executed on
+ * @property {string|null} [notes] - Free-form notes about the run
  */
 
 /** @type {string} SQL statement for inserting a benchmark record */
 const INSERT_BENCHMARK = `
   INSERT INTO benchmarks (
+    run_id, host_id,
     build_commit, build_number, test_time,
-    cpu_info, gpu_info, backend,
-    model_filename, model_type, model_size, model_n_params,
-    test_type, n_prompt, n_gen, n_depth, n_batch, n_ubatch, n_threads, n_gpu_layers,
+    cpu_info, gpu_info, backend, gpu_model, gpu_count,
+    model_filename, model_type, model_size, model_n_params, quantization, model_family,
+    test_type, test_label, n_prompt, n_gen, n_depth, n_batch, n_ubatch, n_threads, n_gpu_layers,
     n_ctx, flash_attn, cache_type_k, cache_type_v, embeddings,
-    split_mode, main_gpu,
-    tokens_per_second, stddev, samples
+    split_mode, main_gpu, n_cpu_moe, tensor_split, tensor_buft_overrides, devices,
+    use_mmap, no_kv_offload, no_op_offload, cpu_mask, cpu_strict, poll,
+    tokens_per_second, stddev, samples, avg_ns, stddev_ns, samples_ns,
+    raw_json, fingerprint
   ) VALUES (
+    @run_id, @host_id,
     @build_commit, @build_number, @test_time,
-    @cpu_info, @gpu_info, @backend,
-    @model_filename, @model_type, @model_size, @model_n_params,
-    @test_type, @n_prompt, @n_gen, @n_depth, @n_batch, @n_ubatch, @n_threads, @n_gpu_layers,
+    @cpu_info, @gpu_info, @backend, @gpu_model, @gpu_count,
+    @model_filename, @model_type, @model_size, @model_n_params, @quantization, @model_family,
+    @test_type, @test_label, @n_prompt, @n_gen, @n_depth, @n_batch, @n_ubatch, @n_threads, @n_gpu_layers,
     @n_ctx, @flash_attn, @cache_type_k, @cache_type_v, @embeddings,
-    @split_mode, @main_gpu,
-    @tokens_per_second, @stddev, @samples
+    @split_mode, @main_gpu, @n_cpu_moe, @tensor_split, @tensor_buft_overrides, @devices,
+    @use_mmap, @no_kv_offload, @no_op_offload, @cpu_mask, @cpu_strict, @poll,
+    @tokens_per_second, @stddev, @samples, @avg_ns, @stddev_ns, @samples_ns,
+    @raw_json, @fingerprint
   )
 `;
 
+/** @type {string} SQL statement for inserting a run record */
+const INSERT_RUN = `
+  INSERT INTO runs (name, host, notes)
+  VALUES (@name, @host, @notes)
+`;
+
+/** @type {string} SQL statement creating a host or refreshing its hardware profile */
+const UPSERT_HOST = `
+  INSERT INTO hosts (name, cpu_info, gpu_info, gpu_model, gpu_count, gpu_devices)
+  VALUES (@name, @cpu_info, @gpu_info, @gpu_model, @gpu_count, @gpu_devices)
+  ON CONFLICT(name) DO UPDATE SET
+    cpu_info = COALESCE(excluded.cpu_info, cpu_info),
+    gpu_info = COALESCE(excluded.gpu_info, gpu_info),
+    gpu_model = COALESCE(excluded.gpu_model, gpu_model),
+    gpu_count = CASE WHEN excluded.gpu_info IS NULL THEN gpu_count ELSE excluded.gpu_count END,
+    gpu_devices = CASE WHEN excluded.gpu_info IS NULL THEN gpu_devices ELSE excluded.gpu_devices END,
+    last_seen_at = CURRENT_TIMESTAMP
+  RETURNING id
+`;
+
+/** @type {string} SQL statement cataloguing a model file, returning its quantization and effective family */
+const UPSERT_MODEL = `
+  INSERT INTO models (model_filename, model_type, architecture, params_class, model_n_params, model_size,
+    quantization, moe, default_family)
+  VALUES (@model_filename, @model_type, @architecture, @params_class, @model_n_params, @model_size,
+    @quantization, @moe, @default_family)
+  ON CONFLICT(model_filename) DO UPDATE SET
+    model_type = COALESCE(excluded.model_type, model_type),
+    architecture = COALESCE(excluded.architecture, architecture),
+    params_class = COALESCE(excluded.params_class, params_class),
+    model_n_params = COALESCE(excluded.model_n_params, model_n_params),
+    model_size = COALESCE(excluded.model_size, model_size),
+    quantization = COALESCE(excluded.quantization, quantization),
+    moe = excluded.moe,
+    default_family = COALESCE(excluded.default_family, default_family)
+  RETURNING quantization, COALESCE(family, default_family) as model_family
+`;
+
 /**
  * Insert a single benchmark record into the database.
  * @param {BenchmarkData} data - The benchmark data to insert
@@ -68,105 +175,555 @@ const INSERT_BENCHMARK = `
 function insertBenchmark(data) {
   const db = getDb();
   const stmt = db.prepare(INSERT_BENCHMARK);
-  return stmt.run(data);
+  return stmt.run({
+    run_id: null, host_id: null, gpu_model: null, gpu_count: null, quantization: null, model_family: null, fingerprint: null,
+    ...data
+  });
 }
 
+/** @type {string[]} Valid values for the onDuplicate option of insertBenchmarks */
+const DUPLICATE_MODES = ['skip', 'replace', 'error'];
+
+/**
+ * @typedef {Object} InsertBenchmarksOptions
+ * @property {RunInfo} [run={}] - Metadata for the run created for this batch
+ * @property {number|null} [runId=null] - Existing run to add the rows to instead of creating one
+ * @property {string} [onDuplicate='skip'] - What to do with rows whose fingerprint already exists:
+ *   'skip' keeps the stored row, 'replace' overwrites it, 'error' aborts the whole batch
+ */
+
+/**
+ * @typedef {Object} InsertBenchmarksResult
+ * @property {number|null} run_id - ID of the run the batch was attached to (null if nothing was stored)
+ * @property {number} inserted - The number of new records inserted
+ * @property {number} replaced - The number of existing records overwritten
+ * @property {number} skipped_duplicates - The number of records skipped as duplicates
+ */
+
 /**
  * Insert multiple benchmark records in a single transaction.
+ * Rows are de-duplicated by fingerprint, both against stored data and within the batch.
+ * The run record is only created once at least one row is stored, unless an existing
+ * run is given. When the run names a host, the host profile is created or refreshed
+ * from the first stored row and every row is linked to it. Every model file is added
+ * to the models catalogue, and rows take their quantization and family from it. Runs
+ * left without results by replaced rows are deleted.
  * @param {BenchmarkData[]} benchmarks - Array of benchmark data to insert
- * @returns {number} The number of records inserted
+ * @param {InsertBenchmarksOptions} [options] - Insert options
+ * @returns {InsertBenchmarksResult} The created run ID and per-outcome counts
+ * @throws {Error} With code 'DUPLICATE_BENCHMARK' when onDuplicate is 'error' and a duplicate is found
  */
-function insertBenchmarks(benchmarks) {
+function insertBenchmarks(benchmarks, { run = {}, runId = null, onDuplicate = 'skip' } = {}) {
+  if (!DUPLICATE_MODES.includes(onDuplicate)) {
+    throw new Error(`Invalid on_duplicate mode: ${onDuplicate} (expected ${DUPLICATE_MODES.join(', ')})`);
+  }
+
   const db = getDb();
+  const runStmt = db.prepare(INSERT_RUN);
+  const hostStmt = db.prepare(UPSERT_HOST);
+  const modelStmt = db.prepare(UPSERT_MODEL);
   const stmt = db.prepare(INSERT_BENCHMARK);
+  const findStmt = db.prepare('SELECT id, run_id FROM benchmarks WHERE fingerprint = ?');
+  const deleteStmt = db.prepare('DELETE FROM benchmarks WHERE id = ?');
+  const deleteEmptyRunStmt = db.prepare('DELETE FROM runs WHERE id = ? AND NOT EXISTS (SELECT 1 FROM benchmarks WHERE run_id = runs.id)');
+
   const insertMany = db.transaction((items) => {
-    for (const item of items) {
-      stmt.run(item);
-    }
-    return items.length;
+    const result = { run_id: null, inserted: 0, replaced: 0, skipped_duplicates: 0 };
+    let hostId = null;
+    // Model file -> catalogue columns, so each file is catalogued once per batch
+    const models = new Map();
+    // Runs of replaced rows, deleted at the end if nothing is left in them
+    const replacedRuns = new Set();
+
+    items.forEach((item, index) => {
+      const existing = (item.fingerprint && findStmt.get(item.fingerprint))
+        || (item.legacy_fingerprint && findStmt.get(item.legacy_fingerprint))
+        || undefined;
+      if (existing) {
+        if (onDuplicate === 'skip') {
+          result.skipped_duplicates++;
+          return;
+        }
+        if (onDuplicate === 'error') {
+          const error = new Error(`Duplicate benchmark at index ${index} (matches existing id ${existing.id})`);
+          error.code = 'DUPLICATE_BENCHMARK';
+          error.index = index;
+          error.existingId = existing.id;
+          throw error;
+        }
+        deleteStmt.run(existing.id);
+        if (existing.run_id !== null) {
+          replacedRuns.add(existing.run_id);
+        }
+      }
+
+      if (result.run_id === null) {
+        result.run_id = runId ?? Number(runStmt.run({
+          name: run.name ?? null,
+          host: run.host ?? null,
+          notes: run.notes ?? null
+        }).lastInsertRowid);
+        if (run.host) {
+          const gpu = parseGpuInfo(item.gpu_info);
+          hostId = hostStmt.get({
+            name: run.host,
+            cpu_info: item.cpu_info ?? null,
+            gpu_info: item.gpu_info ?? null,
+            gpu_model: gpu.model,
+            gpu_count: item.gpu_info ? gpu.count : null,
+            gpu_devices: item.gpu_info ? JSON.stringify(gpu.devices) : null
+          }).id;
+        }
+      }
+      if (item.model_filename && !models.has(item.model_filename)) {
+        const info = parseModelInfo(item.model_type, item.model_filename);
+        models.set(item.model_filename, modelStmt.get({
+          model_filename: item.model_filename,
+          model_type: item.model_type ?? null,
+          architecture: info.architecture,
+          params_class: info.params_class,
+          model_n_params: item.model_n_params ?? null,
+          model_size: item.model_size ?? null,
+          quantization: info.quantization,
+          moe: info.moe ? 1 : 0,
+          default_family: info.family
+        }));
+      }
+      stmt.run({
+        gpu_model: null, gpu_count: null, quantization: null, model_family: null,
+        ...item,
+        ...models.get(item.model_filename),
+        run_id: result.run_id,
+        host_id: hostId
+      });
+      if (existing) {
+        result.replaced++;
+      } else {
+        result.inserted++;
+      }
+    });
+
+    replacedRuns.forEach(runId => deleteEmptyRunStmt.run(runId));
+    return result;
   });
   return insertMany(benchmarks);
 }
 
 /**
- * @typedef {Object} GetBenchmarksOptions
- * @property {number} [limit=100] - Maximum number of records to return
- * @property {number} [offset=0] - Number of records to skip
+ * @typedef {Object} RunSummary
+ * @property {number} id - Run ID
+ * @property {string|null} name - Run name
+ * @property {string|null} host - Host the run was executed on
+ * @property {string|null} notes - Free-form notes
+ * @property {string} submitted_at - Submission timestamp
+ * @property {number} benchmark_count - Number of benchmark rows in the run
+ * @property {number} model_count - Number of distinct models in the run
+ * @property {string|null} first_test - Earliest test time in the run
+ * @property {string|null} last_test - Latest test time in the run
+ */
+
+/** @type {string} SELECT clause shared by run listing queries */
+const RUN_SUMMARY_SELECT = `
+  SELECT
+    r.id, r.name, r.host, r.notes, r.submitted_at,
+    COUNT(b.id) as benchmark_count,
+    COUNT(DISTINCT b.model_filename) as model_count,
+    MIN(b.test_time) as first_test,
+    MAX(b.test_time) as last_test
+  FROM runs r
+  LEFT JOIN benchmarks b ON b.run_id = r.id
+`;
+
+/**
+ * Get runs ordered by most recent submission.
+ * @param {Object} [options] - Query options
+ * @param {number} [options.limit=100] - Maximum number of runs to return
+ * @param {number} [options.offset=0] - Number of runs to skip
+ * @returns {RunSummary[]} Array of run summaries
+ */
+function getRuns({ limit = 100, offset = 0 } = {}) {
+  const db = getDb();
+  return db.prepare(`
+    ${RUN_SUMMARY_SELECT}
+    GROUP BY r.id
+    ORDER BY r.submitted_at DESC, r.id DESC
+    LIMIT @limit OFFSET @offset
+  `).all({ limit, offset });
+}
+
+/**
+ * Get a single run summary by ID.
+ * @param {number} id - Run ID
+ * @returns {RunSummary|undefined} The run summary, or undefined if not found
+ */
+function getRun(id) {
+  const db = getDb();
+  return db.prepare(`
+    ${RUN_SUMMARY_SELECT}
+    WHERE r.id = @id
+    GROUP BY r.id
+  `).get({ id });
+}
+
+/**
+ * Get all benchmarks belonging to a run.
+ * @param {number} runId - Run ID
+ * @returns {Object[]} Array of benchmark records in insertion order
+ */
+function getRunBenchmarks(runId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM benchmarks
+    WHERE run_id = @runId
+    ORDER BY id ASC
+  `).all({ runId });
+}
+
+/**
+ * @typedef {Object} HostRecord
+ * @property {number} id - Host ID
+ * @property {string} name - Host identifier sent by the submitter
+ * @property {string|null} cpu_info - Most recently reported CPU
+ * @property {string|null} gpu_info - Most recently reported GPU string
+ * @property {string|null} gpu_model - Normalized GPU label
+ * @property {number|null} gpu_count - Number of GPUs
+ * @property {string|null} gpu_devices - JSON array of {name, count} devices
+ * @property {string} first_seen_at - First submission timestamp
+ * @property {string} last_seen_at - Latest submission timestamp
+ * @property {number} benchmark_count - Number of benchmark rows measured on the host
+ */
+
+/**
+ * Get all hosts with their benchmark counts, ordered by name.
+ * @returns {HostRecord[]} Array of host records
+ */
+function getHosts() {
+  const db = getDb();
+  return db.prepare(`
+    SELECT h.*, COUNT(b.id) as benchmark_count
+    FROM hosts h
+    LEFT JOIN benchmarks b ON b.host_id = h.id
+    GROUP BY h.id
+    ORDER BY h.name
+  `).all();
+}
+
+/**
+ * Get a host by ID.
+ * @param {number} id - Host ID
+ * @returns {HostRecord|undefined} The host, or undefined if not found
+ */
+function getHost(id) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT h.*, COUNT(b.id) as benchmark_count
+    FROM hosts h
+    LEFT JOIN benchmarks b ON b.host_id = h.id
+    WHERE h.id = @id
+    GROUP BY h.id
+  `).get({ id });
+}
+
+/** @type {string[]} Columns searched by the free-text search of the benchmarks table */
+const SEARCH_COLUMNS = ['model_filename', 'gpu_info', 'cpu_info', 'build_commit'];
+
+/**
+ * @typedef {Object} BenchmarkFilters
  * @property {string} [model] - Filter by model filename (partial match)
  * @property {string} [commit] - Filter by exact build commit
  * @property {string} [testType] - Filter by test type ('pp', 'tg', 'pp+tg')
+ * @property {string} [testLabel] - Filter by test label (e.g. 'pp512', 'tg128 @ d4096')
+ * @property {string} [search] - Free text matched against model, GPU, CPU and build commit
  * @property {string} [startDate] - Filter by minimum test time
  * @property {string} [endDate] - Filter by maximum test time
  */
 
 /**
- * Query benchmarks with optional filtering and pagination.
- * @param {GetBenchmarksOptions} [options] - Query options
- * @returns {Object[]} Array of benchmark records
+ * @typedef {BenchmarkFilters & Object} GetBenchmarksOptions
+ * @property {number} [limit=100] - Maximum number of records to return
+ * @property {number} [offset=0] - Number of records to skip
+ * @property {string} [sort='created_at'] - Column to sort by (a TABLE_COLUMNS key or 'created_at')
+ * @property {string} [order='desc'] - Sort direction ('asc' or 'desc')
  */
-function getBenchmarks({ limit = 100, offset = 0, model, commit, testType, startDate, endDate } = {}) {
-  const db = getDb();
-  let query = 'SELECT * FROM benchmarks WHERE 1=1';
+
+/**
+ * Build the WHERE clause for the benchmarks table filters.
+ * @param {BenchmarkFilters} filters - Filters
+ * @returns {{where: string, params: Object}} SQL condition and its named parameters
+ */
+function buildBenchmarkConditions({ model, commit, testType, testLabel, search, startDate, endDate }) {
+  const conditions = ['1=1'];
   const params = {};
 
   if (model) {
-    query += ' AND model_filename LIKE @model';
+    conditions.push('model_filename LIKE @model');
     params.model = `%${model}%`;
   }
   if (commit) {
-    query += ' AND build_commit = @commit';
+    conditions.push('build_commit = @commit');
     params.commit = commit;
   }
   if (testType) {
-    query += ' AND test_type = @testType';
+    conditions.push('test_type = @testType');
     params.testType = testType;
   }
+  if (testLabel) {
+    conditions.push('test_label = @testLabel');
+    params.testLabel = testLabel;
+  }
+  if (search) {
+    conditions.push(`(${SEARCH_COLUMNS.map(column => `${column} LIKE @search`).join(' OR ')})`);
+    params.search = `%${search}%`;
+  }
   if (startDate) {
-    query += ' AND test_time >= @startDate';
+    conditions.push('test_time >= @startDate');
     params.startDate = startDate;
   }
   if (endDate) {
-    query += ' AND test_time <= @endDate';
+    conditions.push('test_time <= @endDate');
     params.endDate = endDate;
   }
 
-  query += ' ORDER BY created_at DESC LIMIT @limit OFFSET @offset';
-  params.limit = limit;
-  params.offset = offset;
+  return { where: conditions.join(' AND '), params };
+}
 
-  return db.prepare(query).all(params);
+/**
+ * Build an ORDER BY clause from a validated sort column and direction.
+ * Ties are broken by newest ID so pages never overlap.
+ * @param {string} [sort] - Column to sort by
+ * @param {string} [order] - 'asc' or 'desc'
+ * @param {string} defaultSort - Column used when sort is not sortable
+ * @returns {string} ORDER BY clause
+ */
+function buildOrderBy(sort, order, defaultSort) {
+  const column = sort === 'created_at' ? sort : getSortColumn(sort) || defaultSort;
+  const direction = String(order).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+  return `ORDER BY ${column} ${direction}, id DESC`;
+}
+
+/**
+ * Query benchmarks with optional filtering, sorting and pagination.
+ * @param {GetBenchmarksOptions} [options] - Query options
+ * @returns {Object[]} Array of benchmark records
+ */
+function getBenchmarks({ limit = 100, offset = 0, sort = 'created_at', order = 'desc', ...filters } = {}) {
+  const db = getDb();
+  const { where, params } = buildBenchmarkConditions(filters);
+
+  return db.prepare(`
+    SELECT * FROM benchmarks
+    WHERE ${where}
+    ${buildOrderBy(sort, order, 'created_at')}
+    LIMIT @limit OFFSET @offset
+  `).all({ ...params, limit, offset });
+}
+
+/**
+ * Count the benchmarks matching the benchmarks table filters.
+ * @param {BenchmarkFilters} [filters] - Filters
+ * @returns {number} Number of matching benchmarks
+ */
+function countBenchmarks(filters = {}) {
+  const db = getDb();
+  const { where, params } = buildBenchmarkConditions(filters);
+  return db.prepare(`SELECT COUNT(*) as count FROM benchmarks WHERE ${where}`).get(params).count;
 }
 
 /**
- * Get all unique models from the database.
- * @returns {{model_filename: string, model_type: string, model_size: number, model_n_params: number}[]} Array of unique model records
+ * Get all unique models from the database, with their catalogue metadata.
+ * @returns {{model_filename: string, model_type: string, model_size: number, model_n_params: number,
+ *   architecture: string|null, params_class: string|null, quantization: string|null, moe: number|null,
+ *   family: string|null, alias: string|null}[]} Array of unique model records
  */
 function getModels() {
   const db = getDb();
   return db.prepare(`
-    SELECT DISTINCT model_filename, model_type, model_size, model_n_params
-    FROM benchmarks
-    ORDER BY model_filename
+    SELECT b.model_filename, b.model_type, b.model_size, b.model_n_params,
+      m.architecture, m.params_class, m.quantization, m.moe,
+      COALESCE(m.family, m.default_family) as family, m.alias
+    FROM (SELECT DISTINCT model_filename, model_type, model_size, model_n_params FROM benchmarks) b
+    LEFT JOIN models m ON m.model_filename = b.model_filename
+    ORDER BY b.model_filename
+  `).all();
+}
+
+/**
+ * @typedef {Object} CatalogueModel
+ * @property {string} model_filename - Model file name (catalogue key)
+ * @property {string|null} model_type - llama-bench model type
+ * @property {string|null} architecture - Architecture parsed from the model type
+ * @property {string|null} params_class - Parameter count class (e.g. '8B', '30B.A3B')
+ * @property {number|null} model_n_params - Number of parameters
+ * @property {number|null} model_size - Size in bytes
+ * @property {string|null} quantization - Quantization (e.g. 'Q4_K_M')
+ * @property {number} moe - Mixture of experts (0 or 1)
+ * @property {string|null} family - Effective family: the user's, else the one parsed from the file name
+ * @property {string|null} default_family - Family parsed from the file name
+ * @property {string|null} alias - Display name set by a user
+ * @property {number} result_count - Number of stored results
+ */
+
+/** @type {string} SELECT clause shared by model catalogue queries */
+const MODEL_CATALOGUE_SELECT = `
+  SELECT m.model_filename, m.model_type, m.architecture, m.params_class, m.model_n_params, m.model_size,
+    m.quantization, m.moe, COALESCE(m.family, m.default_family) as family, m.default_family, m.alias,
+    (SELECT COUNT(*) FROM benchmarks b WHERE b.model_filename = m.model_filename) as result_count
+  FROM models m
+`;
+
+/**
+ * Get the model catalogue, grouped by family.
+ * @returns {CatalogueModel[]} Models ordered by family, quantization and file name
+ */
+function getModelCatalogue() {
+  const db = getDb();
+  return db.prepare(`
+    ${MODEL_CATALOGUE_SELECT}
+    ORDER BY COALESCE(m.family, m.default_family) IS NULL, COALESCE(m.family, m.default_family), m.quantization, m.model_filename
   `).all();
 }
 
 /**
- * Get all unique builds from the database, ordered by most recent test.
- * @returns {{build_commit: string, build_number: number, latest_test: string}[]} Array of unique build records
+ * Get a catalogued model.
+ * @param {string} modelFilename - Model file name
+ * @returns {CatalogueModel|undefined} Model, or undefined if not catalogued
+ */
+function getCatalogueModel(modelFilename) {
+  const db = getDb();
+  return db.prepare(`${MODEL_CATALOGUE_SELECT} WHERE m.model_filename = @modelFilename`).get({ modelFilename });
+}
+
+/**
+ * Set the family and alias of a catalogued model, and the family of its results.
+ * A family equal to the one parsed from the file name (or empty) is stored as
+ * no override, so it follows the parsed family.
+ * @param {string} modelFilename - Model file name
+ * @param {Object} values - New values
+ * @param {string|null} values.family - Family, or null for the parsed family
+ * @param {string|null} values.alias - Display name, or null for none
+ * @returns {boolean} True if the model exists
+ */
+function updateCatalogueModel(modelFilename, { family, alias }) {
+  const db = getDb();
+  const update = db.transaction(() => {
+    const changed = db.prepare(`
+      UPDATE models SET
+        family = CASE WHEN @family IS NULL OR @family = default_family THEN NULL ELSE @family END,
+        alias = @alias,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE model_filename = @modelFilename
+    `).run({ modelFilename, family, alias }).changes > 0;
+    if (changed) {
+      db.prepare(`
+        UPDATE benchmarks SET model_family = (SELECT COALESCE(family, default_family) FROM models WHERE model_filename = @modelFilename)
+        WHERE model_filename = @modelFilename
+      `).run({ modelFilename });
+    }
+    return changed;
+  });
+  return update();
+}
+
+/**
+ * @typedef {Object} BuildRecord
+ * @property {string} build_commit - Build commit as reported by llama-bench
+ * @property {number} build_number - Build number
+ * @property {string} latest_test - Most recent test time
+ * @property {string|null} subject - Commit subject (null until synced from git)
+ * @property {string|null} author - Commit author
+ * @property {string|null} commit_date - Commit date (ISO 8601)
+ * @property {number|null} topo_order - Position in the configured branch's history
+ */
+
+/**
+ * Get all unique builds from the database with their commit metadata, newest
+ * commit first. Builds without a known commit position follow, by most recent test.
+ * @returns {BuildRecord[]} Array of unique build records
  */
 function getBuilds() {
   const db = getDb();
   return db.prepare(`
-    SELECT DISTINCT build_commit, build_number, MAX(test_time) as latest_test
+    SELECT b.build_commit, MAX(b.build_number) as build_number, MAX(b.test_time) as latest_test,
+      g.subject, g.author, g.commit_date, g.topo_order
+    FROM benchmarks b
+    LEFT JOIN builds g ON g.build_commit = b.build_commit
+    GROUP BY b.build_commit
+    ORDER BY g.topo_order IS NULL, g.topo_order DESC, latest_test DESC
+  `).all();
+}
+
+/**
+ * Get the distinct build commits that have benchmark results.
+ * @returns {string[]} Build commits
+ */
+function getBuildCommits() {
+  const db = getDb();
+  return db.prepare('SELECT DISTINCT build_commit FROM benchmarks WHERE build_commit IS NOT NULL').pluck().all();
+}
+
+/**
+ * Get the stored commit metadata of a build.
+ * @param {string} buildCommit - Build commit as reported by llama-bench
+ * @returns {Object|undefined} Build row, or undefined if not synced
+ */
+function getBuildInfo(buildCommit) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM builds WHERE build_commit = @buildCommit').get({ buildCommit });
+}
+
+/**
+ * Get the full commit hashes of every synced build.
+ * @returns {string[]} Commit hashes
+ */
+function getBuildCommitHashes() {
+  const db = getDb();
+  return db.prepare('SELECT commit_hash FROM builds').pluck().all();
+}
+
+/**
+ * Insert or replace the commit metadata of several builds in one transaction.
+ * @param {Object[]} builds - Builds (build_commit, commit_hash, subject, author, commit_date, parents, topo_order)
+ * @returns {number} Number of builds written
+ */
+function upsertBuilds(builds) {
+  const db = getDb();
+  const upsert = db.prepare(`
+    INSERT INTO builds (build_commit, commit_hash, subject, author, commit_date, parents, topo_order)
+    VALUES (@build_commit, @commit_hash, @subject, @author, @commit_date, @parents, @topo_order)
+    ON CONFLICT(build_commit) DO UPDATE SET
+      commit_hash = excluded.commit_hash,
+      subject = excluded.subject,
+      author = excluded.author,
+      commit_date = excluded.commit_date,
+      parents = excluded.parents,
+      topo_order = excluded.topo_order,
+      synced_at = CURRENT_TIMESTAMP
+  `);
+  return db.transaction(rows => {
+    rows.forEach(row => upsert.run(row));
+    return rows.length;
+  })(builds);
+}
+
+/**
+ * Get all test labels in the database, ordered as llama-bench runs them
+ * (test type, then prompt size, generation size and depth).
+ * @returns {{test_label: string, test_type: string, count: number}[]} Array of test label records
+ */
+function getTestLabels() {
+  const db = getDb();
+  return db.prepare(`
+    SELECT test_label, test_type, COUNT(*) as count
     FROM benchmarks
-    GROUP BY build_commit
-    ORDER BY latest_test DESC
+    WHERE test_label IS NOT NULL
+    GROUP BY test_label
+    ORDER BY test_type, MAX(n_prompt), MAX(n_gen), MAX(n_depth)
   `).all();
 }
 
 /**
  * Get all unique GPUs from the database.
- * Splits multi-GPU entries (separated by ', ') into individual GPUs.
+ * Splits multi-GPU entries into individual devices (see parseGpuInfo).
  * @returns {{gpu_info: string}[]} Array of unique GPU records
  */
 function getGpus() {
@@ -177,12 +734,11 @@ function getGpus() {
     WHERE gpu_info IS NOT NULL AND gpu_info != ''
   `).all();
 
-  // Extract individual GPUs from multi-GPU strings (split by ', ')
+  // Extract individual GPUs from multi-GPU strings
   const gpuSet = new Set();
   for (const row of rows) {
-    const gpus = row.gpu_info.split(', ').map(g => g.trim()).filter(g => g);
-    for (const gpu of gpus) {
-      gpuSet.add(gpu);
+    for (const device of parseGpuInfo(row.gpu_info).devices) {
+      gpuSet.add(device.name);
     }
   }
 
@@ -225,6 +781,8 @@ function getSplitModes() {
  * @property {string} [model] - Filter by model filename (partial match)
  * @property {string} [testType='tg'] - Filter by test type
  * @property {string} [groupBy='build_commit'] - Column to group results by
+ * @property {string} [metric='tps'] - Metric to aggregate (see config/metrics)
+ * @property {string} [agg='avg'] - Aggregation of the metric into value (see config/metrics)
  */
 
 /**
@@ -234,6 +792,10 @@ function getSplitModes() {
  * @property {number} avg_tps - Average tokens per second
  * @property {number} min_tps - Minimum tokens per second
  * @property {number} max_tps - Maximum tokens per second
+ * @property {number} value - The metric, aggregated as requested
+ * @property {number} avg_value - Average of the metric
+ * @property {number} min_value - Minimum of the metric
+ * @property {number} max_value - Maximum of the metric
  * @property {number} sample_count - Number of samples
  */
 
@@ -242,11 +804,13 @@ const VALID_GROUP_BY_COLUMNS = ['build_commit', 'model_filename', 'model_type',
 
 /**
  * Get aggregated trend data for performance over time.
+ * Points are ordered by commit history, then by test time for builds not in it.
  * @param {GetTrendsOptions} [options] - Query options
  * @returns {TrendData[]} Array of trend data points
  */
-function getTrends({ model, testType = 'tg', groupBy = 'build_commit' } = {}) {
+function getTrends({ model, testType = 'tg', groupBy = 'build_commit', metric = DEFAULT_METRIC, agg = DEFAULT_AGGREGATION } = {}) {
   const db = getDb();
+  const value = getMetricExpression(metric);
 
   // Validate groupBy to prevent SQL injection
   if (!VALID_GROUP_BY_COLUMNS.includes(groupBy)) {
@@ -257,12 +821,17 @@ function getTrends({ model, testType = 'tg', groupBy = 'build_commit' } = {}) {
     SELECT
       ${groupBy},
       test_time,
+      ${BUILD_ORDER_SELECT} as build_order,
       AVG(tokens_per_second) as avg_tps,
       MIN(tokens_per_second) as min_tps,
       MAX(tokens_per_second) as max_tps,
+      ${getAggregateExpression(metric, agg)} as value,
+      AVG(${value}) as avg_value,
+      MIN(${value}) as min_value,
+      MAX(${value}) as max_value,
       COUNT(*) as sample_count
     FROM benchmarks
-    WHERE test_type = @testType
+    WHERE test_type = @testType AND ${value} IS NOT NULL
   `;
   const params = { testType };
 
@@ -271,7 +840,7 @@ function getTrends({ model, testType = 'tg', groupBy = 'build_commit' } = {}) {
     params.model = `%${model}%`;
   }
 
-  query += ` GROUP BY ${groupBy} ORDER BY test_time ASC`;
+  query += ` GROUP BY ${groupBy} ORDER BY build_order IS NULL, build_order, test_time ASC`;
 
   return db.prepare(query).all(params);
 }
@@ -279,7 +848,7 @@ function getTrends({ model, testType = 'tg', groupBy = 'build_commit' } = {}) {
 /**
  * @typedef {Object} GetTrendsMultiSeriesOptions
  * @property {string[]} [models=[]] - Filter by model filenames (exact match)
- * @property {string[]} [gpus=[]] - Filter by GPU info (partial match, supports multi-GPU strings)
+ * @property {string[]} [gpuModels=[]] - Filter by normalized GPU model (exact match)
  * @property {string[]} [testTypes=['pp', 'tg']] - Filter by test types
  * @property {number[]} [mainGpus=[]] - Filter by main GPU device index
  * @property {string[]} [splitModes=[]] - Filter by split mode (none, layer, row)
@@ -289,7 +858,7 @@ function getTrends({ model, testType = 'tg', groupBy = 'build_commit' } = {}) {
  * @typedef {Object} TrendMultiSeriesData
  * @property {string} build_commit - Build commit hash
  * @property {string} model_filename - Model filename
- * @property {string} gpu_info - GPU information
+ * @property {string} gpu_model - Normalized GPU model
  * @property {string} test_type - Test type (pp or tg)
  * @property {string} test_time - Test timestamp
  * @property {number} avg_tps - Average tokens per second
@@ -297,12 +866,12 @@ function getTrends({ model, testType = 'tg', groupBy = 'build_commit' } = {}) {
  */
 
 /**
- * Get multi-series trend data grouped by build, model, GPU, and test type.
+ * Get multi-series trend data grouped by build, model, GPU model, and test type.
  * Used for comparing performance across different configurations.
  * @param {GetTrendsMultiSeriesOptions} [options] - Query options
  * @returns {TrendMultiSeriesData[]} Array of trend data points for multi-line charts
  */
-function getTrendsMultiSeries({ models = [], gpus = [], testTypes = ['pp', 'tg'], mainGpus = [], splitModes = [] } = {}) {
+function getTrendsMultiSeries({ models = [], gpuModels = [], testTypes = ['pp', 'tg'], mainGpus = [], splitModes = [] } = {}) {
   const db = getDb();
   const params = {};
   const conditions = [];
@@ -321,11 +890,11 @@ function getTrendsMultiSeries({ models = [], gpus = [], testTypes = ['pp', 'tg']
     models.forEach((m, i) => params[`model${i}`] = m);
   }
 
-  // Build GPUs condition (partial match to support multi-GPU strings like "GPU A/GPU B")
-  if (gpus.length > 0) {
-    const gpuConditions = gpus.map((_, i) => `gpu_info LIKE @gpu${i}`);
-    conditions.push(`(${gpuConditions.join(' OR ')})`);
-    gpus.forEach((g, i) => params[`gpu${i}`] = `%${g}%`);
+  // Build GPU model condition (normalized label, e.g. "GPU A + GPU B" for mixed multi-GPU hosts)
+  if (gpuModels.length > 0) {
+    const gpuModelPlaceholders = gpuModels.map((_, i) => `@gpuModel${i}`).join(', ');
+    conditions.push(`gpu_model IN (${gpuModelPlaceholders})`);
+    gpuModels.forEach((g, i) => params[`gpuModel${i}`] = g);
   }
 
   // Build main GPU condition
@@ -348,15 +917,15 @@ function getTrendsMultiSeries({ models = [], gpus = [], testTypes = ['pp', 'tg']
     SELECT
       build_commit,
       model_filename,
-      gpu_info,
+      gpu_model,
       test_type,
       MAX(test_time) as test_time,
       AVG(tokens_per_second) as avg_tps,
       COUNT(*) as sample_count
     FROM benchmarks
     ${whereClause}
-    GROUP BY build_commit, model_filename, gpu_info, test_type
-    ORDER BY test_time ASC, model_filename, gpu_info, test_type
+    GROUP BY build_commit, model_filename, gpu_model, test_type
+    ORDER BY test_time ASC, model_filename, gpu_model, test_type
   `;
 
   return db.prepare(query).all(params);
@@ -404,6 +973,13 @@ function getStats() {
  * @property {string[]} [models=[]] - Filter by model filenames (exact match)
  * @property {string[]} [commits=[]] - Filter by build commits (exact match)
  * @property {string} [testType='tg'] - Filter by test type
+ * @property {string[]} [testLabels=[]] - Filter by test labels (e.g. 'tg128', 'tg128 @ d4096')
+ * @property {string[]} [hosts=[]] - Filter by host names (exact match)
+ * @property {string[]} [gpuModels=[]] - Filter by normalized GPU model (exact match)
+ * @property {number[]} [gpuCounts=[]] - Filter by number of GPUs
+ * @property {string|null} [groupBy=null] - Extra hardware grouping: 'host', 'gpu_model' or 'gpu_count'
+ * @property {string} [metric='tps'] - Metric to aggregate (see config/metrics)
+ * @property {string} [agg='avg'] - Aggregation of the metric into value (see config/metrics)
  */
 
 /**
@@ -411,42 +987,82 @@ function getStats() {
  * @property {string} model_filename - Model filename
  * @property {string} build_commit - Build commit hash
  * @property {string} test_type - Test type
+ * @property {string|null} test_label - Test label (results are split per test label)
+ * @property {string|null} [host] - Host name (when grouped by host)
+ * @property {string|null} [gpu_model] - GPU model (when grouped by GPU model)
+ * @property {number|null} [gpu_count] - Number of GPUs (when grouped by GPU count)
  * @property {number} avg_tps - Average tokens per second
  * @property {number} avg_stddev - Average standard deviation
+ * @property {number} value - The metric, aggregated as requested
+ * @property {number} avg_value - Average of the metric
  * @property {number} runs - Number of test runs
  */
 
+/** @type {Object.<string, string>} Hardware groupings for comparisons, mapped to their SQL expression */
+const COMPARE_GROUP_BY_COLUMNS = {
+  host: 'h.name',
+  gpu_model: 'b.gpu_model',
+  gpu_count: 'b.gpu_count'
+};
+
 /**
- * Get comparison data for models and/or builds.
+ * Get comparison data for models and/or builds, split by test label and optionally by host or GPU.
  * @param {GetComparisonOptions} [options] - Query options
  * @returns {ComparisonData[]} Array of comparison data records
  */
-function getComparisonData({ models = [], commits = [], testType = 'tg' } = {}) {
+function getComparisonData({
+  models = [], commits = [], testType = 'tg', testLabels = [], hosts = [], gpuModels = [], gpuCounts = [], groupBy = null,
+  metric = DEFAULT_METRIC, agg = DEFAULT_AGGREGATION
+} = {}) {
   const db = getDb();
+  const groupColumn = COMPARE_GROUP_BY_COLUMNS[groupBy];
+  const value = getMetricExpression(metric);
 
   let query = `
     SELECT
-      model_filename,
-      build_commit,
-      test_type,
-      AVG(tokens_per_second) as avg_tps,
-      AVG(stddev) as avg_stddev,
+      b.model_filename,
+      b.build_commit,
+      b.test_type,
+      b.test_label,
+      ${groupColumn ? `${groupColumn} as ${groupBy},` : ''}
+      AVG(b.tokens_per_second) as avg_tps,
+      AVG(b.stddev) as avg_stddev,
+      ${getAggregateExpression(metric, agg, 'b.')} as value,
+      AVG(${value}) as avg_value,
       COUNT(*) as runs
-    FROM benchmarks
-    WHERE test_type = @testType
+    FROM benchmarks b
+    LEFT JOIN hosts h ON h.id = b.host_id
+    WHERE b.test_type = @testType AND ${value} IS NOT NULL
   `;
   const params = { testType };
 
   if (models.length > 0) {
-    query += ` AND model_filename IN (${models.map((_, i) => `@model${i}`).join(', ')})`;
+    query += ` AND b.model_filename IN (${models.map((_, i) => `@model${i}`).join(', ')})`;
     models.forEach((m, i) => params[`model${i}`] = m);
   }
   if (commits.length > 0) {
-    query += ` AND build_commit IN (${commits.map((_, i) => `@commit${i}`).join(', ')})`;
+    query += ` AND b.build_commit IN (${commits.map((_, i) => `@commit${i}`).join(', ')})`;
     commits.forEach((c, i) => params[`commit${i}`] = c);
   }
+  if (testLabels.length > 0) {
+    query += ` AND b.test_label IN (${testLabels.map((_, i) => `@testLabel${i}`).join(', ')})`;
+    testLabels.forEach((l, i) => params[`testLabel${i}`] = l);
+  }
+  if (hosts.length > 0) {
+    query += ` AND h.name IN (${hosts.map((_, i) => `@host${i}`).join(', ')})`;
+    hosts.forEach((h, i) => params[`host${i}`] = h);
+  }
+  if (gpuModels.length > 0) {
+    query += ` AND b.gpu_model IN (${gpuModels.map((_, i) => `@gpuModel${i}`).join(', ')})`;
+    gpuModels.forEach((g, i) => params[`gpuModel${i}`] = g);
+  }
+  if (gpuCounts.length > 0) {
+    query += ` AND b.gpu_count IN (${gpuCounts.map((_, i) => `@gpuCount${i}`).join(', ')})`;
+    gpuCounts.forEach((c, i) => params[`gpuCount${i}`] = c);
+  }
 
-  query += ' GROUP BY model_filename, build_commit ORDER BY model_filename, build_commit';
+  const groupColumns = ['b.model_filename', 'b.build_commit', 'b.test_label', ...(groupColumn ? [groupColumn] : [])].join(', ');
+  query += ` GROUP BY ${groupColumns} ORDER BY ${groupColumns}`;
 
   return db.prepare(query).all(params);
 }
@@ -454,22 +1070,35 @@ function getComparisonData({ models = [], commits = [], testType = 'tg' } = {})
 /**
  * @typedef {Object} GetBenchmarksFilteredOptions
  * @property {string[]} [models=[]] - Filter by model filenames (exact match)
- * @property {string[]} [gpus=[]] - Filter by GPU info (partial match)
+ * @property {string} [model] - Filter by model filename (partial match)
+ * @property {string} [search] - Free text matched against model, GPU, CPU and build commit
+ * @property {string[]} [commits=[]] - Filter by build commits (exact match)
+ * @property {string[]} [gpuModels=[]] - Filter by normalized GPU model (exact match)
+ * @property {number[]} [gpuCounts=[]] - Filter by number of GPUs
+ * @property {string[]} [hosts=[]] - Filter by host names
  * @property {string[]} [testTypes=['pp','tg']] - Filter by test types
+ * @property {string[]} [testLabels=[]] - Filter by test labels (e.g. 'pp512', 'tg128 @ d4096')
  * @property {number[]} [mainGpus=[]] - Filter by main GPU device index
  * @property {string[]} [splitModes=[]] - Filter by split mode (none, layer, row)
  * @property {Object.<string, (string|number)[]>} [dimensionFilters={}] - Dynamic dimension filters
- * @property {number} [limit=100] - Maximum number of records to return
+ * @property {string} [startDate] - Filter by minimum test time
+ * @property {string} [endDate] - Filter by maximum test time
+ * @property {string} [sort='test_time'] - Column to sort by (a TABLE_COLUMNS key or 'created_at')
+ * @property {string} [order='desc'] - Sort direction ('asc' or 'desc')
+ * @property {number} [limit=100] - Maximum number of records to return (-1 for all)
+ * @property {number} [offset=0] - Number of records to skip
  */
 
 /**
- * Get benchmarks with multi-select filters matching the trends page.
- * Supports both legacy filters and new dimensional analysis filters.
+ * Build the SELECT of getBenchmarksFiltered.
  * @param {GetBenchmarksFilteredOptions} [options] - Query options
- * @returns {Object[]} Array of benchmark records
+ * @returns {{query: string, params: Object}} SQL query and its named parameters
  */
-function getBenchmarksFiltered({ models = [], gpus = [], testTypes = ['pp', 'tg'], mainGpus = [], splitModes = [], dimensionFilters = {}, limit = 100 } = {}) {
-  const db = getDb();
+function buildBenchmarksFilteredQuery({
+  models = [], model, search, commits = [], gpuModels = [], gpuCounts = [], hosts = [],
+  testTypes = ['pp', 'tg'], testLabels = [], mainGpus = [], splitModes = [], dimensionFilters = {},
+  startDate, endDate, sort = 'test_time', order = 'desc', limit = 100, offset = 0
+} = {}) {
   const params = {};
   const conditions = [];
 
@@ -480,6 +1109,13 @@ function getBenchmarksFiltered({ models = [], gpus = [], testTypes = ['pp', 'tg'
     testTypes.forEach((t, i) => params[`testType${i}`] = t);
   }
 
+  // Build test labels condition
+  if (testLabels.length > 0) {
+    const testLabelPlaceholders = testLabels.map((_, i) => `@testLabel${i}`).join(', ');
+    conditions.push(`test_label IN (${testLabelPlaceholders})`);
+    testLabels.forEach((l, i) => params[`testLabel${i}`] = l);
+  }
+
   // Build models condition (exact match when specified)
   if (models.length > 0) {
     const modelPlaceholders = models.map((_, i) => `@model${i}`).join(', ');
@@ -487,11 +1123,44 @@ function getBenchmarksFiltered({ models = [], gpus = [], testTypes = ['pp', 'tg'
     models.forEach((m, i) => params[`model${i}`] = m);
   }
 
-  // Build GPUs condition (partial match to support multi-GPU strings)
-  if (gpus.length > 0) {
-    const gpuConditions = gpus.map((_, i) => `gpu_info LIKE @gpu${i}`);
-    conditions.push(`(${gpuConditions.join(' OR ')})`);
-    gpus.forEach((g, i) => params[`gpu${i}`] = `%${g}%`);
+  // Build model search condition (partial match, as on the benchmarks page)
+  if (model) {
+    conditions.push('model_filename LIKE @modelSearch');
+    params.modelSearch = `%${model}%`;
+  }
+
+  // Build free-text search condition (as on the benchmarks page)
+  if (search) {
+    conditions.push(`(${SEARCH_COLUMNS.map(column => `${column} LIKE @search`).join(' OR ')})`);
+    params.search = `%${search}%`;
+  }
+
+  // Build commits condition
+  if (commits.length > 0) {
+    const commitPlaceholders = commits.map((_, i) => `@commit${i}`).join(', ');
+    conditions.push(`build_commit IN (${commitPlaceholders})`);
+    commits.forEach((c, i) => params[`commit${i}`] = c);
+  }
+
+  // Build GPU model condition (normalized label, e.g. "GPU A + GPU B" for mixed multi-GPU hosts)
+  if (gpuModels.length > 0) {
+    const gpuModelPlaceholders = gpuModels.map((_, i) => `@gpuModel${i}`).join(', ');
+    conditions.push(`gpu_model IN (${gpuModelPlaceholders})`);
+    gpuModels.forEach((g, i) => params[`gpuModel${i}`] = g);
+  }
+
+  // Build GPU count condition
+  if (gpuCounts.length > 0) {
+    const gpuCountPlaceholders = gpuCounts.map((_, i) => `@gpuCount${i}`).join(', ');
+    conditions.push(`gpu_count IN (${gpuCountPlaceholders})`);
+    gpuCounts.forEach((c, i) => params[`gpuCount${i}`] = c);
+  }
+
+  // Build hosts condition
+  if (hosts.length > 0) {
+    const hostPlaceholders = hosts.map((_, i) => `@host${i}`).join(', ');
+    conditions.push(`host_id IN (SELECT id FROM hosts WHERE name IN (${hostPlaceholders}))`);
+    hosts.forEach((h, i) => params[`host${i}`] = h);
   }
 
   // Build main GPU condition
@@ -508,6 +1177,16 @@ function getBenchmarksFiltered({ models = [], gpus = [], testTypes = ['pp', 'tg'
     splitModes.forEach((s, i) => params[`splitMode${i}`] = s);
   }
 
+  // Build date range conditions
+  if (startDate) {
+    conditions.push('test_time >= @startDate');
+    params.startDate = startDate;
+  }
+  if (endDate) {
+    conditions.push('test_time <= @endDate');
+    params.endDate = endDate;
+  }
+
   // Build dynamic dimension filter conditions
   let filterIdx = 0;
   Object.entries(dimensionFilters).forEach(([dimension, values]) => {
@@ -522,17 +1201,57 @@ function getBenchmarksFiltered({ models = [], gpus = [], testTypes = ['pp', 'tg'
 
   const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
   params.limit = limit;
+  params.offset = offset;
 
   const query = `
     SELECT * FROM benchmarks
     ${whereClause}
-    ORDER BY test_time DESC
-    LIMIT @limit
+    ${buildOrderBy(sort, order, 'test_time')}
+    LIMIT @limit OFFSET @offset
   `;
 
+  return { query, params };
+}
+
+/**
+ * Get benchmarks with multi-select filters matching the trends page.
+ * Supports both legacy filters and new dimensional analysis filters.
+ * @param {GetBenchmarksFilteredOptions} [options] - Query options
+ * @returns {Object[]} Array of benchmark records
+ */
+function getBenchmarksFiltered(options) {
+  const db = getDb();
+  const { query, params } = buildBenchmarksFilteredQuery(options);
   return db.prepare(query).all(params);
 }
 
+/**
+ * Iterate over the benchmarks getBenchmarksFiltered would return, one row at a time.
+ * Rows are read on a separate read-only connection, so the caller may wait between
+ * rows without blocking writes, and they come from one snapshot of the database.
+ * Stopping the iteration early (e.g. `break` in a for...of) closes the connection.
+ * @param {GetBenchmarksFilteredOptions} [options] - Query options
+ * @yields {Object} Benchmark record
+ */
+function* iterateBenchmarksFiltered(options) {
+  const { query, params } = buildBenchmarksFilteredQuery(options);
+  const connection = openReadConnection();
+  try {
+    yield* connection.prepare(query).iterate(params);
+  } finally {
+    connection.close();
+  }
+}
+
+/**
+ * Get the column names of the benchmarks table, in table order.
+ * @returns {string[]} Column names
+ */
+function getBenchmarkColumns() {
+  const db = getDb();
+  return db.prepare('PRAGMA table_info(benchmarks)').all().map(c => c.name);
+}
+
 /**
  * Delete benchmarks by their IDs.
  * @param {number[]} ids - Array of benchmark IDs to delete
@@ -556,23 +1275,35 @@ function deleteBenchmarks(ids) {
  * @property {string[]} [groupByDimensions=[]] - Dimensions to create separate series for
  * @property {Object.<string, (string|number)[]>} [filters={}] - Dimension filters (column -> values)
  * @property {string[]} [testTypes=['pp','tg']] - Test types to include
+ * @property {string[]} [testLabels=[]] - Test labels to include (e.g. 'pp512', 'tg128 @ d4096')
  * @property {string[]} [models=[]] - Model filenames to include
+ * @property {string} [metric='tps'] - Metric to aggregate (see config/metrics)
+ * @property {string} [agg='avg'] - Aggregation of the metric into value (see config/metrics)
  */
 
 /**
  * @typedef {Object} DimensionalTrendData
  * @property {string} build_commit - Build commit hash
  * @property {string} model_filename - Model filename
- * @property {string} test_type - Test type (pp or tg)
+ * @property {string} test_type - Test type (pp, tg or pp+tg)
+ * @property {string|null} test_label - Test label (e.g. 'pp512', 'tg128 @ d4096')
+ * @property {number|null} n_prompt - Prompt tokens of the test
+ * @property {number|null} n_gen - Generated tokens of the test
+ * @property {number|null} n_depth - Context depth of the test
  * @property {string} test_time - Test timestamp
  * @property {number} avg_tps - Average tokens per second
  * @property {number} min_tps - Minimum tokens per second
  * @property {number} max_tps - Maximum tokens per second
+ * @property {number} value - The metric, aggregated as requested
+ * @property {number} avg_value - Average of the metric
+ * @property {number} min_value - Minimum of the metric
+ * @property {number} max_value - Maximum of the metric
  * @property {number} sample_count - Number of samples
  */
 
 /**
  * Get trend data with dynamic dimensional grouping.
+ * Rows the metric does not apply to (e.g. memory bandwidth of prompt processing) are left out.
  * Allows users to select which dimensions create separate series.
  * @param {DimensionalTrendsOptions} options - Query configuration
  * @returns {DimensionalTrendData[]} Trend data with dimension values for series identification
@@ -581,14 +1312,19 @@ function getDimensionalTrends({
   groupByDimensions = [],
   filters = {},
   testTypes = ['pp', 'tg'],
-  models = []
+  testLabels = [],
+  models = [],
+  metric = DEFAULT_METRIC,
+  agg = DEFAULT_AGGREGATION
 } = {}) {
   const db = getDb();
   const params = {};
-  const conditions = [];
+  const value = getMetricExpression(metric);
+  const conditions = [`${value} IS NOT NULL`];
 
-  // Always include model_filename and test_type in grouping for series identification
-  const baseGroupBy = ['build_commit', 'model_filename', 'test_type'];
+  // Always include the model and test in grouping for series identification. The
+  // token counts follow from the test label; they are selected for depth/prompt-size x-axes.
+  const baseGroupBy = ['build_commit', 'model_filename', 'test_type', 'test_label', 'n_prompt', 'n_gen', 'n_depth'];
 
   // Validate and sanitize dimension keys to prevent SQL injection
   const sanitizedGroupBy = filterValidDimensions(groupByDimensions);
@@ -597,10 +1333,15 @@ function getDimensionalTrends({
   // Build SELECT clause with all group by columns
   const selectColumns = [
     ...allGroupBy,
+    `${BUILD_ORDER_SELECT} as build_order`,
     'MAX(test_time) as test_time',
     'AVG(tokens_per_second) as avg_tps',
     'MIN(tokens_per_second) as min_tps',
     'MAX(tokens_per_second) as max_tps',
+    `${getAggregateExpression(metric, agg)} as value`,
+    `AVG(${value}) as avg_value`,
+    `MIN(${value}) as min_value`,
+    `MAX(${value}) as max_value`,
     'AVG(stddev) as avg_stddev',
     'COUNT(*) as sample_count'
   ].join(', ');
@@ -612,6 +1353,13 @@ function getDimensionalTrends({
     testTypes.forEach((t, i) => params[`testType${i}`] = t);
   }
 
+  // Test labels filter
+  if (testLabels.length > 0) {
+    const placeholders = testLabels.map((_, i) => `@testLabel${i}`).join(', ');
+    conditions.push(`test_label IN (${placeholders})`);
+    testLabels.forEach((l, i) => params[`testLabel${i}`] = l);
+  }
+
   // Models filter
   if (models.length > 0) {
     const placeholders = models.map((_, i) => `@model${i}`).join(', ');
@@ -638,29 +1386,130 @@ function getDimensionalTrends({
     FROM benchmarks
     ${whereClause}
     GROUP BY ${allGroupBy.join(', ')}
-    ORDER BY test_time ASC
+    ORDER BY build_order IS NULL, build_order, test_time ASC
   `;
 
   return db.prepare(query).all(params);
 }
 
 /**
- * @typedef {Object} DimensionValue
- * @property {*} value - The dimension value
- * @property {number} count - Number of occurrences
+ * @typedef {Object} SweepOptions
+ * @property {string} xDimension - Numeric dimension plotted on the x-axis (e.g. 'n_batch')
+ * @property {string[]} [groupByDimensions=[]] - Dimensions to create separate series for
+ * @property {Object.<string, (string|number)[]>} [filters={}] - Dimension filters (column -> values)
+ * @property {string[]} [testTypes=['pp','tg']] - Test types to include
+ * @property {string[]} [testLabels=[]] - Test labels to include
+ * @property {string[]} [models=[]] - Model filenames to include
+ * @property {string[]} [commits=[]] - Build commits to include (all builds when empty)
  */
 
 /**
- * Get unique values for a dimension (for filter dropdowns).
- * @param {string} dimension - Column name to get values for
- * @returns {DimensionValue[]} Unique values with occurrence counts
+ * @typedef {Object} SweepPoint
+ * @property {number} x_value - Value of the x-axis dimension
+ * @property {string} model_filename - Model filename
+ * @property {string} test_type - Test type
+ * @property {string|null} test_label - Test label
+ * @property {number} avg_tps - Average tokens per second
+ * @property {number} min_tps - Minimum tokens per second
+ * @property {number} max_tps - Maximum tokens per second
+ * @property {number} avg_stddev - Average standard deviation
+ * @property {number} sample_count - Number of results averaged
+ * @property {number} build_count - Number of builds averaged
  */
-function getDimensionValues(dimension) {
-  const db = getDb();
 
-  // Validate dimension to prevent SQL injection
-  if (!VALID_DIMENSION_KEYS.includes(dimension)) {
-    return [];
+/**
+ * Get parameter-sweep data: tokens per second against one numeric dimension.
+ * Results are averaged per x value and series (model, test and the group-by
+ * dimensions), across builds unless commits are given.
+ * @param {SweepOptions} options - Query configuration
+ * @returns {SweepPoint[]} Sweep points ordered by x value, with dimension values for series identification
+ */
+function getSweepData({
+  xDimension,
+  groupByDimensions = [],
+  filters = {},
+  testTypes = ['pp', 'tg'],
+  testLabels = [],
+  models = [],
+  commits = []
+}) {
+  const db = getDb();
+
+  // Validate the x-axis dimension to prevent SQL injection
+  const xConfig = getDimension(xDimension);
+  if (!xConfig || xConfig.type !== 'numeric') {
+    return [];
+  }
+
+  const params = {};
+  const conditions = [`${xDimension} IS NOT NULL`, 'tokens_per_second IS NOT NULL'];
+  const groupBy = [...new Set(['model_filename', 'test_type', 'test_label', ...filterValidDimensions(groupByDimensions)])]
+    .filter(column => column !== xDimension);
+
+  const lists = [['test_type', testTypes], ['test_label', testLabels], ['model_filename', models], ['build_commit', commits]];
+  lists.forEach(([column, list], listIdx) => {
+    if (list.length > 0) {
+      conditions.push(`${column} IN (${list.map((_, i) => `@list${listIdx}_${i}`).join(', ')})`);
+      list.forEach((v, i) => params[`list${listIdx}_${i}`] = v);
+    }
+  });
+
+  // Dynamic dimension filters (hold constant)
+  let filterIdx = 0;
+  Object.entries(filters).forEach(([dimension, values]) => {
+    if (!VALID_DIMENSION_KEYS.includes(dimension) || !Array.isArray(values) || values.length === 0) {
+      return;
+    }
+    const placeholders = values.map((_, i) => `@filter${filterIdx}_${i}`).join(', ');
+    conditions.push(`${dimension} IN (${placeholders})`);
+    values.forEach((v, i) => params[`filter${filterIdx}_${i}`] = v);
+    filterIdx++;
+  });
+
+  return db.prepare(`
+    SELECT ${xDimension} as x_value, ${groupBy.join(', ')},
+      AVG(tokens_per_second) as avg_tps,
+      MIN(tokens_per_second) as min_tps,
+      MAX(tokens_per_second) as max_tps,
+      AVG(stddev) as avg_stddev,
+      COUNT(*) as sample_count,
+      COUNT(DISTINCT build_commit) as build_count
+    FROM benchmarks
+    WHERE ${conditions.join(' AND ')}
+    GROUP BY ${xDimension}, ${groupBy.join(', ')}
+    ORDER BY ${groupBy.join(', ')}, ${xDimension}
+  `).all(params);
+}
+
+/**
+ * @typedef {Object} DimensionValue
+ * @property {*} value - The dimension value
+ * @property {number} count - Number of occurrences
+ * @property {string} [label] - Display label, for dimensions that reference another table
+ */
+
+/**
+ * Get unique values for a dimension (for filter dropdowns).
+ * @param {string} dimension - Column name to get values for
+ * @returns {DimensionValue[]} Unique values with occurrence counts
+ */
+function getDimensionValues(dimension) {
+  const db = getDb();
+
+  // Validate dimension to prevent SQL injection
+  if (!VALID_DIMENSION_KEYS.includes(dimension)) {
+    return [];
+  }
+
+  const { lookup } = getDimension(dimension);
+  if (lookup) {
+    return db.prepare(`
+      SELECT b.${dimension} as value, l.${lookup.label} as label, COUNT(*) as count
+      FROM benchmarks b
+      JOIN ${lookup.table} l ON l.id = b.${dimension}
+      GROUP BY b.${dimension}
+      ORDER BY l.${lookup.label}
+    `).all();
   }
 
   return db.prepare(`
@@ -684,13 +1533,699 @@ function getAllDimensionValues() {
   return result;
 }
 
+/** @type {string[]} Columns identifying a benchmark series (one configuration tracked across builds) */
+const SERIES_KEY_COLUMNS = ['model_filename', 'test_type', 'test_label', 'gpu_info', 'cpu_info', ...VALID_DIMENSION_KEYS];
+
+/**
+ * Get a benchmark by ID.
+ * @param {number} id - Benchmark ID
+ * @returns {Object|undefined} The stored row, or undefined if not found
+ */
+function getBenchmark(id) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM benchmarks WHERE id = @id').get({ id });
+}
+
+/**
+ * Build the condition matching a benchmark's series (same model, test,
+ * hardware and parameters) and its parameters.
+ * @param {Object} benchmark - Benchmark row
+ * @returns {{condition: string, params: Object}} SQL condition and named parameters
+ */
+function sameSeriesCondition(benchmark) {
+  return {
+    condition: SERIES_KEY_COLUMNS.map(col => `${col} IS @${col}`).join(' AND '),
+    params: Object.fromEntries(SERIES_KEY_COLUMNS.map(col => [col, benchmark[col] ?? null]))
+  };
+}
+
+/**
+ * Get results of the same configuration (series) on other builds, newest first.
+ * @param {Object} benchmark - Benchmark row
+ * @param {number} [limit=50] - Maximum number of rows
+ * @returns {Object[]} Array of benchmark rows
+ */
+function getSameConfigBenchmarks(benchmark, limit = 50) {
+  const db = getDb();
+  const { condition, params } = sameSeriesCondition(benchmark);
+  return db.prepare(`
+    SELECT * FROM benchmarks
+    WHERE ${condition} AND build_commit IS NOT @build_commit
+    ORDER BY test_time DESC, id DESC
+    LIMIT @limit
+  `).all({ ...params, build_commit: benchmark.build_commit, limit });
+}
+
+/**
+ * Get every build measured in the series (configuration) of a benchmark, with
+ * the mean t/s of its results and its commit metadata, oldest first by test time.
+ * @param {Object} benchmark - Benchmark row
+ * @returns {Object[]} Builds (build_commit, build_number, avg_tps, result_count,
+ *   latest_id, latest_test, commit_hash, subject, topo_order)
+ */
+function getSeriesBuilds(benchmark) {
+  const db = getDb();
+  const { condition, params } = sameSeriesCondition(benchmark);
+  return db.prepare(`
+    SELECT benchmarks.build_commit, MAX(build_number) as build_number,
+      AVG(tokens_per_second) as avg_tps, COUNT(*) as result_count,
+      MAX(id) as latest_id, MAX(test_time) as latest_test,
+      g.commit_hash, g.subject, g.topo_order
+    FROM benchmarks
+    LEFT JOIN builds g ON g.build_commit = benchmarks.build_commit
+    WHERE ${condition} AND benchmarks.build_commit IS NOT NULL AND tokens_per_second IS NOT NULL
+    GROUP BY benchmarks.build_commit
+    ORDER BY latest_test ASC
+  `).all(params);
+}
+
+/**
+ * Get results of the same build on the same hardware with a different
+ * configuration (model, test or parameters), in insertion order.
+ * @param {Object} benchmark - Benchmark row
+ * @param {number} [limit=100] - Maximum number of rows
+ * @returns {Object[]} Array of benchmark rows
+ */
+function getSameBuildBenchmarks(benchmark, limit = 100) {
+  const db = getDb();
+  const { condition, params } = sameSeriesCondition(benchmark);
+  return db.prepare(`
+    SELECT * FROM benchmarks
+    WHERE build_commit IS @build_commit AND gpu_info IS @gpu_info AND cpu_info IS @cpu_info
+      AND NOT (${condition})
+    ORDER BY id ASC
+    LIMIT @limit
+  `).all({ ...params, build_commit: benchmark.build_commit, limit });
+}
+
+/**
+ * @typedef {Object} GetSeriesResultsOptions
+ * @property {string[]} [models=[]] - Model filenames to include (exact match)
+ * @property {string[]} [testTypes=[]] - Test types to include
+ */
+
+/**
+ * Get every result needed to compare builds within each series, oldest first.
+ * Returns the series key columns plus build and result fields.
+ * @param {GetSeriesResultsOptions} [options] - Query options
+ * @returns {Object[]} Array of benchmark rows
+ */
+function getSeriesResults({ models = [], testTypes = [] } = {}) {
+  const db = getDb();
+  const params = {};
+  const conditions = ['tokens_per_second IS NOT NULL', 'build_commit IS NOT NULL'];
+
+  if (models.length > 0) {
+    conditions.push(`model_filename IN (${models.map((_, i) => `@model${i}`).join(', ')})`);
+    models.forEach((m, i) => params[`model${i}`] = m);
+  }
+  if (testTypes.length > 0) {
+    conditions.push(`test_type IN (${testTypes.map((_, i) => `@testType${i}`).join(', ')})`);
+    testTypes.forEach((t, i) => params[`testType${i}`] = t);
+  }
+
+  return db.prepare(`
+    SELECT id, ${SERIES_KEY_COLUMNS.join(', ')},
+      build_commit, build_number, test_time, ${BUILD_ORDER_SELECT} as build_order,
+      tokens_per_second, stddev, samples
+    FROM benchmarks
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY test_time ASC
+  `).all(params);
+}
+
+/** @type {Object.<string, string>} Dimensions an A/B comparison can split on, mapped to their SQL expression */
+const AB_DIMENSIONS = {
+  build_commit: 'b.build_commit',
+  build_number: 'b.build_number',
+  host: 'h.name',
+  ...Object.fromEntries(VALID_DIMENSION_KEYS.map(key => [key, `b.${key}`]))
+};
+
+/**
+ * @typedef {Object} GetABResultsOptions
+ * @property {string} dimension - Key of AB_DIMENSIONS to split on
+ * @property {string[]} values - Dimension values to include (build commits also match by prefix)
+ * @property {string[]} [models=[]] - Model filenames to include (exact match)
+ * @property {string[]} [testTypes=[]] - Test types to include
+ * @property {string[]} [testLabels=[]] - Test labels to include
+ * @property {string[]} [hosts=[]] - Host names to include
+ * @property {string[]} [gpuModels=[]] - GPU models to include
+ * @property {number[]} [gpuCounts=[]] - GPU counts to include
+ */
+
+/**
+ * Get per-row results for an A/B comparison, with the compared value as `ab_value`.
+ * @param {GetABResultsOptions} options - Query options
+ * @returns {Object[]} Rows with series key columns, ab_value and samples
+ * @throws {Error} If the dimension is not comparable
+ */
+function getABResults({ dimension, values, models = [], testTypes = [], testLabels = [], hosts = [], gpuModels = [], gpuCounts = [] }) {
+  const expression = AB_DIMENSIONS[dimension];
+  if (!expression) {
+    throw new Error(`Invalid comparison dimension: ${dimension}`);
+  }
+
+  const db = getDb();
+  const params = {};
+  const conditions = ['b.tokens_per_second IS NOT NULL'];
+
+  // Short commit hashes are accepted for builds (a literal, case-sensitive prefix match)
+  const valueConditions = values.map((_, i) => dimension === 'build_commit'
+    ? `substr(b.build_commit, 1, length(@value${i})) = @value${i}`
+    : `${expression} = @value${i}`);
+  conditions.push(`(${valueConditions.join(' OR ')})`);
+  values.forEach((v, i) => params[`value${i}`] = v);
+
+  const lists = [['b.model_filename', models], ['b.test_type', testTypes], ['b.test_label', testLabels], ['h.name', hosts], ['b.gpu_model', gpuModels], ['b.gpu_count', gpuCounts]];
+  lists.forEach(([column, list], listIdx) => {
+    if (list.length > 0) {
+      conditions.push(`${column} IN (${list.map((_, i) => `@list${listIdx}_${i}`).join(', ')})`);
+      list.forEach((v, i) => params[`list${listIdx}_${i}`] = v);
+    }
+  });
+
+  return db.prepare(`
+    SELECT b.id, ${SERIES_KEY_COLUMNS.map(col => `b.${col}`).join(', ')},
+      h.name as host, ${expression} as ab_value,
+      b.build_commit, b.build_number, b.test_time,
+      b.tokens_per_second, b.stddev, b.samples
+    FROM benchmarks b
+    LEFT JOIN hosts h ON h.id = b.host_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY b.test_time ASC
+  `).all(params);
+}
+
+/**
+ * @typedef {Object} ApiKeyRecord
+ * @property {number} id - Key ID
+ * @property {string} name - Human-readable key name
+ * @property {string} key_prefix - First characters of the key, for identification
+ * @property {string} scopes - Comma-separated scopes
+ * @property {string} created_at - Creation timestamp
+ * @property {string|null} last_used_at - Last successful authentication
+ * @property {string|null} revoked_at - Revocation timestamp (null while active)
+ */
+
+/**
+ * Store a new API key. Only the hash of the key is stored.
+ * @param {Object} key - Key data
+ * @param {string} key.name - Human-readable key name
+ * @param {string} key.keyPrefix - First characters of the key
+ * @param {string} key.keyHash - SHA-256 hash of the key
+ * @param {string[]} key.scopes - Granted scopes
+ * @returns {number} ID of the new key
+ */
+function insertApiKey({ name, keyPrefix, keyHash, scopes }) {
+  const db = getDb();
+  const result = db.prepare(`
+    INSERT INTO api_keys (name, key_prefix, key_hash, scopes)
+    VALUES (@name, @keyPrefix, @keyHash, @scopes)
+  `).run({ name, keyPrefix, keyHash, scopes: scopes.join(',') });
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * Get all API keys (without hashes), newest first.
+ * @returns {ApiKeyRecord[]} Array of key records
+ */
+function getApiKeys() {
+  const db = getDb();
+  return db.prepare(`
+    SELECT id, name, key_prefix, scopes, created_at, last_used_at, revoked_at
+    FROM api_keys
+    ORDER BY created_at DESC, id DESC
+  `).all();
+}
+
+/**
+ * Find an active (non-revoked) API key by its hash.
+ * @param {string} keyHash - SHA-256 hash of the presented key
+ * @returns {ApiKeyRecord|undefined} The key record, or undefined if unknown or revoked
+ */
+function getActiveApiKeyByHash(keyHash) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT id, name, key_prefix, scopes, created_at, last_used_at, revoked_at
+    FROM api_keys
+    WHERE key_hash = @keyHash AND revoked_at IS NULL
+  `).get({ keyHash });
+}
+
+/**
+ * Record that an API key was just used. The timestamp is only written when it
+ * is more than a minute old, so authenticated requests do not all write.
+ * @param {number} id - Key ID
+ * @returns {void}
+ */
+function touchApiKey(id) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP
+    WHERE id = @id AND (last_used_at IS NULL OR last_used_at < datetime('now', '-1 minute'))
+  `).run({ id });
+}
+
+/**
+ * Revoke an API key.
+ * @param {number} id - Key ID
+ * @returns {boolean} True if an active key was revoked
+ */
+function revokeApiKey(id) {
+  const db = getDb();
+  const result = db.prepare(`
+    UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+    WHERE id = @id AND revoked_at IS NULL
+  `).run({ id });
+  return result.changes > 0;
+}
+
+/**
+ * @typedef {Object} WebhookRecord
+ * @property {number} id - Webhook ID
+ * @property {string} name - Human-readable name
+ * @property {string} url - Endpoint URL
+ * @property {string} format - Payload format ('json', 'slack' or 'discord')
+ * @property {string} events - Comma-separated subscribed events
+ * @property {number} enabled - Whether deliveries are sent (0 or 1)
+ * @property {string} created_at - Creation timestamp
+ */
+
+/**
+ * Store a new webhook endpoint.
+ * @param {Object} webhook - Webhook data
+ * @param {string} webhook.name - Human-readable name
+ * @param {string} webhook.url - Endpoint URL
+ * @param {string} webhook.format - Payload format
+ * @param {string[]} webhook.events - Subscribed events
+ * @returns {number} ID of the new webhook
+ */
+function insertWebhook({ name, url, format, events }) {
+  const db = getDb();
+  const result = db.prepare(`
+    INSERT INTO webhooks (name, url, format, events)
+    VALUES (@name, @url, @format, @events)
+  `).run({ name, url, format, events: events.join(',') });
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * Get all webhooks, newest first.
+ * @returns {WebhookRecord[]} Array of webhook records
+ */
+function getWebhooks() {
+  const db = getDb();
+  return db.prepare('SELECT * FROM webhooks ORDER BY created_at DESC, id DESC').all();
+}
+
+/**
+ * Get a webhook by ID.
+ * @param {number} id - Webhook ID
+ * @returns {WebhookRecord|undefined} The webhook, or undefined if not found
+ */
+function getWebhook(id) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM webhooks WHERE id = @id').get({ id });
+}
+
+/**
+ * Get enabled webhooks subscribed to an event.
+ * @param {string} event - Event name
+ * @returns {WebhookRecord[]} Matching webhooks
+ */
+function getWebhooksForEvent(event) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM webhooks
+    WHERE enabled = 1 AND (',' || events || ',') LIKE @pattern
+  `).all({ pattern: `%,${event},%` });
+}
+
+/**
+ * Enable or disable a webhook.
+ * @param {number} id - Webhook ID
+ * @param {boolean} enabled - New state
+ * @returns {boolean} True if the webhook exists
+ */
+function setWebhookEnabled(id, enabled) {
+  const db = getDb();
+  return db.prepare('UPDATE webhooks SET enabled = @enabled WHERE id = @id').run({ id, enabled: enabled ? 1 : 0 }).changes > 0;
+}
+
+/**
+ * Delete a webhook and its delivery log.
+ * @param {number} id - Webhook ID
+ * @returns {boolean} True if the webhook existed
+ */
+function deleteWebhook(id) {
+  const db = getDb();
+  const remove = db.transaction(() => {
+    db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = @id').run({ id });
+    return db.prepare('DELETE FROM webhooks WHERE id = @id').run({ id }).changes > 0;
+  });
+  return remove();
+}
+
+/**
+ * @typedef {Object} WebhookDelivery
+ * @property {number} id - Delivery ID
+ * @property {number} webhook_id - Webhook ID
+ * @property {string} event - Event name
+ * @property {string} payload - JSON request body
+ * @property {string} status - 'pending', 'success' or 'failed'
+ * @property {number} attempts - Number of attempts made
+ * @property {number|null} response_status - HTTP status of the last attempt
+ * @property {string|null} error - Error of the last failed attempt
+ * @property {string} created_at - Creation timestamp
+ * @property {string|null} last_attempt_at - Time of the last attempt
+ * @property {string|null} next_attempt_at - Scheduled time of the next retry
+ */
+
+/**
+ * Queue a webhook delivery.
+ * @param {Object} delivery - Delivery data
+ * @param {number} delivery.webhookId - Webhook ID
+ * @param {string} delivery.event - Event name
+ * @param {string} delivery.payload - JSON request body
+ * @returns {number} ID of the new delivery
+ */
+function insertWebhookDelivery({ webhookId, event, payload }) {
+  const db = getDb();
+  const result = db.prepare(`
+    INSERT INTO webhook_deliveries (webhook_id, event, payload)
+    VALUES (@webhookId, @event, @payload)
+  `).run({ webhookId, event, payload });
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * Get a delivery together with its webhook's URL.
+ * @param {number} id - Delivery ID
+ * @returns {(WebhookDelivery & {url: string})|undefined} The delivery, or undefined if not found
+ */
+function getWebhookDelivery(id) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT d.*, w.url
+    FROM webhook_deliveries d
+    JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.id = @id
+  `).get({ id });
+}
+
+/**
+ * Record the outcome of a delivery attempt.
+ * @param {number} id - Delivery ID
+ * @param {Object} outcome - Attempt outcome
+ * @param {string} outcome.status - New status ('pending', 'success' or 'failed')
+ * @param {number|null} outcome.responseStatus - HTTP status, if a response was received
+ * @param {string|null} outcome.error - Error message, if the attempt failed
+ * @param {string|null} outcome.nextAttemptAt - ISO time of the next retry, if any
+ * @returns {void}
+ */
+function updateWebhookDelivery(id, { status, responseStatus, error, nextAttemptAt }) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE webhook_deliveries SET
+      status = @status,
+      attempts = attempts + 1,
+      response_status = @responseStatus,
+      error = @error,
+      last_attempt_at = CURRENT_TIMESTAMP,
+      next_attempt_at = @nextAttemptAt
+    WHERE id = @id
+  `).run({ id, status, responseStatus, error, nextAttemptAt });
+}
+
+/**
+ * Get the most recent deliveries with their webhook names.
+ * @param {number} [limit=100] - Maximum number of deliveries
+ * @returns {(WebhookDelivery & {webhook_name: string})[]} Deliveries, newest first
+ */
+function getWebhookDeliveries(limit = 100) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT d.*, w.name as webhook_name
+    FROM webhook_deliveries d
+    JOIN webhooks w ON w.id = d.webhook_id
+    ORDER BY d.id DESC
+    LIMIT @limit
+  `).all({ limit });
+}
+
+/**
+ * Get deliveries still waiting to be sent (e.g., after a restart).
+ * @returns {WebhookDelivery[]} Pending deliveries, oldest first
+ */
+function getPendingWebhookDeliveries() {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM webhook_deliveries
+    WHERE status = 'pending'
+    ORDER BY id ASC
+  `).all();
+}
+
+/**
+ * @typedef {Object} ColumnPresetRecord
+ * @property {number} id - Preset ID
+ * @property {string} name - Unique preset name
+ * @property {string} columns - Comma-separated column keys, in display order
+ * @property {string} created_at - Creation timestamp
+ * @property {string} updated_at - Time the columns were last saved
+ */
+
+/**
+ * Get all column presets, by name.
+ * @returns {ColumnPresetRecord[]} Array of presets
+ */
+function getColumnPresets() {
+  const db = getDb();
+  return db.prepare('SELECT * FROM column_presets ORDER BY name COLLATE NOCASE').all();
+}
+
+/**
+ * Save a column preset, replacing the columns of an existing preset with the same name.
+ * @param {Object} preset - Preset data
+ * @param {string} preset.name - Preset name
+ * @param {string[]} preset.columns - Column keys, in display order
+ * @returns {number} ID of the saved preset
+ */
+function saveColumnPreset({ name, columns }) {
+  const db = getDb();
+  return db.prepare(`
+    INSERT INTO column_presets (name, columns)
+    VALUES (@name, @columns)
+    ON CONFLICT(name) DO UPDATE SET columns = excluded.columns, updated_at = CURRENT_TIMESTAMP
+    RETURNING id
+  `).get({ name, columns: columns.join(',') }).id;
+}
+
+/**
+ * Delete a column preset.
+ * @param {number} id - Preset ID
+ * @returns {boolean} True if the preset existed
+ */
+function deleteColumnPreset(id) {
+  const db = getDb();
+  return db.prepare('DELETE FROM column_presets WHERE id = @id').run({ id }).changes > 0;
+}
+
+/**
+ * @typedef {Object} SavedViewRecord
+ * @property {number} id - View ID
+ * @property {string} name - Unique view name
+ * @property {string} query - /trends query string
+ * @property {string} created_at - Creation timestamp
+ * @property {string} updated_at - Time the query was last saved
+ */
+
+/**
+ * Get all saved views, by name.
+ * @returns {SavedViewRecord[]} Array of saved views
+ */
+function getSavedViews() {
+  const db = getDb();
+  return db.prepare('SELECT * FROM saved_views ORDER BY name COLLATE NOCASE').all();
+}
+
+/**
+ * Get a saved view by ID.
+ * @param {number} id - View ID
+ * @returns {SavedViewRecord|undefined} The view, or undefined if not found
+ */
+function getSavedView(id) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM saved_views WHERE id = @id').get({ id });
+}
+
+/**
+ * Save a view, replacing the query of an existing view with the same name.
+ * @param {Object} view - View data
+ * @param {string} view.name - View name
+ * @param {string} view.query - /trends query string
+ * @returns {number} ID of the saved view
+ */
+function saveSavedView({ name, query }) {
+  const db = getDb();
+  return db.prepare(`
+    INSERT INTO saved_views (name, query)
+    VALUES (@name, @query)
+    ON CONFLICT(name) DO UPDATE SET query = excluded.query, updated_at = CURRENT_TIMESTAMP
+    RETURNING id
+  `).get({ name, query }).id;
+}
+
+/**
+ * Delete a saved view and remove it from every dashboard.
+ * @param {number} id - View ID
+ * @returns {boolean} True if the view existed
+ */
+function deleteSavedView(id) {
+  const db = getDb();
+  const remove = db.transaction(() => {
+    db.prepare('DELETE FROM dashboard_views WHERE view_id = @id').run({ id });
+    return db.prepare('DELETE FROM saved_views WHERE id = @id').run({ id }).changes > 0;
+  });
+  return remove();
+}
+
+/**
+ * @typedef {Object} DashboardRecord
+ * @property {number} id - Dashboard ID
+ * @property {string} name - Unique dashboard name
+ * @property {number} home - Whether the dashboard is shown on the home page (0 or 1)
+ * @property {string} created_at - Creation timestamp
+ * @property {number} [view_count] - Number of views (getDashboards only)
+ */
+
+/**
+ * Get all dashboards with their number of views, by name.
+ * @returns {DashboardRecord[]} Array of dashboards
+ */
+function getDashboards() {
+  const db = getDb();
+  return db.prepare(`
+    SELECT d.*, COUNT(dv.view_id) as view_count
+    FROM dashboards d
+    LEFT JOIN dashboard_views dv ON dv.dashboard_id = d.id
+    GROUP BY d.id
+    ORDER BY d.name COLLATE NOCASE
+  `).all();
+}
+
+/**
+ * Get a dashboard by ID.
+ * @param {number} id - Dashboard ID
+ * @returns {DashboardRecord|undefined} The dashboard, or undefined if not found
+ */
+function getDashboard(id) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM dashboards WHERE id = @id').get({ id });
+}
+
+/**
+ * Get the dashboard shown on the home page, if any.
+ * @returns {DashboardRecord|undefined} The home dashboard
+ */
+function getHomeDashboard() {
+  const db = getDb();
+  return db.prepare('SELECT * FROM dashboards WHERE home = 1 ORDER BY id LIMIT 1').get();
+}
+
+/**
+ * Get the saved views of a dashboard, in display order.
+ * @param {number} id - Dashboard ID
+ * @returns {SavedViewRecord[]} Saved views
+ */
+function getDashboardViews(id) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT v.* FROM dashboard_views dv
+    JOIN saved_views v ON v.id = dv.view_id
+    WHERE dv.dashboard_id = @id
+    ORDER BY dv.position
+  `).all({ id });
+}
+
+/**
+ * Save a dashboard, replacing the views of an existing dashboard with the same name.
+ * Only one dashboard can be on the home page; marking one unmarks the others.
+ * @param {Object} dashboard - Dashboard data
+ * @param {string} dashboard.name - Dashboard name
+ * @param {number[]} dashboard.viewIds - Saved view IDs, in display order
+ * @param {boolean} [dashboard.home=false] - Show the dashboard on the home page
+ * @returns {number} ID of the saved dashboard
+ */
+function saveDashboard({ name, viewIds, home = false }) {
+  const db = getDb();
+  const save = db.transaction(() => {
+    if (home) {
+      db.prepare('UPDATE dashboards SET home = 0').run();
+    }
+    const id = db.prepare(`
+      INSERT INTO dashboards (name, home)
+      VALUES (@name, @home)
+      ON CONFLICT(name) DO UPDATE SET home = excluded.home
+      RETURNING id
+    `).get({ name, home: home ? 1 : 0 }).id;
+
+    db.prepare('DELETE FROM dashboard_views WHERE dashboard_id = @id').run({ id });
+    const insert = db.prepare(`
+      INSERT INTO dashboard_views (dashboard_id, view_id, position)
+      VALUES (@id, @viewId, @position)
+    `);
+    viewIds.forEach((viewId, position) => insert.run({ id, viewId, position }));
+    return id;
+  });
+  return save();
+}
+
+/**
+ * Delete a dashboard. Its saved views are kept.
+ * @param {number} id - Dashboard ID
+ * @returns {boolean} True if the dashboard existed
+ */
+function deleteDashboard(id) {
+  const db = getDb();
+  const remove = db.transaction(() => {
+    db.prepare('DELETE FROM dashboard_views WHERE dashboard_id = @id').run({ id });
+    return db.prepare('DELETE FROM dashboards WHERE id = @id').run({ id }).changes > 0;
+  });
+  return remove();
+}
+
 module.exports = {
+  DUPLICATE_MODES,
+  SERIES_KEY_COLUMNS,
+  COMPARE_GROUP_BY_COLUMNS,
   insertBenchmark,
   insertBenchmarks,
+  getRuns,
+  getRun,
+  getRunBenchmarks,
+  getHosts,
+  getHost,
   getBenchmarks,
+  getBenchmark,
+  getSameConfigBenchmarks,
+  getSameBuildBenchmarks,
+  getSeriesBuilds,
+  countBenchmarks,
   getBenchmarksFiltered,
+  iterateBenchmarksFiltered,
+  getBenchmarkColumns,
   getModels,
+  getModelCatalogue,
+  getCatalogueModel,
+  updateCatalogueModel,
   getBuilds,
+  getBuildCommits,
+  getBuildInfo,
+  getBuildCommitHashes,
+  upsertBuilds,
+  getTestLabels,
   getGpus,
   getMainGpus,
   getSplitModes,
@@ -700,6 +2235,39 @@ module.exports = {
   getComparisonData,
   deleteBenchmarks,
   getDimensionalTrends,
+  getSweepData,
   getDimensionValues,
-  getAllDimensionValues
+  getAllDimensionValues,
+  getSeriesResults,
+  AB_DIMENSIONS,
+  getABResults,
+  insertApiKey,
+  getApiKeys,
+  getActiveApiKeyByHash,
+  touchApiKey,
+  revokeApiKey,
+  insertWebhook,
+  getWebhooks,
+  getWebhook,
+  getWebhooksForEvent,
+  setWebhookEnabled,
+  deleteWebhook,
+  insertWebhookDelivery,
+  getWebhookDelivery,
+  updateWebhookDelivery,
+  getWebhookDeliveries,
+  getPendingWebhookDeliveries,
+  getColumnPresets,
+  saveColumnPreset,
+  deleteColumnPreset,
+  getSavedViews,
+  getSavedView,
+  saveSavedView,
+  deleteSavedView,
+  getDashboards,
+  getDashboard,
+  getHomeDashboard,
+  getDashboardViews,
+  saveDashboard,
+  deleteDashboard
 };
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview API key authentication and scope checks.
+ * Keys are presented as `Authorization: Bearer <key>` (API clients) or via the
+ * session cookie set by the login page (browser). Only SHA-256 hashes of keys
+ * are stored in the database.
+ * @module middleware/auth
+ */
+
+const crypto = require('crypto');
+const queries = require('../db/queries');
+
+/** @type {boolean} Whether API keys are enforced (AUTH_ENABLED=true) */
+const AUTH_ENABLED = process.env.AUTH_ENABLED === 'true';
+
+/** @type {boolean} Whether unauthenticated clients may read data (ANONYMOUS_READ=true) */
+const ANONYMOUS_READ = process.env.ANONYMOUS_READ === 'true';
+
+/** @type {string[]} Scopes a key can be granted; 'admin' implies all others */
+const SCOPES = ['read', 'submit', 'delete', 'admin'];
+
+/** @type {string} Name of the cookie holding the browser session key */
+const SESSION_COOKIE = 'lbr_api_key';
+
+/** @type {string} Prefix marking strings as Llama Bench Reports keys */
+const KEY_PREFIX = 'lbr_';
+
+/**
+ * Generate a new random API key.
+ * @returns {string} The plaintext key (shown to the user once, never stored)
+ */
+function generateApiKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Hash an API key for storage and lookup.
+ * @param {string} key - Plaintext key
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Create and store a new API key.
+ * @param {string} name - Human-readable key name
+ * @param {string[]} scopes - Scopes to grant (validated against SCOPES)
+ * @returns {{id: number, key: string}} The new key ID and plaintext key
+ * @throws {Error} If no valid scopes are given
+ */
+function createApiKey(name, scopes) {
+  const validScopes = scopes.filter(s => SCOPES.includes(s));
+  if (validScopes.length === 0) {
+    throw new Error(`At least one scope is required (${SCOPES.join(', ')})`);
+  }
+  const key = generateApiKey();
+  const id = queries.insertApiKey({
+    name,
+    keyPrefix: key.substring(0, KEY_PREFIX.length + 6),
+    keyHash: hashApiKey(key),
+    scopes: validScopes
+  });
+  return { id, key };
+}
+
+/**
+ * Read a cookie value from the request without a cookie-parsing dependency.
+ * @param {import('express').Request} req - Express request object
+ * @param {string} name - Cookie name
+ * @returns {string|null} Decoded cookie value, or null if absent or malformed
+ */
+function getCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) {
+      try {
+        return decodeURIComponent(rest.join('='));
+      } catch (error) {
+        // A malformed value (e.g. a stray '%') is treated as no cookie
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Look up the key presented with a request.
+ * @param {string|null} key - Plaintext key
+ * @returns {import('../db/queries').ApiKeyRecord|null} Active key record, or null
+ */
+function resolveApiKey(key) {
+  if (!key) {
+    return null;
+  }
+  const record = queries.getActiveApiKeyByHash(hashApiKey(key));
+  if (!record) {
+    return null;
+  }
+  queries.touchApiKey(record.id);
+  return record;
+}
+
+/**
+ * Check whether a key record grants a scope.
+ * @param {import('../db/queries').ApiKeyRecord|null} apiKey - Key record
+ * @param {string} scope - Required scope
+ * @returns {boolean} True if the key has the scope or 'admin'
+ */
+function hasScope(apiKey, scope) {
+  if (!apiKey) {
+    return false;
+  }
+  const scopes = apiKey.scopes.split(',');
+  return scopes.includes(scope) || scopes.includes('admin');
+}
+
+/**
+ * Check whether the current request may use a scope, honoring AUTH_ENABLED
+ * and ANONYMOUS_READ.
+ * @param {import('express').Request} req - Express request object (after authenticate)
+ * @param {string} scope - Required scope
+ * @returns {boolean} True if allowed
+ */
+function isAllowed(req, scope) {
+  if (!AUTH_ENABLED) {
+    return true;
+  }
+  if (scope === 'read' && ANONYMOUS_READ) {
+    return true;
+  }
+  return hasScope(req.apiKey, scope);
+}
+
+/**
+ * Middleware that resolves the presented API key (Bearer header or session cookie)
+ * into `req.apiKey` and exposes auth state to views as `res.locals.auth`.
+ * Never rejects a request on its own; see requireScope.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  req.apiKey = resolveApiKey(bearer || getCookie(req, SESSION_COOKIE));
+
+  res.locals.auth = {
+    enabled: AUTH_ENABLED,
+    key: req.apiKey,
+    can: scope => isAllowed(req, scope)
+  };
+  next();
+}
+
+/**
+ * Create middleware that rejects requests lacking a scope.
+ * API requests get a JSON 401/403; page requests without a key are sent to the login page.
+ * @param {string} scope - Required scope ('read', 'submit', 'delete' or 'admin')
+ * @returns {import('express').RequestHandler} Express middleware
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (isAllowed(req, scope)) {
+      return next();
+    }
+
+    const status = req.apiKey ? 403 : 401;
+    const message = req.apiKey ? `API key lacks the '${scope}' scope` : 'API key required';
+
+    if (req.originalUrl.startsWith('/api') || req.headers['hx-request']) {
+      return res.status(status).json({ error: message });
+    }
+    if (status === 401) {
+      return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    res.status(403).send(message);
+  };
+}
+
+module.exports = {
+  AUTH_ENABLED,
+  ANONYMOUS_READ,
+  SCOPES,
+  SESSION_COOKIE,
+  createApiKey,
+  hashApiKey,
+  getCookie,
+  resolveApiKey,
+  hasScope,
+  authenticate,
+  requireScope
+};
@@ -4,6 +4,84 @@
  * @module models/benchmark
  */
 
+const crypto = require('crypto');
+const { parseGpuInfo } = require('./hardware');
+
+/**
+ * Fields that identify a benchmark result for duplicate detection.
+ * Covers build, model, hardware, test parameters, test time and samples.
+ * @type {string[]}
+ */
+const FINGERPRINT_FIELDS = [
+  'build_commit', 'build_number', 'test_time',
+  'cpu_info', 'gpu_info', 'backend',
+  'model_filename', 'model_type', 'model_size', 'model_n_params',
+  'n_prompt', 'n_gen', 'n_depth', 'n_batch', 'n_ubatch', 'n_threads', 'n_gpu_layers',
+  'n_ctx', 'flash_attn', 'cache_type_k', 'cache_type_v', 'embeddings',
+  'split_mode', 'main_gpu',
+  'n_cpu_moe', 'tensor_split', 'tensor_buft_overrides', 'devices',
+  'use_mmap', 'no_kv_offload', 'no_op_offload',
+  'cpu_mask', 'cpu_strict', 'poll',
+  'samples'
+];
+
+/**
+ * Measured values added to the fingerprint of records without a test time of their
+ * own (e.g. markdown tables), so that only an identical result counts as a duplicate
+ * and a re-run with the same parameters is kept.
+ * @type {string[]}
+ */
+const UNTIMED_FINGERPRINT_FIELDS = ['tokens_per_second', 'stddev'];
+
+/**
+ * llama-bench defaults of the fingerprint fields that were not stored from the
+ * start, as they appear in transformed records. A default value fingerprints
+ * like a missing one, so re-submitting a result stored before these columns
+ * existed matches the stored row.
+ * @type {Object<string, string|number>}
+ */
+const FINGERPRINT_DEFAULTS = {
+  n_cpu_moe: 0,
+  tensor_split: '0.00',
+  tensor_buft_overrides: 'none',
+  devices: 'auto',
+  use_mmap: 1,
+  no_kv_offload: 0,
+  no_op_offload: 0,
+  cpu_mask: '0x0',
+  cpu_strict: 0,
+  poll: 50
+};
+
+/**
+ * Compute a content fingerprint for a transformed benchmark (or a stored row).
+ * Null fields and llama-bench defaults of later columns are left out so that
+ * columns added later do not change the fingerprint of records that predate them.
+ * Records without a test time have their measured values fingerprinted as well.
+ * @param {Object} benchmark - Transformed benchmark or database row
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function getFingerprint(benchmark) {
+  const fields = benchmark.test_time ? FINGERPRINT_FIELDS : [...FINGERPRINT_FIELDS, ...UNTIMED_FINGERPRINT_FIELDS];
+  const parts = fields
+    .filter(field => benchmark[field] !== null && benchmark[field] !== undefined)
+    .filter(field => benchmark[field] !== FINGERPRINT_DEFAULTS[field])
+    .map(field => [field, benchmark[field]]);
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * Compute the fingerprint of a stored row, e.g. from a backup.
+ * A test time that was defaulted at submission (missing from the raw record)
+ * is left out, as it is by transformBenchmark.
+ * @param {Object} row - Stored benchmark row
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function getRowFingerprint(row) {
+  const defaultedTime = row.raw_json && JSON.parse(row.raw_json).test_time === undefined;
+  return getFingerprint(defaultedTime ? { ...row, test_time: null } : row);
+}
+
 /**
  * Determine test type from n_prompt and n_gen values.
  * @param {number} nPrompt - Number of prompt tokens
@@ -25,12 +103,58 @@ function getTestType(nPrompt, nGen) {
 }
 
 /**
- * Transform llama-bench JSON output to database format
+ * Build the llama-bench test label, e.g. 'pp512', 'tg128', 'pp512+tg128' or 'tg128 @ d4096'.
+ * Unlike the test type, the label tells apart tests with different token counts and depths.
+ * @param {number} nPrompt - Number of prompt tokens
+ * @param {number} nGen - Number of generated tokens
+ * @param {number} [nDepth] - Context depth (llama-bench -d)
+ * @returns {string|null} Test label, or null when neither count is set
+ */
+function getTestLabel(nPrompt, nGen, nDepth) {
+  const parts = [];
+  if (nPrompt > 0) {
+    parts.push(`pp${nPrompt}`);
+  }
+  if (nGen > 0) {
+    parts.push(`tg${nGen}`);
+  }
+  if (parts.length === 0) {
+    return null;
+  }
+  return parts.join('+') + (nDepth > 0 ? ` @ d${nDepth}` : '');
+}
+
+/**
+ * Convert an optional llama-bench boolean to a 0/1 flag.
+ * Missing values stay null so older llama-bench versions don't report a false "No".
+ * @param {*} value - Raw value from llama-bench output
+ * @returns {number|null} 1, 0, or null when the field was not emitted
+ */
+function toFlag(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return value ? 1 : 0;
+}
+
+/**
+ * Serialize an array field to JSON, leaving null for missing values.
+ * @param {Array|undefined} value - Raw array value
+ * @returns {string|null} JSON string or null
+ */
+function toJsonArray(value) {
+  return Array.isArray(value) ? JSON.stringify(value) : null;
+}
+
+/**
+ * Transform llama-bench JSON output to database format.
+ * The result includes a content fingerprint used for duplicate detection; records
+ * without a test time get the current time, which is not fingerprinted.
  * @param {Object} data - Raw llama-bench JSON object
  * @returns {Object} Transformed benchmark object for database storage
  */
 function transformBenchmark(data) {
-  return {
+  const benchmark = {
     build_commit: data.build_commit || null,
     build_number: data.build_number || null,
     test_time: data.test_time || new Date().toISOString(),
@@ -46,6 +170,7 @@ function transformBenchmark(data) {
     model_n_params: data.model_n_params || null,
 
     test_type: getTestType(data.n_prompt, data.n_gen),
+    test_label: getTestLabel(data.n_prompt, data.n_gen, data.n_depth),
     // Use nullish coalescing (??) to preserve 0 values
     n_prompt: data.n_prompt ?? null,
     n_gen: data.n_gen ?? null,
@@ -56,16 +181,46 @@ function transformBenchmark(data) {
     n_gpu_layers: data.n_gpu_layers ?? null,
     n_ctx: data.n_ctx ?? null,
     flash_attn: data.flash_attn ? 1 : 0,
-    cache_type_k: data.type_k || null,
-    cache_type_v: data.type_v || null,
+    // llama-bench names these 'type_k'/'type_v'; accept the column names too
+    cache_type_k: data.type_k || data.cache_type_k || null,
+    cache_type_v: data.type_v || data.cache_type_v || null,
     embeddings: data.embeddings ? 1 : 0,
     split_mode: data.split_mode || null,
     main_gpu: data.main_gpu ?? null,
+    n_cpu_moe: data.n_cpu_moe ?? null,
+    tensor_split: data.tensor_split || null,
+    tensor_buft_overrides: data.tensor_buft_overrides || null,
+    devices: data.devices || null,
+    use_mmap: toFlag(data.use_mmap),
+    no_kv_offload: toFlag(data.no_kv_offload),
+    no_op_offload: toFlag(data.no_op_offload),
+
+    cpu_mask: data.cpu_mask || null,
+    cpu_strict: toFlag(data.cpu_strict),
+    poll: data.poll ?? null,
 
     tokens_per_second: data.avg_ts || data.t_s || null,
     stddev: data.stddev_ts || data.stddev || null,
-    samples: data.samples ? JSON.stringify(data.samples) : null
+    // llama-bench emits per-repetition throughput as 'samples_ts'
+    samples: toJsonArray(data.samples_ts || data.samples),
+    avg_ns: data.avg_ns ?? null,
+    stddev_ns: data.stddev_ns ?? null,
+    samples_ns: toJsonArray(data.samples_ns),
+
+    // Keep the original record so fields without a column are not lost
+    raw_json: JSON.stringify(data)
   };
+  // Normalized GPU columns are derived from gpu_info, so they stay out of the fingerprint
+  const gpu = parseGpuInfo(benchmark.gpu_info);
+  benchmark.gpu_model = gpu.model;
+  benchmark.gpu_count = gpu.count;
+  // The submission time stands in for a missing test time (e.g. markdown tables), but it
+  // differs on every submission, so only a test time from the record is fingerprinted
+  const fingerprinted = { ...benchmark, test_time: data.test_time || null };
+  benchmark.fingerprint = getFingerprint(fingerprinted);
+  // Rows stored before samples were kept have none in their fingerprint
+  benchmark.legacy_fingerprint = benchmark.samples ? getFingerprint({ ...fingerprinted, samples: null }) : null;
+  return benchmark;
 }
 
 /**
@@ -81,9 +236,33 @@ function parseJsonl(text) {
     .map(line => JSON.parse(line));
 }
 
+/**
+ * Parse JSONL input line by line, keeping line numbers and per-line parse errors.
+ * Unlike parseJsonl, a malformed line does not abort the whole input.
+ * @param {string} text - JSONL text with one JSON object per line
+ * @returns {import('./validation').SubmissionEntry[]} One entry per non-empty line
+ */
+function parseJsonlEntries(text) {
+  const entries = [];
+  text.split('\n').forEach((line, i) => {
+    if (!line.trim()) {
+      return;
+    }
+    const entry = { index: entries.length, line: i + 1 };
+    try {
+      entry.data = JSON.parse(line);
+    } catch (error) {
+      entry.parseError = error.message;
+    }
+    entries.push(entry);
+  });
+  return entries;
+}
+
 /**
  * @typedef {Object} FormattedBenchmark
  * @property {Object[]} samples - Parsed samples array (from JSON string)
+ * @property {number[]} samples_ns - Parsed per-repetition durations in nanoseconds
  * @property {string|null} model_size_gb - Model size in gigabytes (formatted)
  * @property {string|null} model_params_b - Model parameters in billions (formatted)
  */
@@ -98,13 +277,20 @@ function formatBenchmark(benchmark) {
   return {
     ...benchmark,
     samples: benchmark.samples ? JSON.parse(benchmark.samples) : [],
+    samples_ns: benchmark.samples_ns ? JSON.parse(benchmark.samples_ns) : [],
     model_size_gb: benchmark.model_size ? (benchmark.model_size / 1e9).toFixed(2) : null,
     model_params_b: benchmark.model_n_params ? (benchmark.model_n_params / 1e9).toFixed(2) : null
   };
 }
 
 module.exports = {
+  FINGERPRINT_FIELDS,
+  getFingerprint,
+  getRowFingerprint,
+  getTestType,
+  getTestLabel,
   transformBenchmark,
   parseJsonl,
+  parseJsonlEntries,
   formatBenchmark
 };
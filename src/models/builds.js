@@ -0,0 +1,297 @@
+/**
+ * @fileoverview Build commit metadata from a local llama.cpp git checkout.
+ * llama-bench only reports a short commit hash and a build number. When
+ * LLAMA_CPP_REPO points to a clone of llama.cpp, the commit date, subject,
+ * author and parents of every benchmarked build are read from it and stored in
+ * the builds table, together with the commit's position in the history of
+ * LLAMA_CPP_REF, so results can be ordered by commit topology instead of by
+ * test time. The clone is only read; keep it up to date with `git fetch`/`git pull`.
+ * @module models/builds
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const queries = require('../db/queries');
+
+/** @type {Function} Promisified child_process.execFile */
+const execFileAsync = promisify(execFile);
+
+/** @type {string|null} Path to a local llama.cpp git clone (LLAMA_CPP_REPO, unset disables) */
+const LLAMA_CPP_REPO = process.env.LLAMA_CPP_REPO || null;
+
+/** @type {string} Branch or ref whose history defines the commit order (LLAMA_CPP_REF, default HEAD) */
+const LLAMA_CPP_REF = process.env.LLAMA_CPP_REF || 'HEAD';
+
+/** @type {number} Milliseconds before a git command is abandoned */
+const GIT_TIMEOUT_MS = 30000;
+
+/** @type {number} Maximum git output read, in bytes (the full llama.cpp log is a few MB) */
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+
+/** @type {number} Default maximum number of commits listed between two builds */
+const DEFAULT_COMMITS_LIMIT = 200;
+
+/** @type {RegExp} Abbreviated or full commit hashes (also keeps refs and options out of git's arguments) */
+const COMMIT_PATTERN = /^[0-9a-f]{4,40}$/i;
+
+/** @type {string} git log format: hash, parents, author, author date, subject, separated by unit separators */
+const LOG_FORMAT = '%H%x1f%P%x1f%an%x1f%aI%x1f%s';
+
+/**
+ * @typedef {Object} CommitInfo
+ * @property {string} hash - Full commit hash
+ * @property {string[]} parents - Parent hashes, first parent first
+ * @property {string} author - Author name
+ * @property {string} date - Author date (ISO 8601)
+ * @property {string} subject - First line of the commit message
+ */
+
+/**
+ * Whether a llama.cpp checkout is configured.
+ * @returns {boolean} True if LLAMA_CPP_REPO is set
+ */
+function isConfigured() {
+  return LLAMA_CPP_REPO !== null;
+}
+
+/**
+ * Run git in the configured checkout. The checkout is marked safe, since a
+ * clone mounted into a container is usually owned by another user.
+ * @param {string[]} args - git arguments
+ * @returns {Promise<string>} Standard output
+ */
+async function git(args) {
+  const { stdout } = await execFileAsync('git', ['-c', `safe.directory=${LLAMA_CPP_REPO}`, '-C', LLAMA_CPP_REPO, ...args], {
+    timeout: GIT_TIMEOUT_MS,
+    maxBuffer: GIT_MAX_BUFFER
+  });
+  return stdout;
+}
+
+/**
+ * Parse git log output written with LOG_FORMAT.
+ * @param {string} output - git log output
+ * @returns {CommitInfo[]} Commits, in output order
+ */
+function parseLog(output) {
+  return output.split('\n').filter(line => line.length > 0).map(line => {
+    const [hash, parents, author, date, subject] = line.split('\x1f');
+    return { hash, parents: parents ? parents.split(' ') : [], author, date, subject };
+  });
+}
+
+/**
+ * Read the history of LLAMA_CPP_REF, oldest first in topological order
+ * (a commit always comes after its parents).
+ * @returns {Promise<CommitInfo[]>} Commits
+ */
+async function readHistory() {
+  return parseLog(await git(['log', '--topo-order', '--reverse', `--format=${LOG_FORMAT}`, LLAMA_CPP_REF, '--']));
+}
+
+/**
+ * Look up a single commit, e.g. one that is not on LLAMA_CPP_REF.
+ * @param {string} commit - Abbreviated or full commit hash
+ * @returns {Promise<CommitInfo|null>} Commit, or null if the clone does not have it
+ */
+async function readCommit(commit) {
+  try {
+    const [info] = parseLog(await git(['log', '-1', `--format=${LOG_FORMAT}`, `${commit}^{commit}`, '--']));
+    return info || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Normalize a build commit reported by llama-bench for lookup in git.
+ * @param {string|null} buildCommit - Build commit
+ * @returns {string|null} Lower-case hash, or null if it is not a commit hash
+ */
+function normalizeCommit(buildCommit) {
+  const commit = String(buildCommit || '').trim().toLowerCase();
+  return COMMIT_PATTERN.test(commit) ? commit : null;
+}
+
+/**
+ * @typedef {Object} SyncResult
+ * @property {number} builds - Distinct build commits with results
+ * @property {number} synced - Builds whose commit was found in the clone
+ * @property {number} ordered - Synced builds on LLAMA_CPP_REF (these have a topo_order)
+ * @property {string[]} unknown - Build commits the clone does not have
+ */
+
+/**
+ * Read the commit metadata of every benchmarked build from the configured
+ * checkout and store it in the builds table. Every build is refreshed, since
+ * the history of LLAMA_CPP_REF (and so the commit order) changes as it advances.
+ * @returns {Promise<SyncResult>} Sync summary
+ * @throws {Error} If no checkout is configured or git fails to read its history
+ */
+async function syncBuilds() {
+  if (!isConfigured()) {
+    throw new Error('LLAMA_CPP_REPO is not configured');
+  }
+
+  const buildCommits = queries.getBuildCommits();
+  const history = await readHistory();
+
+  // Index the history by the first 4 characters, the shortest prefix git accepts
+  const byPrefix = new Map();
+  history.forEach((commit, index) => {
+    const key = commit.hash.substring(0, 4);
+    if (!byPrefix.has(key)) byPrefix.set(key, []);
+    byPrefix.get(key).push({ commit, index });
+  });
+
+  const rows = [];
+  const unknown = [];
+  let ordered = 0;
+  for (const buildCommit of buildCommits) {
+    const commit = normalizeCommit(buildCommit);
+    const matches = commit ? (byPrefix.get(commit.substring(0, 4)) || []).filter(m => m.commit.hash.startsWith(commit)) : [];
+    let info = null;
+    let topoOrder = null;
+    if (matches.length === 1) {
+      info = matches[0].commit;
+      topoOrder = matches[0].index;
+      ordered++;
+    } else if (commit) {
+      // Not on the ref (a branch or PR build) or ambiguous: let git resolve it
+      info = await readCommit(commit);
+    }
+
+    if (!info) {
+      unknown.push(buildCommit);
+      continue;
+    }
+    rows.push({
+      build_commit: buildCommit,
+      commit_hash: info.hash,
+      subject: info.subject,
+      author: info.author,
+      commit_date: info.date,
+      parents: info.parents.join(' '),
+      topo_order: topoOrder
+    });
+  }
+
+  queries.upsertBuilds(rows);
+  return { builds: buildCommits.length, synced: rows.length, ordered, unknown };
+}
+
+/** @type {Promise|null} Sync in progress */
+let pendingSync = null;
+
+/** @type {boolean} Whether another sync was requested while one was running */
+let syncRequested = false;
+
+/**
+ * Sync builds in the background, e.g. after new results are ingested.
+ * Requests made while a sync is running are coalesced into one more sync.
+ * Does nothing when no checkout is configured; failures are logged.
+ */
+function scheduleBuildSync() {
+  if (!isConfigured()) {
+    return;
+  }
+  if (pendingSync) {
+    syncRequested = true;
+    return;
+  }
+  pendingSync = syncBuilds()
+    .then(result => {
+      if (result.unknown.length > 0) {
+        console.warn(`Build sync: ${result.unknown.length} build(s) not found in ${LLAMA_CPP_REPO}: ${result.unknown.join(', ')}`);
+      }
+    })
+    .catch(error => console.error('Build sync failed:', error.message))
+    .finally(() => {
+      pendingSync = null;
+      if (syncRequested) {
+        syncRequested = false;
+        scheduleBuildSync();
+      }
+    });
+}
+
+/**
+ * Create an error for a commit that cannot be looked up.
+ * @param {string} message - Error message
+ * @returns {Error} Error with code 'INVALID_COMMIT'
+ */
+function invalidCommit(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_COMMIT';
+  return error;
+}
+
+/**
+ * @typedef {Object} CommitRange
+ * @property {string} from - Older endpoint as given
+ * @property {string} to - Newer endpoint as given
+ * @property {boolean} reversed - True if the endpoints were given newest first
+ * @property {Object[]} commits - Commits reachable from `to` but not from `from`,
+ *   newest first (hash, parents, author, date, subject, benchmarked)
+ * @property {boolean} truncated - Whether more than `limit` commits are in the range
+ */
+
+/**
+ * List the commits between two builds, as `git log from..to` does. If `from`
+ * is not an ancestor of `to` but the reverse holds, the endpoints are swapped
+ * and `reversed` is set. Commits that have benchmark results are marked, which
+ * narrows a regression down to the untested commits between two results.
+ * @param {string} from - Older build commit
+ * @param {string} to - Newer build commit
+ * @param {number} [limit=200] - Maximum number of commits returned
+ * @returns {Promise<CommitRange>} Commits in the range
+ * @throws {Error} If no checkout is configured, or with code 'INVALID_COMMIT' when a
+ *   commit is not a hash or unknown to the clone
+ */
+async function getCommitsBetween(from, to, limit = DEFAULT_COMMITS_LIMIT) {
+  if (!isConfigured()) {
+    throw new Error('LLAMA_CPP_REPO is not configured');
+  }
+  const a = normalizeCommit(from);
+  const b = normalizeCommit(to);
+  if (!a || !b) {
+    throw invalidCommit('Both commits must be commit hashes');
+  }
+  for (const commit of [a, b]) {
+    if (!(await readCommit(commit))) {
+      throw invalidCommit(`Commit ${commit} was not found in the llama.cpp checkout`);
+    }
+  }
+
+  const range = async (older, newer) =>
+    parseLog(await git(['log', '--topo-order', `--max-count=${limit + 1}`, `--format=${LOG_FORMAT}`, `${older}..${newer}`, '--']));
+
+  let reversed = false;
+  let commits = await range(a, b);
+  if (commits.length === 0) {
+    const backwards = await range(b, a);
+    if (backwards.length > 0) {
+      commits = backwards;
+      reversed = true;
+    }
+  }
+
+  const benchmarked = new Set(queries.getBuildCommitHashes());
+  return {
+    from: reversed ? to : from,
+    to: reversed ? from : to,
+    reversed,
+    commits: commits.slice(0, limit).map(c => ({ ...c, benchmarked: benchmarked.has(c.hash) })),
+    truncated: commits.length > limit
+  };
+}
+
+module.exports = {
+  LLAMA_CPP_REPO,
+  LLAMA_CPP_REF,
+  DEFAULT_COMMITS_LIMIT,
+  isConfigured,
+  syncBuilds,
+  scheduleBuildSync,
+  getCommitsBetween
+};
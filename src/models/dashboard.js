@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Saved trends views and dashboards.
+ * A saved view is the query string of a /trends page: models, tests,
+ * group_by dimensions, filter_* values and chart options. A dashboard shows
+ * the charts of several saved views on one page.
+ * @module models/dashboard
+ */
+
+const queries = require('../db/queries');
+const { DIMENSIONS, filterValidDimensions, parseDimensionFilters } = require('../config/dimensions');
+const { DEFAULT_METRIC, DEFAULT_AGGREGATION, getMetric, getAggregation, describeValue } = require('../config/metrics');
+
+/** @type {string[]} Test types shown on the trends page when none are chosen */
+const DEFAULT_TREND_TEST_TYPES = ['pp', 'tg', 'pp+tg'];
+
+/** @type {string[]} X-axis modes of the trends chart; the first is the default */
+const TREND_X_AXIS_MODES = ['build', 'date', 'depth', 'prompt'];
+
+/**
+ * @typedef {Object} TrendsQuery
+ * @property {string[]} models - Model filenames (all when empty)
+ * @property {string[]} testTypes - Test types
+ * @property {string[]} testLabels - Test labels (all of the test types when empty)
+ * @property {string[]} groupByDimensions - Dimensions that split series
+ * @property {Object.<string, (string|number)[]>} dimensionFilters - Dimension filters
+ * @property {string} metric - Charted metric (see config/metrics)
+ * @property {string} agg - Aggregation of the metric per chart point (see config/metrics)
+ * @property {string} xAxis - Chart x-axis mode (see TREND_X_AXIS_MODES)
+ * @property {boolean} logScale - Whether the chart uses a logarithmic y-axis
+ */
+
+/**
+ * Parse the trends page parameters from a request query.
+ * @param {Object} query - Express request query (or parseQueryString output)
+ * @returns {TrendsQuery} Parsed and validated parameters
+ */
+function parseTrendsQuery(query) {
+  return {
+    models: query.models ? [].concat(query.models).filter(m => m) : [],
+    testTypes: query.test_types ? [].concat(query.test_types) : DEFAULT_TREND_TEST_TYPES,
+    testLabels: query.test_labels ? [].concat(query.test_labels).filter(l => l) : [],
+    groupByDimensions: query.group_by ? filterValidDimensions([].concat(query.group_by).filter(d => d)) : [],
+    dimensionFilters: parseDimensionFilters(query),
+    metric: getMetric(query.metric) ? query.metric : DEFAULT_METRIC,
+    agg: getAggregation(query.agg) ? query.agg : DEFAULT_AGGREGATION,
+    xAxis: TREND_X_AXIS_MODES.includes(query.x_axis) ? query.x_axis : TREND_X_AXIS_MODES[0],
+    logScale: query.log === '1'
+  };
+}
+
+/**
+ * Build the /trends query string for parsed parameters. The metric, aggregation
+ * and chart options are left out when they are the defaults.
+ * @param {TrendsQuery} trendsQuery - Parsed parameters
+ * @returns {string} URL-encoded query string
+ */
+function buildTrendsQuery({ models, testTypes, testLabels, groupByDimensions, dimensionFilters, metric, agg, xAxis, logScale }) {
+  const params = new URLSearchParams();
+  models.forEach(m => params.append('models', m));
+  testTypes.forEach(t => params.append('test_types', t));
+  testLabels.forEach(l => params.append('test_labels', l));
+  groupByDimensions.forEach(d => params.append('group_by', d));
+  Object.entries(dimensionFilters).forEach(([key, values]) => {
+    values.forEach(v => params.append(`filter_${key}`, v));
+  });
+  if (metric !== DEFAULT_METRIC) {
+    params.set('metric', metric);
+  }
+  if (agg !== DEFAULT_AGGREGATION) {
+    params.set('agg', agg);
+  }
+  if (xAxis !== TREND_X_AXIS_MODES[0]) {
+    params.set('x_axis', xAxis);
+  }
+  if (logScale) {
+    params.set('log', '1');
+  }
+  return params.toString();
+}
+
+/**
+ * Parse a query string into an Express-style query object; repeated
+ * parameters become arrays.
+ * @param {string} queryString - Query string, with or without a leading '?'
+ * @returns {Object.<string, string|string[]>} Query object
+ */
+function parseQueryString(queryString) {
+  const query = {};
+  for (const [key, value] of new URLSearchParams(queryString)) {
+    query[key] = key in query ? [].concat(query[key], value) : value;
+  }
+  return query;
+}
+
+/**
+ * Normalize the query string of a view to be saved: unknown parameters and
+ * dimensions are dropped, defaults left out.
+ * @param {string} queryString - /trends query string
+ * @returns {string} Normalized query string
+ */
+function normalizeViewQuery(queryString) {
+  return buildTrendsQuery(parseTrendsQuery(parseQueryString(queryString)));
+}
+
+/**
+ * Load the trend data charted for a trends query.
+ * @param {TrendsQuery} trendsQuery - Parsed parameters
+ * @returns {import('../db/queries').DimensionalTrendData[]} Trend data
+ */
+function getViewTrends({ models, testTypes, testLabels, groupByDimensions, dimensionFilters, metric, agg }) {
+  return queries.getDimensionalTrends({
+    groupByDimensions,
+    filters: dimensionFilters,
+    testTypes,
+    testLabels,
+    models,
+    metric,
+    agg
+  });
+}
+
+/**
+ * Get the series label options of the trends chart (public/js/trends-chart.js):
+ * display names of dimensions stored as IDs, and the boolean dimensions.
+ * @returns {{valueLabels: Object.<string, Object.<string, string>>, booleanDimensions: string[]}} Label options
+ */
+function getChartLabels() {
+  const valueLabels = Object.fromEntries(DIMENSIONS.filter(d => d.lookup).map(d => [
+    d.key,
+    Object.fromEntries(queries.getDimensionValues(d.key).map(v => [v.value, v.label]))
+  ]));
+  return {
+    valueLabels,
+    booleanDimensions: DIMENSIONS.filter(d => d.type === 'boolean').map(d => d.key)
+  };
+}
+
+/**
+ * Load the charts of a dashboard: each saved view with its parsed parameters and trend data.
+ * @param {number} id - Dashboard ID
+ * @returns {{dashboard: import('../db/queries').DashboardRecord, charts: Object[]}|null} Dashboard and
+ *   its charts (view, metric (see describeValue), x_axis, log_scale, group_by and trends), or null if not found
+ */
+function loadDashboard(id) {
+  const dashboard = queries.getDashboard(id);
+  if (!dashboard) {
+    return null;
+  }
+  const charts = queries.getDashboardViews(id).map(view => {
+    const trendsQuery = parseTrendsQuery(parseQueryString(view.query));
+    return {
+      view,
+      metric: describeValue(getMetric(trendsQuery.metric), getAggregation(trendsQuery.agg)),
+      x_axis: trendsQuery.xAxis,
+      log_scale: trendsQuery.logScale,
+      group_by: trendsQuery.groupByDimensions,
+      trends: getViewTrends(trendsQuery)
+    };
+  });
+  return { dashboard, charts };
+}
+
+module.exports = {
+  DEFAULT_TREND_TEST_TYPES,
+  TREND_X_AXIS_MODES,
+  parseTrendsQuery,
+  buildTrendsQuery,
+  parseQueryString,
+  normalizeViewQuery,
+  getViewTrends,
+  getChartLabels,
+  loadDashboard
+};
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Serializers for data exports.
+ * Each format turns stored benchmark rows into text chunks (header, one chunk
+ * per row, footer) so exports can be streamed without building the whole
+ * file in memory.
+ * @module models/export
+ */
+
+/**
+ * @typedef {Object} ExportFormat
+ * @property {string} contentType - Response Content-Type
+ * @property {string} extension - File extension for the download
+ * @property {function(string[]): string} header - Text written before the first row
+ * @property {function(Object, number): string} row - Serialize one row (given its position)
+ * @property {function(number): string} footer - Text written after the last row (given the row count)
+ */
+
+/** @type {string[]} Internal columns left out of CSV exports */
+const OMITTED_COLUMNS = ['raw_json', 'fingerprint'];
+
+/**
+ * Internal columns left out of JSONL exports. The fingerprint is kept: without the
+ * raw record, a restore could not tell a defaulted test time from a measured one.
+ * @type {string[]}
+ */
+const JSONL_OMITTED_COLUMNS = ['raw_json'];
+
+/**
+ * Quote a value for CSV output (RFC 4180).
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert a stored row to a plain record with JSON array columns parsed.
+ * @param {Object} row - Benchmark row
+ * @param {string[]} omitted - Columns to leave out
+ * @returns {Object} Record without the omitted columns
+ */
+function toRecord(row, omitted) {
+  const record = {};
+  for (const [key, value] of Object.entries(row)) {
+    if (omitted.includes(key)) {
+      continue;
+    }
+    record[key] = (key === 'samples' || key === 'samples_ns') && value ? JSON.parse(value) : value;
+  }
+  return record;
+}
+
+/**
+ * Get the original llama-bench record for a row. Rows stored before the full
+ * record was kept are mapped back to llama-bench field names.
+ * @param {Object} row - Benchmark row
+ * @returns {string} llama-bench JSON object
+ */
+function toLlamaBenchJson(row) {
+  if (row.raw_json) {
+    return row.raw_json;
+  }
+  const { id, created_at, run_id, host_id, gpu_model, gpu_count, quantization, model_family, test_type, test_label, backend, cache_type_k, cache_type_v,
+    tokens_per_second, stddev, samples, samples_ns, raw_json, fingerprint, ...rest } = row;
+  return JSON.stringify({
+    ...rest,
+    backends: backend,
+    type_k: cache_type_k,
+    type_v: cache_type_v,
+    avg_ts: tokens_per_second,
+    stddev_ts: stddev,
+    samples_ts: samples ? JSON.parse(samples) : undefined,
+    samples_ns: samples_ns ? JSON.parse(samples_ns) : undefined
+  });
+}
+
+/** @type {Object.<string, ExportFormat>} Supported export formats */
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: columns => columns.filter(c => !OMITTED_COLUMNS.includes(c)).join(',') + '\n',
+    row: row => Object.entries(row)
+      .filter(([key]) => !OMITTED_COLUMNS.includes(key))
+      .map(([, value]) => csvField(value))
+      .join(',') + '\n',
+    footer: () => ''
+  },
+  jsonl: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'jsonl',
+    header: () => '',
+    row: row => JSON.stringify(toRecord(row, JSONL_OMITTED_COLUMNS)) + '\n',
+    footer: () => ''
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    header: () => '[\n',
+    row: (row, index) => (index > 0 ? ',\n' : '') + toLlamaBenchJson(row),
+    footer: () => '\n]\n'
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS
+};
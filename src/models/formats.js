@@ -0,0 +1,467 @@
+/**
+ * @fileoverview Parsers for llama-bench output formats.
+ * Turns JSON, JSONL, CSV, Markdown and SQL output (`-o json|jsonl|csv|md|sql`)
+ * into submission entries with llama-bench JSON field names, so every format
+ * feeds the same validation and transformBenchmark path.
+ * @module models/formats
+ */
+
+const { parseJsonlEntries } = require('./benchmark');
+
+/** @type {string[]} Supported submission formats */
+const FORMATS = ['json', 'jsonl', 'csv', 'markdown', 'sql'];
+
+/**
+ * llama-bench field types for formats that carry every value as text.
+ * Fields not listed here are kept as strings.
+ * @type {Object.<string, string>}
+ */
+const FIELD_TYPES = {
+  build_number: 'int',
+  model_size: 'int',
+  model_n_params: 'int',
+  n_batch: 'int',
+  n_ubatch: 'int',
+  n_threads: 'int',
+  poll: 'int',
+  n_gpu_layers: 'int',
+  n_cpu_moe: 'int',
+  main_gpu: 'int',
+  n_prompt: 'int',
+  n_gen: 'int',
+  n_depth: 'int',
+  avg_ns: 'int',
+  stddev_ns: 'int',
+  avg_ts: 'float',
+  stddev_ts: 'float',
+  cpu_strict: 'bool',
+  no_kv_offload: 'bool',
+  no_op_offload: 'bool',
+  flash_attn: 'bool',
+  use_mmap: 'bool',
+  embeddings: 'bool'
+};
+
+/**
+ * Column headers used by llama-bench's markdown printer, mapped to JSON field names.
+ * Headers not listed here already match their field name.
+ * @type {Object.<string, string>}
+ */
+const MARKDOWN_HEADERS = {
+  model: 'model_type',
+  size: 'model_size',
+  params: 'model_n_params',
+  backend: 'backends',
+  threads: 'n_threads',
+  ngl: 'n_gpu_layers',
+  sm: 'split_mode',
+  mg: 'main_gpu',
+  fa: 'flash_attn',
+  mmap: 'use_mmap',
+  embd: 'embeddings',
+  ts: 'tensor_split',
+  ot: 'tensor_buft_overrides',
+  dev: 'devices',
+  nkvo: 'no_kv_offload',
+  nopo: 'no_op_offload',
+  cpu_moe: 'n_cpu_moe'
+};
+
+/** @type {Object.<string, number>} Multipliers for markdown size/params units */
+const UNIT_MULTIPLIERS = {
+  KiB: 1024, MiB: 1024 ** 2, GiB: 1024 ** 3, TiB: 1024 ** 4,
+  K: 1e3, M: 1e6, B: 1e9, T: 1e12
+};
+
+/**
+ * Convert text values to the types llama-bench uses in its JSON output.
+ * Values that don't parse are left as strings so validation can report them.
+ * @param {Object.<string, string>} record - Record with string values
+ * @returns {Object} Record with typed values (empty values dropped)
+ */
+function coerceRecord(record) {
+  const result = {};
+  for (const [field, raw] of Object.entries(record)) {
+    if (raw === null || raw === undefined || raw === '') {
+      continue;
+    }
+    const value = typeof raw === 'string' ? raw.trim() : raw;
+    switch (FIELD_TYPES[field]) {
+      case 'int':
+      case 'float': {
+        const num = Number(value);
+        result[field] = value !== '' && !isNaN(num) ? num : value;
+        break;
+      }
+      case 'bool':
+        if (value === '1' || value === 'true') {
+          result[field] = true;
+        } else if (value === '0' || value === 'false') {
+          result[field] = false;
+        } else {
+          result[field] = value;
+        }
+        break;
+      default:
+        result[field] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting, fields may span lines).
+ * @param {string} text - CSV text
+ * @returns {{line: number, fields: string[]}[]} Rows with the line number they start on
+ */
+function splitCsv(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      fields.push(field);
+      if (fields.some(f => f.trim() !== '')) {
+        rows.push({ line: rowLine, fields });
+      }
+      fields = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+
+  fields.push(field);
+  if (fields.some(f => f.trim() !== '')) {
+    rows.push({ line: rowLine, fields });
+  }
+  return rows;
+}
+
+/**
+ * Parse llama-bench CSV output (`-o csv`). The first row holds the field names.
+ * @param {string} text - CSV text
+ * @returns {import('./validation').SubmissionEntry[]} One entry per data row
+ */
+function parseCsv(text) {
+  const [header, ...rows] = splitCsv(text);
+  if (!header) {
+    return [];
+  }
+  const columns = header.fields.map(f => f.trim());
+
+  return rows.map((row, index) => {
+    if (row.fields.length !== columns.length) {
+      return { index, line: row.line, parseError: `expected ${columns.length} fields, got ${row.fields.length}` };
+    }
+    const record = {};
+    columns.forEach((column, i) => { record[column] = row.fields[i]; });
+    return { index, line: row.line, data: coerceRecord(record) };
+  });
+}
+
+/**
+ * Parse a markdown size/params cell such as "3.56 GiB" or "6.74 B".
+ * @param {string} value - Cell text
+ * @returns {number|string} Absolute value, or the original text if it can't be parsed
+ */
+function parseUnitValue(value) {
+  const match = value.match(/^([\d.]+)\s*([A-Za-z]+)$/);
+  if (!match || !UNIT_MULTIPLIERS[match[2]]) {
+    return value;
+  }
+  return Math.round(parseFloat(match[1]) * UNIT_MULTIPLIERS[match[2]]);
+}
+
+/**
+ * Parse a markdown test label such as "pp512", "tg128", "pp512+tg128" or "pp512 @ d4096".
+ * @param {string} label - Test label
+ * @returns {{n_prompt: number, n_gen: number, n_depth: number}|null} Test sizes, or null if unrecognized
+ */
+function parseTestLabel(label) {
+  const match = label.match(/^(?:pp(\d+))?\+?(?:tg(\d+))?(?:\s*@\s*d(\d+))?$/);
+  if (!match || (match[1] === undefined && match[2] === undefined)) {
+    return null;
+  }
+  return {
+    n_prompt: match[1] !== undefined ? parseInt(match[1], 10) : 0,
+    n_gen: match[2] !== undefined ? parseInt(match[2], 10) : 0,
+    n_depth: match[3] !== undefined ? parseInt(match[3], 10) : 0
+  };
+}
+
+/**
+ * Split a markdown table row into trimmed cells.
+ * @param {string} line - Table row starting with '|'
+ * @returns {string[]} Cell values
+ */
+function splitMarkdownRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(c => c.trim());
+}
+
+/**
+ * Parse llama-bench's default markdown table (`-o md`).
+ * Reads the "test" column (pp512, tg128, pp512+tg128, "@ d<depth>") and the
+ * "t/s" column ("mean ± std"), plus the trailing "build: <commit> (<number>)" line.
+ * The markdown output has no model filename, so the model column is used for both.
+ * @param {string} text - Markdown text
+ * @returns {import('./validation').SubmissionEntry[]} One entry per table row
+ */
+function parseMarkdown(text) {
+  const lines = text.split('\n');
+  const entries = [];
+  let columns = null;
+
+  const buildMatch = text.match(/^build:\s*(\S+)\s*\((\d+)\)/m);
+  const build = buildMatch ? { build_commit: buildMatch[1], build_number: buildMatch[2] } : {};
+
+  lines.forEach((line, i) => {
+    if (!line.trim().startsWith('|')) {
+      columns = null;
+      return;
+    }
+    const cells = splitMarkdownRow(line);
+
+    // Separator row (| --- | ---: |) follows the header row
+    if (cells.every(c => /^:?-+:?$/.test(c))) {
+      return;
+    }
+    const next = lines[i + 1] || '';
+    if (!columns && next.trim().startsWith('|') && splitMarkdownRow(next).every(c => /^:?-+:?$/.test(c))) {
+      columns = cells;
+      return;
+    }
+    if (!columns) {
+      return;
+    }
+
+    const entry = { index: entries.length, line: i + 1 };
+    entries.push(entry);
+    if (cells.length !== columns.length) {
+      entry.parseError = `expected ${columns.length} cells, got ${cells.length}`;
+      return;
+    }
+
+    const record = { ...build };
+    columns.forEach((column, c) => {
+      const value = cells[c];
+      if (column === 'test') {
+        Object.assign(record, parseTestLabel(value) || { test: value });
+      } else if (column === 't/s') {
+        const [avg, std] = value.split('±').map(v => v.trim());
+        record.avg_ts = avg;
+        record.stddev_ts = std;
+      } else if (column === 'size' || column === 'params') {
+        record[MARKDOWN_HEADERS[column]] = parseUnitValue(value);
+      } else {
+        record[MARKDOWN_HEADERS[column] || column] = value;
+      }
+    });
+    if (record.test !== undefined) {
+      entry.parseError = `unrecognized test label: ${record.test}`;
+      return;
+    }
+    if (!record.model_filename && record.model_type) {
+      record.model_filename = record.model_type;
+    }
+    entry.data = coerceRecord(record);
+  });
+
+  return entries;
+}
+
+/**
+ * Read a parenthesized SQL value list starting just after its opening parenthesis.
+ * Handles single-quoted strings with '' escapes, bare numbers and NULL.
+ * @param {string} text - SQL text
+ * @param {number} start - Index just after the opening parenthesis
+ * @returns {{values: (string|null)[], end: number}|null} Values and the index after ')', or null if unterminated
+ */
+function readSqlValues(text, start) {
+  const values = [];
+  let i = start;
+  while (i < text.length) {
+    while (/\s/.test(text[i])) i++;
+    if (text[i] === "'") {
+      let value = '';
+      i++;
+      while (i < text.length) {
+        if (text[i] === "'" && text[i + 1] === "'") {
+          value += "'";
+          i += 2;
+        } else if (text[i] === "'") {
+          i++;
+          break;
+        } else {
+          value += text[i++];
+        }
+      }
+      values.push(value);
+    } else {
+      let value = '';
+      while (i < text.length && text[i] !== ',' && text[i] !== ')') {
+        value += text[i++];
+      }
+      value = value.trim();
+      values.push(value.toUpperCase() === 'NULL' ? null : value);
+    }
+    while (/\s/.test(text[i])) i++;
+    if (text[i] === ',') {
+      i++;
+    } else if (text[i] === ')') {
+      return { values, end: i + 1 };
+    } else {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse llama-bench SQL output (`-o sql`): one INSERT statement per result.
+ * The CREATE TABLE statement is ignored.
+ * @param {string} text - SQL text
+ * @returns {import('./validation').SubmissionEntry[]} One entry per INSERT statement
+ */
+function parseSql(text) {
+  const entries = [];
+  const insertPattern = /INSERT\s+INTO\s+\S+\s*\(([^)]*)\)\s*VALUES\s*\(/gi;
+  let match;
+
+  while ((match = insertPattern.exec(text)) !== null) {
+    const entry = { index: entries.length, line: text.slice(0, match.index).split('\n').length };
+    entries.push(entry);
+
+    const columns = match[1].split(',').map(c => c.trim());
+    const parsed = readSqlValues(text, insertPattern.lastIndex);
+    if (!parsed) {
+      entry.parseError = 'unterminated VALUES list';
+      break;
+    }
+    insertPattern.lastIndex = parsed.end;
+    if (parsed.values.length !== columns.length) {
+      entry.parseError = `expected ${columns.length} values, got ${parsed.values.length}`;
+      continue;
+    }
+
+    const record = {};
+    columns.forEach((column, i) => { record[column] = parsed.values[i]; });
+    entry.data = coerceRecord(record);
+  }
+
+  return entries;
+}
+
+/**
+ * Map a Content-Type header to a submission format.
+ * @param {string} contentType - Content-Type header value
+ * @returns {string|null} Format name, or null when the type says nothing useful
+ */
+function formatFromContentType(contentType) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  switch (type) {
+    case 'application/json':
+      return 'json';
+    case 'application/x-ndjson':
+    case 'application/jsonl':
+      return 'jsonl';
+    case 'text/csv':
+      return 'csv';
+    case 'text/markdown':
+      return 'markdown';
+    case 'application/sql':
+    case 'text/x-sql':
+      return 'sql';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Guess the format of a text submission from its content.
+ * @param {string} text - Submission body
+ * @returns {string} Detected format name
+ */
+function detectFormat(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    try {
+      JSON.parse(trimmed);
+      return 'json';
+    } catch (error) {
+      return 'jsonl';
+    }
+  }
+  if (/^(CREATE\s+TABLE|INSERT\s+INTO)\b/im.test(trimmed)) {
+    return 'sql';
+  }
+  if (/^\s*\|/m.test(trimmed)) {
+    return 'markdown';
+  }
+  return 'csv';
+}
+
+/**
+ * Parse a text submission in the given (or detected) format.
+ * @param {string} text - Submission body
+ * @param {string|null} [format] - Format name; detected from the content when omitted
+ * @returns {import('./validation').SubmissionEntry[]} Parsed submission entries
+ * @throws {Error} If the format is not supported
+ */
+function parseSubmission(text, format) {
+  const resolved = format || detectFormat(text);
+  switch (resolved) {
+    case 'json': {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        return [{ index: 0, parseError: error.message }];
+      }
+      return (Array.isArray(data) ? data : [data]).map((record, index) => ({ index, data: record }));
+    }
+    case 'jsonl':
+      return parseJsonlEntries(text);
+    case 'csv':
+      return parseCsv(text);
+    case 'markdown':
+      return parseMarkdown(text);
+    case 'sql':
+      return parseSql(text);
+    default:
+      throw new Error(`Unsupported format: ${resolved} (expected ${FORMATS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  parseCsv,
+  parseMarkdown,
+  parseSql,
+  formatFromContentType,
+  detectFormat,
+  parseSubmission
+};
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Hardware string normalization.
+ * Parses the free-text gpu_info reported by llama-bench (e.g.
+ * "NVIDIA GeForce RTX 4090, NVIDIA GeForce RTX 4090" or "GPU A/GPU B")
+ * into a per-device list with counts.
+ * @module models/hardware
+ */
+
+/**
+ * @typedef {Object} GpuDevice
+ * @property {string} name - Device name
+ * @property {number} count - Number of devices with this name
+ */
+
+/**
+ * @typedef {Object} GpuProfile
+ * @property {GpuDevice[]} devices - Distinct devices in order of first appearance
+ * @property {number} count - Total number of devices
+ * @property {string|null} model - Normalized label: distinct device names joined with ' + '
+ */
+
+/** @type {RegExp} Separators between devices in multi-GPU strings */
+const DEVICE_SEPARATOR = /\s*(?:,|\/|;|\|)\s*/;
+
+/** @type {RegExp} Multiplier prefix or suffix, e.g. "2x RTX 3090" or "RTX 3090 x2" */
+const MULTIPLIER = /^(\d+)\s*[x×]\s+(.+)$|^(.+?)\s+[x×]\s*(\d+)$/i;
+
+/**
+ * Parse a gpu_info string into a device list.
+ * @param {string|null} gpuInfo - Raw gpu_info value
+ * @returns {GpuProfile} Parsed devices; empty with count 0 and model null for blank input
+ */
+function parseGpuInfo(gpuInfo) {
+  const counts = new Map();
+
+  for (const part of String(gpuInfo || '').split(DEVICE_SEPARATOR)) {
+    let name = part.trim();
+    let count = 1;
+    const match = name.match(MULTIPLIER);
+    if (match) {
+      name = (match[2] || match[3]).trim();
+      count = parseInt(match[1] || match[4], 10);
+    }
+    if (name) {
+      counts.set(name, (counts.get(name) || 0) + count);
+    }
+  }
+
+  const devices = [...counts.entries()].map(([name, count]) => ({ name, count }));
+  return {
+    devices,
+    count: devices.reduce((sum, d) => sum + d.count, 0),
+    model: devices.length > 0 ? devices.map(d => d.name).join(' + ') : null
+  };
+}
+
+/**
+ * @typedef {Object} HardwareFilters
+ * @property {string[]} hosts - Host names
+ * @property {string[]} gpuModels - Normalized GPU models
+ * @property {number[]} gpuCounts - GPU counts
+ * @property {string|null} groupBy - Hardware grouping ('host', 'gpu_model' or 'gpu_count')
+ */
+
+/**
+ * Read host/GPU filters from query parameters. Each filter accepts a
+ * comma-separated string or a repeated parameter.
+ * @param {Object} query - Express request query
+ * @returns {HardwareFilters} Parsed filters
+ */
+function parseHardwareFilters(query) {
+  const list = value => [].concat(value || []).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(v => v);
+  return {
+    hosts: list(query.hosts),
+    gpuModels: list(query.gpu_models),
+    gpuCounts: list(query.gpu_counts).map(v => parseInt(v, 10)).filter(v => !isNaN(v)),
+    groupBy: ['host', 'gpu_model', 'gpu_count'].includes(query.group_by) ? query.group_by : null
+  };
+}
+
+module.exports = {
+  parseGpuInfo,
+  parseHardwareFilters
+};
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Model metadata parsing.
+ * llama-bench reports a model as a file name and a type string such as
+ * "llama 8B Q4_K - Medium" or "qwen3moe 30B.A3B Q4_K - Medium". These are parsed
+ * into architecture, parameter count class, quantization and MoE flag, and a
+ * default family: the file name without directory, extension, split suffix and
+ * quantization, so files differing only in quantization group together.
+ * Markdown submissions have no file name and use the model type instead; their
+ * family is the architecture and parameter class (e.g. "llama 7B").
+ * @module models/modelInfo
+ */
+
+/**
+ * llama.cpp file type descriptions (the end of model_type) mapped to the
+ * quantization names used in GGUF file names.
+ * @type {Object.<string, string>}
+ */
+const FTYPE_SUFFIXES = {
+  'Small': 'S',
+  'Medium': 'M',
+  'Large': 'L',
+  'Extra Small': 'XS',
+  'Extra Extra Small': 'XXS'
+};
+
+/** @type {RegExp} Quantization names as they appear in GGUF file names (e.g. Q4_K_M, IQ3_XXS, Q8_0, BF16) */
+const QUANT_PATTERN = /(?:^|[._-])((?:I?Q\d_(?:K_(?:XL|S|M|L)|K|[01]|NL|XXS|XS|S|M|L))|TQ\d_0|MXFP4|BF16|F16|F32)(?=$|[._-])/i;
+
+/** @type {RegExp} Parameter count classes in model_type: 7B, 1.5B, 135M, 8x7B, 30B.A3B, ?B */
+const PARAMS_CLASS_PATTERN = /^(?:\d+x)?(?:\d+(?:\.\d+)?|\?)[BMK](?:\.A\d+(?:\.\d+)?[BM])?$/;
+
+/** @type {string[]} Architectures that are mixtures of experts without saying so in their name */
+const MOE_ARCHITECTURES = ['mixtral', 'deepseek2', 'dbrx', 'arctic', 'gpt-oss', 'llama4', 'jamba', 'hunyuan-moe', 'bailingmoe'];
+
+/** @type {RegExp} Split GGUF suffix, e.g. -00001-of-00003 */
+const SPLIT_SUFFIX_PATTERN = /-\d{5}-of-\d{5}$/;
+
+/**
+ * @typedef {Object} ModelInfo
+ * @property {string|null} architecture - Architecture name (e.g. 'llama', 'qwen3moe')
+ * @property {string|null} params_class - Parameter count class (e.g. '8B', '8x7B', '30B.A3B')
+ * @property {string|null} quantization - Quantization (e.g. 'Q4_K_M', 'Q8_0', 'F16')
+ * @property {boolean} moe - Whether the model is a mixture of experts
+ * @property {string|null} family - Default family: the file's base name without quantization
+ */
+
+/**
+ * Convert a llama.cpp file type description to a quantization name.
+ * @param {string} ftype - File type, e.g. 'Q4_K - Medium', 'IQ4_XS - 4.25 bpw', 'all F32', 'MXFP4 MoE'
+ * @returns {string|null} Quantization, e.g. 'Q4_K_M', 'IQ4_XS', 'F32', 'MXFP4'
+ */
+function parseFileType(ftype) {
+  const match = /^(?:all\s+)?([A-Za-z0-9_]+)(?:\s+-\s+(.+))?/.exec(ftype.trim());
+  if (!match) {
+    return null;
+  }
+  const suffix = match[2] && FTYPE_SUFFIXES[match[2].trim()];
+  return (suffix ? `${match[1]}_${suffix}` : match[1]).toUpperCase();
+}
+
+/**
+ * Get the base name of a model file: no directory, extension or split suffix.
+ * @param {string} filename - Model file name or path
+ * @returns {string} Base name
+ */
+function getBaseName(filename) {
+  return filename.split(/[\\/]/).pop().replace(/\.gguf$/i, '').replace(SPLIT_SUFFIX_PATTERN, '');
+}
+
+/**
+ * Parse llama-bench's model_type and model_filename into model metadata.
+ * The quantization is taken from the file name when it names one, since it can
+ * be more specific: a Q4_K_XL file reports the file type "Q4_K - Medium".
+ * A file name equal to the model type (markdown submissions) is not parsed.
+ * @param {string|null} modelType - llama-bench model_type
+ * @param {string|null} modelFilename - llama-bench model_filename
+ * @returns {ModelInfo} Parsed metadata (fields are null when unknown)
+ */
+function parseModelInfo(modelType, modelFilename) {
+  const tokens = (modelType || '').trim().split(/\s+/).filter(Boolean);
+  const architecture = tokens.length > 0 ? tokens[0].toLowerCase() : null;
+  const paramsClass = tokens.length > 1 && PARAMS_CLASS_PATTERN.test(tokens[1]) ? tokens[1] : null;
+  const ftype = tokens.slice(paramsClass ? 2 : 1).join(' ');
+
+  const typeAsFilename = Boolean(modelFilename) && modelFilename === modelType;
+  const baseName = modelFilename && !typeAsFilename ? getBaseName(modelFilename) : '';
+  const quantMatch = QUANT_PATTERN.exec(baseName);
+  const quantization = quantMatch ? quantMatch[1].toUpperCase() : (ftype ? parseFileType(ftype) : null);
+
+  // Everything before the quantization, e.g. 'Qwen3-8B' in 'Qwen3-8B-Q4_K_M' or 'Qwen3-8B-UD-Q4_K_XL'
+  const family = typeAsFilename
+    ? [architecture, paramsClass].filter(Boolean).join(' ')
+    : (quantMatch ? baseName.substring(0, quantMatch.index) : baseName).replace(/[._-](?:UD|imat|i1)$/i, '').replace(/[._-]+$/, '');
+
+  const moe = Boolean(
+    (architecture && (architecture.includes('moe') || MOE_ARCHITECTURES.includes(architecture))) ||
+    (paramsClass && /x|\.A/.test(paramsClass)) ||
+    /\bMoE\b/.test(ftype) ||
+    /[._-]A\d+(?:\.\d+)?B(?=$|[._-])/i.test(baseName)
+  );
+
+  return {
+    architecture,
+    params_class: paramsClass,
+    quantization,
+    moe,
+    family: family || null
+  };
+}
+
+module.exports = {
+  parseFileType,
+  parseModelInfo
+};
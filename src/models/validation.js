@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Validation of submitted llama-bench records.
+ * Checks each record against the expected llama-bench output shape before it
+ * is transformed and stored, so bad input is reported instead of becoming rows of NULLs.
+ * @module models/validation
+ */
+
+/**
+ * @typedef {Object} FieldRule
+ * @property {string} type - Expected type: 'string', 'integer', 'number', 'boolean', 'date' or 'number[]'
+ * @property {boolean} [required] - Whether the field must be present
+ * @property {number} [min] - Minimum allowed value (numbers)
+ * @property {number} [max] - Maximum allowed value (numbers)
+ */
+
+/** @type {Object.<string, FieldRule>} Validation rules keyed by llama-bench field name */
+const FIELD_RULES = {
+  // Build info
+  build_commit: { type: 'string' },
+  build_number: { type: 'integer', min: 0 },
+  test_time: { type: 'date' },
+
+  // Hardware
+  cpu_info: { type: 'string' },
+  gpu_info: { type: 'string' },
+  backends: { type: 'string' },
+
+  // Model
+  model_filename: { type: 'string', required: true },
+  model_type: { type: 'string' },
+  model_size: { type: 'integer', min: 0 },
+  model_n_params: { type: 'integer', min: 0 },
+
+  // Test parameters
+  n_prompt: { type: 'integer', required: true, min: 0, max: 1e7 },
+  n_gen: { type: 'integer', required: true, min: 0, max: 1e7 },
+  n_depth: { type: 'integer', min: 0, max: 1e8 },
+  n_batch: { type: 'integer', min: 1, max: 1e7 },
+  n_ubatch: { type: 'integer', min: 1, max: 1e7 },
+  n_threads: { type: 'integer', min: 1, max: 4096 },
+  n_gpu_layers: { type: 'integer', min: -1, max: 100000 },
+  n_cpu_moe: { type: 'integer', min: 0, max: 100000 },
+  main_gpu: { type: 'integer', min: 0, max: 1024 },
+  poll: { type: 'integer', min: 0, max: 100 },
+  split_mode: { type: 'string' },
+  type_k: { type: 'string' },
+  type_v: { type: 'string' },
+  flash_attn: { type: 'boolean' },
+  embeddings: { type: 'boolean' },
+  use_mmap: { type: 'boolean' },
+  no_kv_offload: { type: 'boolean' },
+
+  // Results
+  avg_ts: { type: 'number', min: 0, max: 1e8 },
+  stddev_ts: { type: 'number', min: 0 },
+  avg_ns: { type: 'number', min: 0 },
+  stddev_ns: { type: 'number', min: 0 },
+  samples_ts: { type: 'number[]' },
+  samples_ns: { type: 'number[]' }
+};
+
+/**
+ * @typedef {Object} ValidationError
+ * @property {number} index - Zero-based position of the record in the submission
+ * @property {number} [line] - One-based line number (JSONL submissions only)
+ * @property {string|null} field - Offending field, or null for record-level errors
+ * @property {string} message - Human-readable description of the problem
+ */
+
+/**
+ * Check a single value against a field rule.
+ * @param {*} value - Value to check
+ * @param {FieldRule} rule - Rule to check against
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+function checkValue(value, rule) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return `expected string, got ${typeof value}`;
+      return null;
+
+    case 'boolean':
+      if (typeof value !== 'boolean' && value !== 0 && value !== 1) return 'expected boolean';
+      return null;
+
+    case 'date':
+      if (typeof value !== 'string' || isNaN(Date.parse(value))) return 'expected ISO 8601 timestamp';
+      return null;
+
+    case 'number[]':
+      if (!Array.isArray(value)) return 'expected array of numbers';
+      if (value.some(v => typeof v !== 'number' || !isFinite(v) || v < 0)) return 'expected array of non-negative numbers';
+      return null;
+
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !isFinite(value)) return `expected ${rule.type}, got ${typeof value}`;
+      if (rule.type === 'integer' && !Number.isInteger(value)) return 'expected integer';
+      if (rule.min !== undefined && value < rule.min) return `must be >= ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `must be <= ${rule.max}`;
+      return null;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate one llama-bench record.
+ * @param {*} record - Parsed record from the submission
+ * @returns {{field: string|null, message: string}[]} Problems found (empty when valid)
+ */
+function validateRecord(record) {
+  if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+    return [{ field: null, message: 'expected a JSON object' }];
+  }
+
+  const problems = [];
+
+  for (const [field, rule] of Object.entries(FIELD_RULES)) {
+    const value = record[field];
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        problems.push({ field, message: 'is required' });
+      }
+      continue;
+    }
+    const message = checkValue(value, rule);
+    if (message) {
+      problems.push({ field, message });
+    }
+  }
+
+  // Throughput may arrive as avg_ts (llama-bench) or t_s (older exports)
+  const tps = record.avg_ts ?? record.t_s;
+  if (tps === undefined || tps === null) {
+    problems.push({ field: 'avg_ts', message: 'is required' });
+  } else if (record.avg_ts === undefined || record.avg_ts === null) {
+    const message = checkValue(tps, FIELD_RULES.avg_ts);
+    if (message) {
+      problems.push({ field: 't_s', message });
+    }
+  }
+
+  if (record.n_prompt === 0 && record.n_gen === 0) {
+    problems.push({ field: 'n_prompt', message: 'n_prompt and n_gen cannot both be 0' });
+  }
+
+  return problems;
+}
+
+/**
+ * @typedef {Object} SubmissionEntry
+ * @property {number} index - Zero-based position of the record in the submission
+ * @property {number} [line] - One-based line number (JSONL submissions only)
+ * @property {*} [data] - Parsed record (absent when the line failed to parse)
+ * @property {string} [parseError] - JSON parse error message for the line
+ */
+
+/**
+ * Validate every entry of a submission.
+ * @param {SubmissionEntry[]} entries - Parsed submission entries
+ * @returns {{valid: SubmissionEntry[], errors: ValidationError[]}} Valid entries and all errors found
+ */
+function validateSubmission(entries) {
+  const valid = [];
+  const errors = [];
+
+  for (const entry of entries) {
+    const location = entry.line !== undefined
+      ? { index: entry.index, line: entry.line }
+      : { index: entry.index };
+
+    if (entry.parseError) {
+      errors.push({ ...location, field: null, message: `invalid JSON: ${entry.parseError}` });
+      continue;
+    }
+
+    const problems = validateRecord(entry.data);
+    if (problems.length === 0) {
+      valid.push(entry);
+    } else {
+      problems.forEach(p => errors.push({ ...location, ...p }));
+    }
+  }
+
+  return { valid, errors };
+}
+
+module.exports = {
+  FIELD_RULES,
+  validateRecord,
+  validateSubmission
+};
@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Outbound webhook notifications.
+ * Builds generic JSON, Slack-compatible and Discord-compatible payloads for
+ * ingestion and regression events, records every delivery in the database and
+ * retries failed deliveries with exponential backoff.
+ * @module notifications/webhooks
+ */
+
+const queries = require('../db/queries');
+const { detectRunRegressions } = require('../analysis/regressions');
+
+/** @type {string[]} Events a webhook can subscribe to */
+const EVENTS = ['run.ingested', 'regression.detected'];
+
+/** @type {string[]} Supported payload formats */
+const WEBHOOK_FORMATS = ['json', 'slack', 'discord'];
+
+/** @type {number} Attempts before a delivery is marked failed (WEBHOOK_MAX_ATTEMPTS) */
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+
+/** @type {number} Delay before the first retry in ms, doubled on each retry (WEBHOOK_RETRY_BASE_MS) */
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 2000;
+
+/** @type {number} Per-request timeout in ms */
+const REQUEST_TIMEOUT_MS = 10000;
+
+/** @type {string} Base URL used for links in messages (PUBLIC_URL) */
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+/**
+ * Describe a regression in one line of text.
+ * @param {import('../analysis/regressions').BuildComparison} r - Regression
+ * @returns {string} Summary line
+ */
+function describeRegression(r) {
+  const s = r.series;
+  return `${s.model_filename} ${s.test_label || s.test_type} on ${s.gpu_info || s.backend || 'unknown'} ` +
+    `(ngl ${s.n_gpu_layers}, b ${s.n_batch}, ub ${s.n_ubatch}): ` +
+    `${r.baseline_tps.toFixed(2)} → ${r.candidate_tps.toFixed(2)} t/s (${r.change_pct.toFixed(1)}%) ` +
+    `in ${String(r.candidate_build).substring(0, 7)}`;
+}
+
+/**
+ * Render the human-readable message for an event (used by chat formats).
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @returns {string} Message text
+ */
+function renderMessage(event, data) {
+  switch (event) {
+    case 'run.ingested': {
+      const run = data.run;
+      return `New run ingested: ${run.name || `Run #${run.id}`}` +
+        `${run.host ? ` on ${run.host}` : ''} (${run.benchmark_count} results, ${run.model_count} models) ${data.url}`;
+    }
+    case 'regression.detected':
+      return `${data.regressions.length} regression(s) detected in run #${data.run_id} ${data.url}\n` +
+        data.regressions.map(r => `• ${describeRegression(r)}`).join('\n');
+    case 'test':
+      return 'Test notification from Llama Bench Reports';
+    default:
+      return event;
+  }
+}
+
+/**
+ * Build the request body for a webhook format.
+ * @param {string} format - 'json', 'slack' or 'discord'
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @returns {Object} JSON-serializable request body
+ */
+function buildPayload(format, event, data) {
+  switch (format) {
+    case 'slack':
+      return { text: renderMessage(event, data) };
+    case 'discord':
+      // Discord rejects messages longer than 2000 characters
+      return { content: renderMessage(event, data).substring(0, 2000) };
+    default:
+      return { event, timestamp: new Date().toISOString(), data };
+  }
+}
+
+/**
+ * Attempt a delivery once; schedule a retry on failure until MAX_ATTEMPTS is reached.
+ * @param {number} deliveryId - Delivery ID
+ * @returns {Promise<void>}
+ */
+async function attemptDelivery(deliveryId) {
+  const delivery = queries.getWebhookDelivery(deliveryId);
+  if (!delivery || delivery.status !== 'pending') {
+    return;
+  }
+
+  let responseStatus = null;
+  let error = null;
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'llama-bench-reports' },
+      body: delivery.payload,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    responseStatus = response.status;
+    if (!response.ok) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  if (!error) {
+    queries.updateWebhookDelivery(deliveryId, { status: 'success', responseStatus, error: null, nextAttemptAt: null });
+    return;
+  }
+
+  const attempts = delivery.attempts + 1;
+  if (attempts >= MAX_ATTEMPTS) {
+    queries.updateWebhookDelivery(deliveryId, { status: 'failed', responseStatus, error, nextAttemptAt: null });
+    console.error(`Webhook delivery ${deliveryId} failed after ${attempts} attempts: ${error}`);
+    return;
+  }
+
+  const delay = RETRY_BASE_MS * 2 ** (attempts - 1);
+  queries.updateWebhookDelivery(deliveryId, {
+    status: 'pending',
+    responseStatus,
+    error,
+    nextAttemptAt: new Date(Date.now() + delay).toISOString()
+  });
+  scheduleDelivery(deliveryId, delay);
+}
+
+/**
+ * Schedule a delivery attempt without keeping the process alive for it.
+ * @param {number} deliveryId - Delivery ID
+ * @param {number} delay - Delay in ms
+ */
+function scheduleDelivery(deliveryId, delay) {
+  setTimeout(() => {
+    attemptDelivery(deliveryId).catch(err => console.error(`Webhook delivery ${deliveryId} error:`, err));
+  }, delay).unref();
+}
+
+/**
+ * Queue a delivery of an event to one webhook.
+ * @param {import('../db/queries').WebhookRecord} webhook - Target webhook
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @returns {number} Delivery ID
+ */
+function enqueue(webhook, event, data) {
+  const payload = JSON.stringify(buildPayload(webhook.format, event, data));
+  const deliveryId = queries.insertWebhookDelivery({ webhookId: webhook.id, event, payload });
+  scheduleDelivery(deliveryId, 0);
+  return deliveryId;
+}
+
+/**
+ * Send an event to every enabled webhook subscribed to it.
+ * @param {string} event - Event name (one of EVENTS)
+ * @param {Object} data - Event data
+ * @returns {number} Number of deliveries queued
+ */
+function emit(event, data) {
+  const webhooks = queries.getWebhooksForEvent(event);
+  webhooks.forEach(webhook => enqueue(webhook, event, data));
+  return webhooks.length;
+}
+
+/**
+ * Send a test event to one webhook regardless of its subscriptions.
+ * @param {number} webhookId - Webhook ID
+ * @returns {number|null} Delivery ID, or null if the webhook does not exist
+ */
+function sendTest(webhookId) {
+  const webhook = queries.getWebhook(webhookId);
+  return webhook ? enqueue(webhook, 'test', { message: 'Test notification', url: PUBLIC_URL }) : null;
+}
+
+/**
+ * Emit notifications for a freshly ingested run: 'run.ingested', plus
+ * 'regression.detected' when the run is slower than the previous build of the same config.
+ * Errors are logged, never thrown, so ingestion is unaffected.
+ * @param {number} runId - Run ID
+ * @returns {void}
+ */
+function notifyRunIngested(runId) {
+  try {
+    const run = queries.getRun(runId);
+    if (!run) {
+      return;
+    }
+    const url = `${PUBLIC_URL}/runs/${runId}`;
+    emit('run.ingested', { run, url });
+
+    if (queries.getWebhooksForEvent('regression.detected').length > 0) {
+      const regressions = detectRunRegressions(runId);
+      if (regressions.length > 0) {
+        emit('regression.detected', { run_id: runId, url, regressions });
+      }
+    }
+  } catch (error) {
+    console.error(`Error sending notifications for run ${runId}:`, error);
+  }
+}
+
+/**
+ * Re-schedule deliveries left pending by a previous process.
+ * @returns {number} Number of deliveries resumed
+ */
+function resumePendingDeliveries() {
+  const pending = queries.getPendingWebhookDeliveries();
+  for (const delivery of pending) {
+    const due = delivery.next_attempt_at ? Date.parse(delivery.next_attempt_at) : Date.now();
+    scheduleDelivery(delivery.id, Math.max(0, due - Date.now()));
+  }
+  return pending.length;
+}
+
+module.exports = {
+  EVENTS,
+  WEBHOOK_FORMATS,
+  buildPayload,
+  emit,
+  sendTest,
+  notifyRunIngested,
+  resumePendingDeliveries
+};
@@ -0,0 +1,383 @@
+/**
+ * @fileoverview Login, API key, webhook and backup administration routes.
+ * Provides the browser login form (stores a key in a session cookie), the
+ * admin page for creating and revoking API keys, the webhook admin page and
+ * the backup/restore page.
+ * @module routes/admin
+ */
+
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/** @type {express.Router} */
+const router = express.Router();
+const queries = require('../db/queries');
+const { SCOPES, SESSION_COOKIE, AUTH_ENABLED, createApiKey, resolveApiKey, requireScope } = require('../middleware/auth');
+const { EVENTS, WEBHOOK_FORMATS, sendTest } = require('../notifications/webhooks');
+const backup = require('../db/backup');
+
+/** @type {express.RequestHandler} Form body parser for this router's POST routes */
+const parseForm = express.urlencoded({ extended: false });
+
+/** @type {number} Largest accepted backup upload in bytes (IMPORT_MAX_MB, default 1024) */
+const IMPORT_MAX_BYTES = (parseInt(process.env.IMPORT_MAX_MB, 10) || 1024) * 1024 * 1024;
+
+/**
+ * Only allow redirects to local paths (prevents open redirects via ?next=).
+ * @param {string} [target] - Requested redirect target
+ * @returns {string} Safe local path
+ */
+function safeRedirect(target) {
+  return typeof target === 'string' && target.startsWith('/') && !target.startsWith('//') ? target : '/';
+}
+
+/**
+ * GET /login - Login page.
+ * Lets a browser user enter an API key, which is stored in a session cookie.
+ * @name Login
+ * @route {GET} /login
+ * @queryparam {string} [next] - Local path to return to after login
+ */
+router.get('/login', (req, res) => {
+  res.render('login', { next: safeRedirect(req.query.next), error: null });
+});
+
+/**
+ * POST /login - Validate an API key and store it in the session cookie.
+ * @name PostLogin
+ * @route {POST} /login
+ * @bodyparam {string} key - API key
+ * @bodyparam {string} [next] - Local path to return to after login
+ */
+router.post('/login', parseForm, (req, res) => {
+  const key = (req.body.key || '').trim();
+  const next = safeRedirect(req.body.next);
+
+  if (!resolveApiKey(key)) {
+    return res.status(401).render('login', { next, error: 'Invalid or revoked API key' });
+  }
+
+  res.cookie(SESSION_COOKIE, key, { httpOnly: true, sameSite: 'strict', path: '/' });
+  res.redirect(next);
+});
+
+/**
+ * POST /logout - Clear the session cookie.
+ * @name Logout
+ * @route {POST} /logout
+ */
+router.post('/logout', (req, res) => {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  res.redirect('/');
+});
+
+/**
+ * GET /admin/keys - API key administration page.
+ * @name AdminKeys
+ * @route {GET} /admin/keys
+ */
+router.get('/admin/keys', requireScope('admin'), (req, res) => {
+  res.render('admin-keys', { keys: queries.getApiKeys(), scopes: SCOPES, authEnabled: AUTH_ENABLED, created: null, error: null });
+});
+
+/**
+ * POST /admin/keys - Create an API key. The plaintext key is shown once.
+ * @name CreateAdminKey
+ * @route {POST} /admin/keys
+ * @bodyparam {string} name - Key name
+ * @bodyparam {string|string[]} scopes - Scopes to grant
+ */
+router.post('/admin/keys', requireScope('admin'), parseForm, (req, res) => {
+  const name = (req.body.name || '').trim();
+  const scopes = [].concat(req.body.scopes || []);
+  let created = null;
+  let error = null;
+
+  try {
+    if (!name) {
+      throw new Error('Name is required');
+    }
+    created = { name, ...createApiKey(name, scopes) };
+  } catch (err) {
+    error = err.message;
+  }
+
+  res.status(error ? 400 : 200).render('admin-keys', {
+    keys: queries.getApiKeys(),
+    scopes: SCOPES,
+    authEnabled: AUTH_ENABLED,
+    created,
+    error
+  });
+});
+
+/**
+ * POST /admin/keys/:id/revoke - Revoke an API key.
+ * @name RevokeAdminKey
+ * @route {POST} /admin/keys/:id/revoke
+ * @routeparam {number} id - Key ID
+ */
+router.post('/admin/keys/:id/revoke', requireScope('admin'), (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!isNaN(id)) {
+    queries.revokeApiKey(id);
+  }
+  res.redirect('/admin/keys');
+});
+
+/**
+ * Render the webhook admin page.
+ * @param {import('express').Response} res - Express response object
+ * @param {string|null} [error] - Form error to display
+ */
+function renderWebhooks(res, error = null) {
+  res.status(error ? 400 : 200).render('admin-webhooks', {
+    webhooks: queries.getWebhooks(),
+    deliveries: queries.getWebhookDeliveries(),
+    events: EVENTS,
+    formats: WEBHOOK_FORMATS,
+    error
+  });
+}
+
+/**
+ * GET /admin/webhooks - Webhook administration page with the recent delivery log.
+ * @name AdminWebhooks
+ * @route {GET} /admin/webhooks
+ */
+router.get('/admin/webhooks', requireScope('admin'), (req, res) => {
+  renderWebhooks(res);
+});
+
+/**
+ * POST /admin/webhooks - Register a webhook endpoint.
+ * @name CreateAdminWebhook
+ * @route {POST} /admin/webhooks
+ * @bodyparam {string} name - Webhook name
+ * @bodyparam {string} url - http(s) endpoint URL
+ * @bodyparam {string} format - Payload format ('json', 'slack' or 'discord')
+ * @bodyparam {string|string[]} events - Events to subscribe to
+ */
+router.post('/admin/webhooks', requireScope('admin'), parseForm, (req, res) => {
+  const name = (req.body.name || '').trim();
+  const url = (req.body.url || '').trim();
+  const format = req.body.format || 'json';
+  const events = [].concat(req.body.events || []).filter(e => EVENTS.includes(e));
+
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    // Reported below
+  }
+
+  if (!name) {
+    return renderWebhooks(res, 'Name is required');
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    return renderWebhooks(res, 'URL must be an http(s) URL');
+  }
+  if (!WEBHOOK_FORMATS.includes(format)) {
+    return renderWebhooks(res, `Format must be one of: ${WEBHOOK_FORMATS.join(', ')}`);
+  }
+  if (events.length === 0) {
+    return renderWebhooks(res, 'Select at least one event');
+  }
+
+  queries.insertWebhook({ name, url, format, events });
+  res.redirect('/admin/webhooks');
+});
+
+/**
+ * POST /admin/webhooks/:id/toggle - Enable or disable a webhook.
+ * @name ToggleAdminWebhook
+ * @route {POST} /admin/webhooks/:id/toggle
+ * @routeparam {number} id - Webhook ID
+ */
+router.post('/admin/webhooks/:id/toggle', requireScope('admin'), (req, res) => {
+  const webhook = queries.getWebhook(parseInt(req.params.id, 10));
+  if (webhook) {
+    queries.setWebhookEnabled(webhook.id, !webhook.enabled);
+  }
+  res.redirect('/admin/webhooks');
+});
+
+/**
+ * POST /admin/webhooks/:id/test - Send a test event to a webhook.
+ * @name TestAdminWebhook
+ * @route {POST} /admin/webhooks/:id/test
+ * @routeparam {number} id - Webhook ID
+ */
+router.post('/admin/webhooks/:id/test', requireScope('admin'), (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!isNaN(id)) {
+    sendTest(id);
+  }
+  res.redirect('/admin/webhooks');
+});
+
+/**
+ * POST /admin/webhooks/:id/delete - Delete a webhook and its delivery log.
+ * @name DeleteAdminWebhook
+ * @route {POST} /admin/webhooks/:id/delete
+ * @routeparam {number} id - Webhook ID
+ */
+router.post('/admin/webhooks/:id/delete', requireScope('admin'), (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!isNaN(id)) {
+    queries.deleteWebhook(id);
+  }
+  res.redirect('/admin/webhooks');
+});
+
+/**
+ * Render the backup admin page.
+ * @param {import('express').Response} res - Express response object
+ * @param {{message?: string, error?: string}} [notice] - Result or error to display
+ */
+function renderBackups(res, { message = null, error = null } = {}) {
+  res.status(error ? 400 : 200).render('admin-backups', {
+    backups: backup.listBackups(),
+    backupDir: backup.BACKUP_DIR,
+    intervalHours: backup.BACKUP_INTERVAL_HOURS,
+    retain: backup.BACKUP_RETAIN,
+    message,
+    error
+  });
+}
+
+/**
+ * Describe a merge result for display.
+ * @param {string} source - Merged file name
+ * @param {import('../db/backup').MergeResult} result - Merge outcome
+ * @returns {string} Summary line
+ */
+function describeMerge(source, result) {
+  return `Merged ${source}: ${result.inserted} inserted, ${result.skipped_duplicates} duplicates skipped, ` +
+    `${result.rejected} rejected, ${result.runs} run(s) created`;
+}
+
+/**
+ * Create a pass-through stream that fails once more than maxBytes have passed.
+ * @param {number} maxBytes - Size limit in bytes
+ * @returns {Transform} Size-limiting stream; its error has status 413
+ */
+function limitSize(maxBytes) {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        const error = new Error(`Upload exceeds the ${maxBytes / 1024 / 1024} MB limit (IMPORT_MAX_MB)`);
+        error.status = 413;
+        return callback(error);
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+/**
+ * GET /admin/backups - Backup administration page.
+ * @name AdminBackups
+ * @route {GET} /admin/backups
+ */
+router.get('/admin/backups', requireScope('admin'), (req, res) => {
+  renderBackups(res);
+});
+
+/**
+ * POST /admin/backups - Write a consistent backup of the live database to BACKUP_DIR.
+ * @name CreateAdminBackup
+ * @route {POST} /admin/backups
+ */
+router.post('/admin/backups', requireScope('admin'), async (req, res) => {
+  try {
+    const created = await backup.createBackup();
+    renderBackups(res, { message: `Backup ${created.name} created` });
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    renderBackups(res, { error: `Backup failed: ${error.message}` });
+  }
+});
+
+/**
+ * POST /admin/backups/import - Merge an uploaded backup or export archive into the database.
+ * The request body is the raw file (.db backup, llama-bench JSON export or JSONL export),
+ * up to IMPORT_MAX_MB. It is streamed to a temporary file and merged from there in
+ * batches; only a JSON array export is parsed in memory as a whole.
+ * @name ImportAdminBackup
+ * @route {POST} /admin/backups/import
+ * @queryparam {string} [name] - Original file name, used to label the created runs
+ * @returns {Object} Merge result: runs, inserted, skipped_duplicates, rejected
+ */
+router.post('/admin/backups/import', requireScope('admin'), async (req, res) => {
+  const name = path.basename(req.query.name || 'upload');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llama-bench-import-'));
+  const file = path.join(dir, 'upload');
+  try {
+    if (parseInt(req.get('Content-Length'), 10) > IMPORT_MAX_BYTES) {
+      return res.status(413).json({ error: `Upload exceeds the ${IMPORT_MAX_BYTES / 1024 / 1024} MB limit (IMPORT_MAX_MB)` });
+    }
+    await pipeline(req, limitSize(IMPORT_MAX_BYTES), fs.createWriteStream(file));
+    const result = await backup.mergeFile(file, name);
+    res.json({ success: true, message: describeMerge(name, result), ...result });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+/**
+ * GET /admin/backups/:name - Download a backup.
+ * @name DownloadAdminBackup
+ * @route {GET} /admin/backups/:name
+ * @routeparam {string} name - Backup file name
+ */
+router.get('/admin/backups/:name', requireScope('admin'), (req, res) => {
+  const file = backup.getBackupPath(req.params.name);
+  if (!file) {
+    return res.status(404).send('Backup not found');
+  }
+  res.download(file);
+});
+
+/**
+ * POST /admin/backups/:name/restore - Merge a backup into the live database.
+ * Rows already present are skipped; nothing is deleted.
+ * @name RestoreAdminBackup
+ * @route {POST} /admin/backups/:name/restore
+ * @routeparam {string} name - Backup file name
+ */
+router.post('/admin/backups/:name/restore', requireScope('admin'), async (req, res) => {
+  const file = backup.getBackupPath(req.params.name);
+  if (!file) {
+    return renderBackups(res, { error: 'Backup not found' });
+  }
+  try {
+    renderBackups(res, { message: describeMerge(req.params.name, await backup.mergeFile(file)) });
+  } catch (error) {
+    renderBackups(res, { error: `Restore failed: ${error.message}` });
+  }
+});
+
+/**
+ * POST /admin/backups/:name/delete - Delete a backup file.
+ * @name DeleteAdminBackup
+ * @route {POST} /admin/backups/:name/delete
+ * @routeparam {string} name - Backup file name
+ */
+router.post('/admin/backups/:name/delete', requireScope('admin'), (req, res) => {
+  const file = backup.getBackupPath(req.params.name);
+  if (file) {
+    fs.unlinkSync(file);
+  }
+  res.redirect('/admin/backups');
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 /**
  * @fileoverview REST API routes for benchmark data operations.
  * Provides endpoints for submitting, querying, and managing benchmark data.
+ * Reads require the 'read' scope, submissions 'submit' and deletions 'delete'
+ * (enforced only when AUTH_ENABLED=true).
  * @module routes/api
  */
 
@@ -9,34 +11,155 @@ const express = require('express');
 /** @type {express.Router} */
 const router = express.Router();
 const queries = require('../db/queries');
-const { transformBenchmark, parseJsonl } = require('../models/benchmark');
+const { transformBenchmark } = require('../models/benchmark');
+const { formatFromContentType, parseSubmission } = require('../models/formats');
+const { validateSubmission } = require('../models/validation');
+const { requireScope } = require('../middleware/auth');
+const { parseHardwareFilters } = require('../models/hardware');
+const { analyzeSeries, detectRegressions } = require('../analysis/regressions');
+const { compareAB } = require('../analysis/compare');
+const { recommendConfigurations } = require('../analysis/recommendations');
+const { getBenchmarkDetail } = require('../analysis/samples');
+const { bisect } = require('../analysis/bisect');
+const { notifyRunIngested } = require('../notifications/webhooks');
+const { filterValidDimensions, getDimension, parseDimensionFilters } = require('../config/dimensions');
+const { EXPORT_FORMATS } = require('../models/export');
+const { parseColumnLayout } = require('../config/tableColumns');
+const { DEFAULT_METRIC, VALID_METRIC_KEYS, DEFAULT_AGGREGATION, VALID_AGGREGATION_KEYS, parseMetric, parseAggregation } = require('../config/metrics');
+const { normalizeViewQuery } = require('../models/dashboard');
+const { DEFAULT_COMMITS_LIMIT, isConfigured: isBuildSyncConfigured, syncBuilds, scheduleBuildSync, getCommitsBetween } = require('../models/builds');
+
+/**
+ * Read run metadata from query parameters, falling back to X-Run-* headers.
+ * The host may also be sent as `host` / `X-Host`.
+ * @param {express.Request} req - Express request object
+ * @returns {import('../db/queries').RunInfo} Run metadata for the submitted batch
+ */
+function getRunInfo(req) {
+  return {
+    name: req.query.run_name || req.get('X-Run-Name') || null,
+    host: req.query.run_host || req.query.host || req.get('X-Run-Host') || req.get('X-Host') || null,
+    notes: req.query.run_notes || req.get('X-Run-Notes') || null
+  };
+}
+
+/**
+ * Read a list query parameter given as a comma-separated string or a repeated parameter.
+ * @param {string|string[]} [value] - Query parameter value
+ * @returns {string[]} Non-empty values
+ */
+function parseListParam(value) {
+  return [].concat(value || []).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(v => v);
+}
+
+/**
+ * Wait until a response can take more data, or the client has gone away.
+ * @param {express.Response} res - Express response object
+ * @returns {Promise<void>} Resolves on 'drain' or 'close'
+ */
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Format a host record for API responses, expanding the GPU device list.
+ * @param {import('../db/queries').HostRecord} host - Host record
+ * @returns {Object} Host with gpu_devices as an array
+ */
+function formatHost(host) {
+  return { ...host, gpu_devices: host.gpu_devices ? JSON.parse(host.gpu_devices) : [] };
+}
 
 /**
  * POST /api/benchmarks - Submit benchmark results.
- * Accepts JSON array, single JSON object, or JSONL format.
+ * Accepts llama-bench JSON (array or single object), JSONL, CSV, Markdown or SQL output.
+ * The format follows the Content-Type header and is detected from the body when
+ * the header is missing or generic.
+ * Each submission is recorded as a run that the inserted rows are attached to.
  * @name PostBenchmarks
  * @route {POST} /api/benchmarks
- * @bodyparam {Object|Object[]} body - Benchmark data in JSON or JSONL format
- * @returns {Object} Success response with insert count
+ * @queryparam {string} [run_name] - Run name (or X-Run-Name header)
+ * @queryparam {string} [run_host] - Host identifier the run was executed on (or `host`, X-Run-Host or X-Host);
+ *   rows are linked to the host's hardware profile
+ * @queryparam {string} [run_notes] - Free-form run notes (or X-Run-Notes header)
+ * @queryparam {string} [on_duplicate='skip'] - Handling of already-stored results: 'skip', 'replace' or 'error'
+ * @queryparam {string} [format] - Force the body format: 'json', 'jsonl', 'csv', 'markdown' or 'sql'
+ * @queryparam {string} [strict='false'] - When 'true', reject the whole batch if any record is invalid;
+ *   otherwise valid records are stored and invalid ones reported
+ * @bodyparam {Object|Object[]|string} body - Benchmark data in any supported llama-bench output format
+ * @returns {Object} Success response with run ID, inserted/replaced/skipped_duplicates counts,
+ *   accepted/rejected counts and per-record validation errors
  */
-router.post('/benchmarks', (req, res) => {
+router.post('/benchmarks', requireScope('submit'), (req, res) => {
+  let valid = [];
   try {
-    let data;
-    const contentType = req.headers['content-type'] || '';
+    let entries;
+    const strict = req.query.strict === 'true';
 
-    if (contentType.includes('application/x-ndjson') || typeof req.body === 'string') {
-      // JSONL format
-      data = parseJsonl(typeof req.body === 'string' ? req.body : JSON.stringify(req.body));
+    if (typeof req.body === 'string') {
+      // Text formats (JSONL, CSV, Markdown, SQL); detected from the body if the type is missing
+      const format = req.query.format || formatFromContentType(req.headers['content-type']);
+      entries = parseSubmission(req.body, format);
     } else {
       // JSON format (array or single object)
-      data = Array.isArray(req.body) ? req.body : [req.body];
+      const data = Array.isArray(req.body) ? req.body : [req.body];
+      entries = data.map((record, index) => ({ index, data: record }));
+    }
+
+    const validation = validateSubmission(entries);
+    const errors = validation.errors;
+    valid = validation.valid;
+
+    if (valid.length === 0 || (strict && errors.length > 0)) {
+      return res.status(400).json({
+        error: entries.length === 0 ? 'No benchmark records found' : 'Validation failed',
+        accepted: 0,
+        rejected: entries.length - valid.length,
+        errors
+      });
     }
 
-    const benchmarks = data.map(transformBenchmark);
-    const count = queries.insertBenchmarks(benchmarks);
+    const benchmarks = valid.map(entry => transformBenchmark(entry.data));
+    const result = queries.insertBenchmarks(benchmarks, {
+      run: getRunInfo(req),
+      onDuplicate: req.query.on_duplicate || 'skip'
+    });
 
-    res.json({ success: true, inserted: count });
+    if (result.run_id) {
+      // Notify webhooks after responding; delivery never delays or fails the submission
+      setImmediate(() => notifyRunIngested(result.run_id));
+    }
+    if (result.inserted > 0) {
+      // Read the commit metadata of new builds from the llama.cpp checkout, if configured
+      setImmediate(scheduleBuildSync);
+    }
+
+    res.json({
+      success: true,
+      ...result,
+      accepted: valid.length,
+      rejected: entries.length - valid.length,
+      errors
+    });
   } catch (error) {
+    if (error.code === 'DUPLICATE_BENCHMARK') {
+      // Map the position within the valid subset back to the submitted record
+      const entry = valid[error.index] || {};
+      return res.status(409).json({
+        error: `Duplicate benchmark at index ${entry.index} (matches existing id ${error.existingId})`,
+        index: entry.index,
+        line: entry.line,
+        existing_id: error.existingId
+      });
+    }
     console.error('Error inserting benchmarks:', error);
     res.status(400).json({ error: error.message });
   }
@@ -44,42 +167,187 @@ router.post('/benchmarks', (req, res) => {
 
 /**
  * GET /api/benchmarks - Query benchmarks with optional filters.
+ * The number of matching benchmarks (ignoring limit and offset) is sent in the
+ * X-Total-Count header.
  * @name GetBenchmarks
  * @route {GET} /api/benchmarks
  * @queryparam {number} [limit=100] - Maximum results to return
  * @queryparam {number} [offset=0] - Number of results to skip
- * @queryparam {string} [model] - Filter by model filename
+ * @queryparam {string} [model] - Filter by model filename (partial match)
  * @queryparam {string} [commit] - Filter by build commit
  * @queryparam {string} [test_type] - Filter by test type
+ * @queryparam {string} [test_label] - Filter by test label
+ * @queryparam {string} [search] - Text matched against model, GPU, CPU and commit
  * @queryparam {string} [start_date] - Filter by minimum date
  * @queryparam {string} [end_date] - Filter by maximum date
+ * @queryparam {string} [sort='created_at'] - Column to sort by ('created_at' or any benchmarks table column)
+ * @queryparam {string} [order='desc'] - Sort direction ('asc' or 'desc')
  * @returns {Object[]} Array of benchmark records
  */
-router.get('/benchmarks', (req, res) => {
+router.get('/benchmarks', requireScope('read'), (req, res) => {
   try {
-    const { limit, offset, model, commit, test_type, start_date, end_date } = req.query;
-    const benchmarks = queries.getBenchmarks({
-      limit: parseInt(limit) || 100,
-      offset: parseInt(offset) || 0,
+    const { limit, offset, model, commit, test_type, test_label, search, start_date, end_date, sort, order } = req.query;
+    const filters = {
       model,
       commit,
       testType: test_type,
+      testLabel: test_label,
+      search: (search || '').trim(),
       startDate: start_date,
       endDate: end_date
+    };
+    const benchmarks = queries.getBenchmarks({
+      ...filters,
+      limit: parseInt(limit) || 100,
+      offset: parseInt(offset) || 0,
+      sort,
+      order
     });
+    res.set('X-Total-Count', String(queries.countBenchmarks(filters)));
     res.json(benchmarks);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * GET /api/runs - List submitted runs, most recent first.
+ * @name GetRuns
+ * @route {GET} /api/runs
+ * @queryparam {number} [limit=100] - Maximum results to return
+ * @queryparam {number} [offset=0] - Number of results to skip
+ * @returns {Object[]} Array of run summaries with benchmark counts
+ */
+router.get('/runs', requireScope('read'), (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+    const runs = queries.getRuns({
+      limit: parseInt(limit) || 100,
+      offset: parseInt(offset) || 0
+    });
+    res.json(runs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/benchmarks/:id - Get a benchmark result with every stored field,
+ * an analysis of its repetitions and related results.
+ * @name GetBenchmark
+ * @route {GET} /api/benchmarks/:id
+ * @routeparam {number} id - Benchmark ID
+ * @returns {Object} Benchmark fields plus sample_analysis (n, mean, sd, cv_pct, median, min,
+ *   max, points and outliers), same_config (other builds, with change_pct) and same_build
+ *   (other configurations on the same build and hardware)
+ */
+router.get('/benchmarks/:id', requireScope('read'), (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const detail = isNaN(id) ? null : getBenchmarkDetail(id);
+    if (!detail) {
+      return res.status(404).json({ error: 'Benchmark not found' });
+    }
+    const { benchmark, ...related } = detail;
+    res.json({ ...benchmark, ...related });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/bisect - Bisect a throughput change in one configuration.
+ * Lists the builds between the good and bad build that have results, classifies
+ * them, and suggests the next build to benchmark.
+ * @name Bisect
+ * @route {GET} /api/bisect
+ * @queryparam {number} id - ID of a result of the configuration
+ * @queryparam {string} [good] - Last good build commit (default: the build before `bad`)
+ * @queryparam {string} [bad] - First bad build commit (default: the build of result `id`)
+ * @returns {Object} Good and bad builds, narrowed range (last_good, first_bad, untested),
+ *   suggested next build and the timeline of tested builds and gaps
+ */
+router.get('/bisect', requireScope('read'), async (req, res) => {
+  try {
+    const id = parseInt(req.query.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'id is required' });
+    }
+    const result = await bisect({ id, good: req.query.good, bad: req.query.bad });
+    if (!result) {
+      return res.status(404).json({ error: 'Benchmark not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(error.code === 'INVALID_BISECT' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/runs/:id - Get a single run with its benchmark results.
+ * @name GetRun
+ * @route {GET} /api/runs/:id
+ * @routeparam {number} id - Run ID
+ * @returns {Object} Run summary with a benchmarks array
+ */
+router.get('/runs/:id', requireScope('read'), (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const run = isNaN(id) ? undefined : queries.getRun(id);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    const benchmarks = queries.getRunBenchmarks(id);
+    res.json({ ...run, benchmarks });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/hosts - List hosts with their parsed hardware profiles.
+ * @name GetHosts
+ * @route {GET} /api/hosts
+ * @returns {Object[]} Array of hosts with per-device GPU lists and benchmark counts
+ */
+router.get('/hosts', requireScope('read'), (req, res) => {
+  try {
+    const hosts = queries.getHosts().map(formatHost);
+    res.json(hosts);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/hosts/:id - Get a single host.
+ * @name GetHost
+ * @route {GET} /api/hosts/:id
+ * @routeparam {number} id - Host ID
+ * @returns {Object} Host with per-device GPU list and benchmark count
+ */
+router.get('/hosts/:id', requireScope('read'), (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const host = isNaN(id) ? undefined : queries.getHost(id);
+    if (!host) {
+      return res.status(404).json({ error: 'Host not found' });
+    }
+    res.json(formatHost(host));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/models - List all unique models.
+ * Each model carries its catalogue metadata: architecture, parameter class,
+ * quantization, MoE flag, family and alias.
  * @name GetModels
  * @route {GET} /api/models
  * @returns {Object[]} Array of unique model records
  */
-router.get('/models', (req, res) => {
+router.get('/models', requireScope('read'), (req, res) => {
   try {
     const models = queries.getModels();
     res.json(models);
@@ -88,13 +356,42 @@ router.get('/models', (req, res) => {
   }
 });
 
+/**
+ * POST /api/models - Set the family and alias of a catalogued model.
+ * The family is applied to every stored result of the model file. An empty
+ * family reverts to the one parsed from the file name; an empty alias removes it.
+ * @name UpdateModel
+ * @route {POST} /api/models
+ * @bodyparam {string} model_filename - Model file name
+ * @bodyparam {string} [family] - Model family
+ * @bodyparam {string} [alias] - Display name
+ * @returns {Object} The updated catalogue entry
+ */
+router.post('/models', requireScope('submit'), (req, res) => {
+  try {
+    const { model_filename: modelFilename } = req.body;
+    if (typeof modelFilename !== 'string' || !modelFilename) {
+      return res.status(400).json({ error: 'model_filename is required' });
+    }
+    const text = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+    if (!queries.updateCatalogueModel(modelFilename, { family: text(req.body.family), alias: text(req.body.alias) })) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+    res.json(queries.getCatalogueModel(modelFilename));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/builds - List all unique builds.
+ * Commit subject, author, date and order are included once synced from the
+ * llama.cpp checkout (LLAMA_CPP_REPO), and null otherwise.
  * @name GetBuilds
  * @route {GET} /api/builds
- * @returns {Object[]} Array of unique build records with latest test time
+ * @returns {Object[]} Array of unique build records with latest test time, newest commit first
  */
-router.get('/builds', (req, res) => {
+router.get('/builds', requireScope('read'), (req, res) => {
   try {
     const builds = queries.getBuilds();
     res.json(builds);
@@ -103,6 +400,50 @@ router.get('/builds', (req, res) => {
   }
 });
 
+/**
+ * GET /api/builds/commits - List the commits between two builds.
+ * Requires LLAMA_CPP_REPO. Commits with benchmark results are marked, so a
+ * regression between two builds can be narrowed down to the untested commits.
+ * @name GetBuildCommits
+ * @route {GET} /api/builds/commits
+ * @queryparam {string} from - Older build commit (swapped with `to` if given newest first)
+ * @queryparam {string} to - Newer build commit
+ * @queryparam {number} [limit=200] - Maximum number of commits
+ * @returns {Object} Range endpoints, reversed flag, commits (newest first) and truncated flag
+ */
+router.get('/builds/commits', requireScope('read'), async (req, res) => {
+  if (!isBuildSyncConfigured()) {
+    return res.status(404).json({ error: 'No llama.cpp checkout is configured (LLAMA_CPP_REPO)' });
+  }
+  if (!req.query.from || !req.query.to) {
+    return res.status(400).json({ error: 'from and to are required' });
+  }
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_COMMITS_LIMIT, 1), 1000);
+    res.json(await getCommitsBetween(req.query.from, req.query.to, limit));
+  } catch (error) {
+    res.status(error.code === 'INVALID_COMMIT' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/builds/sync - Read the commit metadata of every build from the
+ * llama.cpp checkout now, instead of waiting for the next submission.
+ * @name SyncBuilds
+ * @route {POST} /api/builds/sync
+ * @returns {Object} Number of builds, builds synced and ordered, and unknown build commits
+ */
+router.post('/builds/sync', requireScope('admin'), async (req, res) => {
+  if (!isBuildSyncConfigured()) {
+    return res.status(404).json({ error: 'No llama.cpp checkout is configured (LLAMA_CPP_REPO)' });
+  }
+  try {
+    res.json({ success: true, ...(await syncBuilds()) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/trends - Get trend data for performance charts.
  * @name GetTrends
@@ -110,15 +451,28 @@ router.get('/builds', (req, res) => {
  * @queryparam {string} [model] - Filter by model filename
  * @queryparam {string} [test_type='tg'] - Filter by test type
  * @queryparam {string} [group_by='build_commit'] - Column to group by
+ * @queryparam {string} [metric='tps'] - Metric aggregated into value, avg_value, min_value and max_value
+ *   (tps, stddev, cv, ms_per_token, tps_gb, tps_per_bparam, bandwidth or tflops)
+ * @queryparam {string} [agg='avg'] - Aggregation of the metric into value (avg, median, p90, min, max or latest)
  * @returns {Object[]} Array of aggregated trend data points
  */
-router.get('/trends', (req, res) => {
+router.get('/trends', requireScope('read'), (req, res) => {
   try {
     const { model, test_type, group_by } = req.query;
+    const metric = parseMetric(req.query.metric);
+    if (!metric) {
+      return res.status(400).json({ error: `metric must be one of: ${VALID_METRIC_KEYS.join(', ')}` });
+    }
+    const aggregation = parseAggregation(req.query.agg);
+    if (!aggregation) {
+      return res.status(400).json({ error: `agg must be one of: ${VALID_AGGREGATION_KEYS.join(', ')}` });
+    }
     const trends = queries.getTrends({
       model,
       testType: test_type || 'tg',
-      groupBy: group_by || 'build_commit'
+      groupBy: group_by || 'build_commit',
+      metric: metric.key,
+      agg: aggregation.key
     });
     res.json(trends);
   } catch (error) {
@@ -126,13 +480,48 @@ router.get('/trends', (req, res) => {
   }
 });
 
+/**
+ * GET /api/sweep - Get parameter-sweep data: tokens per second against a numeric dimension.
+ * @name GetSweep
+ * @route {GET} /api/sweep
+ * @queryparam {string} x - Numeric dimension on the x-axis (e.g. n_batch, n_threads, n_gpu_layers)
+ * @queryparam {string|string[]} [models] - Model filenames (comma-separated or repeated)
+ * @queryparam {string|string[]} [commits] - Build commits (all builds averaged when omitted)
+ * @queryparam {string|string[]} [test_types] - Test types (default pp, tg and pp+tg)
+ * @queryparam {string|string[]} [test_labels] - Test labels
+ * @queryparam {string|string[]} [group_by] - Dimensions to create separate series for
+ * @queryparam {string|string[]} [filter_*] - Dimension filters (e.g., filter_n_threads=8)
+ * @returns {Object[]} Array of sweep points, ordered by series and x value
+ */
+router.get('/sweep', requireScope('read'), (req, res) => {
+  const dimension = getDimension(req.query.x);
+  if (!dimension || dimension.type !== 'numeric' || dimension.lookup) {
+    return res.status(400).json({ error: 'x must be a numeric dimension' });
+  }
+
+  try {
+    const sweep = queries.getSweepData({
+      xDimension: dimension.key,
+      groupByDimensions: filterValidDimensions(parseListParam(req.query.group_by)),
+      filters: parseDimensionFilters(req.query),
+      testTypes: req.query.test_types ? parseListParam(req.query.test_types) : ['pp', 'tg', 'pp+tg'],
+      testLabels: parseListParam(req.query.test_labels),
+      models: parseListParam(req.query.models),
+      commits: parseListParam(req.query.commits)
+    });
+    res.json(sweep);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/stats - Get dashboard statistics.
  * @name GetStats
  * @route {GET} /api/stats
  * @returns {Object} Dashboard statistics including totals, averages, and recent benchmarks
  */
-router.get('/stats', (req, res) => {
+router.get('/stats', requireScope('read'), (req, res) => {
   try {
     const stats = queries.getStats();
     res.json(stats);
@@ -143,20 +532,73 @@ router.get('/stats', (req, res) => {
 
 /**
  * GET /api/compare - Get comparison data for models/builds.
+ * With `baseline` and `candidate`, runs a statistical A/B comparison instead:
+ * every configuration measured on both sides is compared with Welch's t-test
+ * on the per-repetition samples.
  * @name GetCompare
  * @route {GET} /api/compare
  * @queryparam {string} [models] - Comma-separated list of model filenames
  * @queryparam {string} [commits] - Comma-separated list of build commits
  * @queryparam {string} [test_type='tg'] - Filter by test type
- * @returns {Object[]} Array of comparison data records
+ * @queryparam {string} [test_labels] - Comma-separated list of test labels (e.g. tg128,tg128 @ d4096)
+ * @queryparam {string} [hosts] - Comma-separated list of host names
+ * @queryparam {string} [gpu_models] - Comma-separated list of GPU models
+ * @queryparam {string} [gpu_counts] - Comma-separated list of GPU counts
+ * @queryparam {string} [group_by] - Split results by 'host', 'gpu_model' or 'gpu_count'
+ * @queryparam {string} [metric='tps'] - Metric aggregated into value and averaged into avg_value
+ *   (tps, stddev, cv, ms_per_token, tps_gb, tps_per_bparam, bandwidth or tflops)
+ * @queryparam {string} [agg='avg'] - Aggregation of the metric into value (avg, median, p90, min, max or latest)
+ *   A/B tests compare t/s samples, so other metrics and aggregations are rejected there
+ * @queryparam {string} [baseline] - A/B: baseline value of the dimension (e.g., a build commit)
+ * @queryparam {string} [candidate] - A/B: candidate value of the dimension
+ * @queryparam {string} [dimension='build_commit'] - A/B: dimension to compare (build_commit, host or any dimension key)
+ * @queryparam {number} [alpha=0.05] - A/B: significance level
+ * @queryparam {string} [test_types] - A/B: comma-separated list of test types (all when omitted)
+ * @returns {Object[]|Object} Array of comparison data records, or an A/B result
  */
-router.get('/compare', (req, res) => {
+router.get('/compare', requireScope('read'), (req, res) => {
+  const { models, commits, test_type, test_types, test_labels, baseline, candidate, dimension, alpha } = req.query;
+
+  const metric = parseMetric(req.query.metric);
+  if (!metric) {
+    return res.status(400).json({ error: `metric must be one of: ${VALID_METRIC_KEYS.join(', ')}` });
+  }
+  const aggregation = parseAggregation(req.query.agg);
+  if (!aggregation) {
+    return res.status(400).json({ error: `agg must be one of: ${VALID_AGGREGATION_KEYS.join(', ')}` });
+  }
+
+  if (baseline !== undefined || candidate !== undefined) {
+    if (metric.key !== DEFAULT_METRIC || aggregation.key !== DEFAULT_AGGREGATION) {
+      return res.status(400).json({ error: 'metric and agg do not apply to A/B tests, which compare t/s samples' });
+    }
+    try {
+      const { groupBy, ...hardware } = parseHardwareFilters(req.query);
+      const result = compareAB({
+        baseline,
+        candidate,
+        dimension: dimension || 'build_commit',
+        alpha: parseFloat(alpha) || undefined,
+        models: models ? models.split(',') : [],
+        testTypes: test_types ? test_types.split(',') : [],
+        testLabels: test_labels ? test_labels.split(',') : [],
+        ...hardware
+      });
+      return res.json(result);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+
   try {
-    const { models, commits, test_type } = req.query;
     const data = queries.getComparisonData({
       models: models ? models.split(',') : [],
       commits: commits ? commits.split(',') : [],
-      testType: test_type || 'tg'
+      testType: test_type || 'tg',
+      testLabels: test_labels ? test_labels.split(',') : [],
+      ...parseHardwareFilters(req.query),
+      metric: metric.key,
+      agg: aggregation.key
     });
     res.json(data);
   } catch (error) {
@@ -164,6 +606,145 @@ router.get('/compare', (req, res) => {
   }
 });
 
+/**
+ * GET /api/recommendations - Recommend the fastest parameter combination for a model on a GPU.
+ * For every llama-bench test measured, reports the best configuration, the
+ * runner-ups and how much each parameter mattered. Results are averaged across builds.
+ * @name GetRecommendations
+ * @route {GET} /api/recommendations
+ * @queryparam {string} model - Model filename
+ * @queryparam {string} gpu - Normalized GPU model (as listed by the GPU Model dimension)
+ * @queryparam {number} [limit=5] - Number of runner-up configurations per test
+ * @returns {Object} Recommendations per test
+ */
+router.get('/recommendations', requireScope('read'), (req, res) => {
+  const { model, gpu, limit } = req.query;
+  if (!model || !gpu) {
+    return res.status(400).json({ error: 'Both model and gpu are required' });
+  }
+
+  try {
+    const runnerUps = parseInt(limit, 10);
+    res.json(recommendConfigurations({ model, gpu, runnerUps: runnerUps >= 0 ? runnerUps : undefined }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/regressions - Detect performance regressions between builds.
+ * For each series (model + test type + hardware + parameters), compares the newest
+ * build with the preceding builds and reports significant slowdowns.
+ * @name GetRegressions
+ * @route {GET} /api/regressions
+ * @queryparam {number} [threshold=3] - Minimum slowdown in percent
+ * @queryparam {number} [window=3] - Number of preceding builds used as the baseline
+ * @queryparam {number} [alpha=0.05] - Significance level for Welch's t-test
+ * @queryparam {string} [models] - Comma-separated list of model filenames
+ * @queryparam {string} [test_types] - Comma-separated list of test types
+ * @queryparam {string} [all] - When 'true', return every series comparison, not only regressions
+ * @returns {Object[]} Array of build comparisons, largest slowdown first
+ */
+router.get('/regressions', requireScope('read'), (req, res) => {
+  try {
+    const { threshold, window, alpha, models, test_types, all } = req.query;
+    const options = {
+      thresholdPct: parseFloat(threshold) || undefined,
+      window: parseInt(window, 10) || undefined,
+      alpha: parseFloat(alpha) || undefined,
+      models: models ? models.split(',') : [],
+      testTypes: test_types ? test_types.split(',') : []
+    };
+    Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+
+    const results = all === 'true'
+      ? analyzeSeries(options).sort((a, b) => a.change_pct - b.change_pct)
+      : detectRegressions(options);
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/export - Download benchmark results as a file.
+ * Accepts the same filters as the benchmarks, trends and compare pages, so the
+ * pages' Export buttons download exactly the rows they show. Rows are read one at
+ * a time from a snapshot of the database and streamed, so large exports are never
+ * held in memory; rows submitted after the export started are not included.
+ * @name GetExport
+ * @route {GET} /api/export
+ * @queryparam {string} [format='csv'] - 'csv' (stored columns), 'jsonl' (one stored row per line)
+ *   or 'json' (array of the original llama-bench records)
+ * @queryparam {string|string[]} [models] - Model filenames (exact match; comma-separated or repeated)
+ * @queryparam {string} [model] - Model filename (partial match)
+ * @queryparam {string} [search] - Free text matched against model, GPU, CPU and build commit
+ * @queryparam {string|string[]} [commits] - Build commits (or `commit`)
+ * @queryparam {string|string[]} [test_types] - Test types (or `test_type`; all when omitted)
+ * @queryparam {string|string[]} [test_labels] - Test labels (or `test_label`), e.g. pp512 or tg128 @ d4096
+ * @queryparam {string|string[]} [hosts] - Host names
+ * @queryparam {string|string[]} [gpu_models] - GPU models
+ * @queryparam {string|string[]} [gpu_counts] - GPU counts
+ * @queryparam {string|string[]} [filter_*] - Dimension filters (e.g., filter_n_batch=512)
+ * @queryparam {string} [start_date] - Minimum test time (ISO 8601)
+ * @queryparam {string} [end_date] - Maximum test time (ISO 8601)
+ * @queryparam {string} [sort='test_time'] - Column to sort by ('created_at' or any benchmarks table column)
+ * @queryparam {string} [order='desc'] - Sort direction ('asc' or 'desc')
+ * @queryparam {number} [limit] - Maximum number of rows (all when omitted)
+ * @queryparam {number} [offset=0] - Number of rows to skip
+ * @returns {string} File download in the requested format
+ */
+router.get('/export', requireScope('read'), async (req, res) => {
+  const format = EXPORT_FORMATS[req.query.format || 'csv'];
+  if (!format) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  try {
+    const { groupBy, ...hardware } = parseHardwareFilters(req.query);
+    const filters = {
+      models: parseListParam(req.query.models),
+      model: req.query.model || undefined,
+      search: req.query.search || undefined,
+      commits: parseListParam(req.query.commits || req.query.commit),
+      testTypes: parseListParam(req.query.test_types || req.query.test_type),
+      testLabels: parseListParam(req.query.test_labels || req.query.test_label),
+      dimensionFilters: parseDimensionFilters(req.query),
+      startDate: req.query.start_date || undefined,
+      endDate: req.query.end_date || undefined,
+      sort: req.query.sort,
+      order: req.query.order,
+      limit: parseInt(req.query.limit, 10) > 0 ? parseInt(req.query.limit, 10) : -1,
+      offset: parseInt(req.query.offset, 10) || 0,
+      ...hardware
+    };
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+
+    res.set({
+      'Content-Type': format.contentType,
+      'Content-Disposition': `attachment; filename="benchmarks-${timestamp}.${format.extension}"`
+    });
+    res.write(format.header(queries.getBenchmarkColumns()));
+
+    let written = 0;
+    for (const row of queries.iterateBenchmarksFiltered(filters)) {
+      if (res.destroyed) {
+        break;
+      }
+      if (!res.write(format.row(row, written++))) {
+        await waitForDrain(res);
+      }
+    }
+    res.end(format.footer(written));
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Error streaming export:', error);
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * DELETE /api/benchmarks - Delete benchmarks by IDs.
  * @name DeleteBenchmarks
@@ -171,7 +752,7 @@ router.get('/compare', (req, res) => {
  * @bodyparam {number[]} ids - Array of benchmark IDs to delete
  * @returns {Object} Success response with delete count
  */
-router.delete('/benchmarks', (req, res) => {
+router.delete('/benchmarks', requireScope('delete'), (req, res) => {
   try {
     const { ids } = req.body;
     if (!ids || !Array.isArray(ids) || ids.length === 0) {
@@ -189,4 +770,208 @@ router.delete('/benchmarks', (req, res) => {
   }
 });
 
+/**
+ * Convert a stored column preset to its API form.
+ * @param {import('../db/queries').ColumnPresetRecord} preset - Stored preset
+ * @returns {Object} Preset with columns as an array of keys
+ */
+function formatColumnPreset(preset) {
+  return { ...preset, columns: preset.columns.split(',') };
+}
+
+/**
+ * GET /api/column-presets - List saved column layouts.
+ * @name GetColumnPresets
+ * @route {GET} /api/column-presets
+ * @returns {Object[]} Array of presets with id, name and columns (keys in display order)
+ */
+router.get('/column-presets', requireScope('read'), (req, res) => {
+  try {
+    res.json(queries.getColumnPresets().map(formatColumnPreset));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/column-presets - Save a named column layout, replacing a preset with the same name.
+ * @name SaveColumnPreset
+ * @route {POST} /api/column-presets
+ * @bodyparam {string} name - Preset name
+ * @bodyparam {string[]|string} columns - Column keys in display order (array or comma-separated)
+ * @returns {Object} The saved preset
+ */
+router.post('/column-presets', requireScope('submit'), (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    const columns = parseColumnLayout(req.body.columns);
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'columns must contain at least one table column' });
+    }
+    const id = queries.saveColumnPreset({ name, columns });
+    res.json(formatColumnPreset(queries.getColumnPresets().find(p => p.id === id)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/column-presets/:id - Delete a saved column layout.
+ * @name DeleteColumnPreset
+ * @route {DELETE} /api/column-presets/:id
+ * @routeparam {number} id - Preset ID
+ * @returns {Object} Success response
+ */
+router.delete('/column-presets/:id', requireScope('delete'), (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id) || !queries.deleteColumnPreset(id)) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/views - List saved trends views.
+ * @name GetSavedViews
+ * @route {GET} /api/views
+ * @returns {Object[]} Array of views with id, name and query (the /trends query string)
+ */
+router.get('/views', requireScope('read'), (req, res) => {
+  try {
+    res.json(queries.getSavedViews());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/views - Save a trends view, replacing a view with the same name.
+ * @name SaveView
+ * @route {POST} /api/views
+ * @bodyparam {string} name - View name
+ * @bodyparam {string} query - /trends query string (models, test_types, test_labels,
+ *   group_by, filter_*, x_axis and log); other parameters are dropped
+ * @returns {Object} The saved view
+ */
+router.post('/views', requireScope('submit'), (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    const query = normalizeViewQuery(typeof req.body.query === 'string' ? req.body.query : '');
+    const id = queries.saveSavedView({ name, query });
+    res.json(queries.getSavedView(id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/views/:id - Delete a saved view and remove it from dashboards.
+ * @name DeleteView
+ * @route {DELETE} /api/views/:id
+ * @routeparam {number} id - View ID
+ * @returns {Object} Success response
+ */
+router.delete('/views/:id', requireScope('delete'), (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id) || !queries.deleteSavedView(id)) {
+      return res.status(404).json({ error: 'View not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/dashboards - List dashboards.
+ * @name GetDashboards
+ * @route {GET} /api/dashboards
+ * @returns {Object[]} Array of dashboards with id, name, home and view_count
+ */
+router.get('/dashboards', requireScope('read'), (req, res) => {
+  try {
+    res.json(queries.getDashboards());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/dashboards/:id - Get a dashboard with its saved views, in display order.
+ * @name GetDashboard
+ * @route {GET} /api/dashboards/:id
+ * @routeparam {number} id - Dashboard ID
+ * @returns {Object} Dashboard with a views array
+ */
+router.get('/dashboards/:id', requireScope('read'), (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const dashboard = isNaN(id) ? undefined : queries.getDashboard(id);
+    if (!dashboard) {
+      return res.status(404).json({ error: 'Dashboard not found' });
+    }
+    res.json({ ...dashboard, views: queries.getDashboardViews(id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/dashboards - Save a dashboard, replacing a dashboard with the same name.
+ * @name SaveDashboard
+ * @route {POST} /api/dashboards
+ * @bodyparam {string} name - Dashboard name
+ * @bodyparam {number[]} views - Saved view IDs, in display order
+ * @bodyparam {boolean} [home=false] - Show the dashboard's charts on the home page
+ *   (replaces the previous home dashboard)
+ * @returns {Object} The saved dashboard with its views
+ */
+router.post('/dashboards', requireScope('submit'), (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    const viewIds = [...new Set([].concat(req.body.views || []).map(v => parseInt(v, 10)))];
+    const unknown = viewIds.filter(v => isNaN(v) || !queries.getSavedView(v));
+    if (viewIds.length === 0 || unknown.length > 0) {
+      return res.status(400).json({ error: viewIds.length === 0 ? 'views must contain at least one saved view ID' : `Unknown views: ${unknown.join(', ')}` });
+    }
+    const id = queries.saveDashboard({ name, viewIds, home: req.body.home === true || req.body.home === 'true' });
+    res.json({ ...queries.getDashboard(id), views: queries.getDashboardViews(id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/dashboards/:id - Delete a dashboard (its saved views are kept).
+ * @name DeleteDashboard
+ * @route {DELETE} /api/dashboards/:id
+ * @routeparam {number} id - Dashboard ID
+ * @returns {Object} Success response
+ */
+router.delete('/dashboards/:id', requireScope('delete'), (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id) || !queries.deleteDashboard(id)) {
+      return res.status(404).json({ error: 'Dashboard not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
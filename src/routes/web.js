@@ -10,53 +10,299 @@ const express = require('express');
 const router = express.Router();
 const queries = require('../db/queries');
 const { formatBenchmark } = require('../models/benchmark');
-const { getDimensionsByGroup, DIMENSIONS, filterValidDimensions } = require('../config/dimensions');
-const { getActiveColumns, formatCellValue } = require('../config/tableColumns');
+const { getDimensionsByGroup, getSweepDimensions, DIMENSIONS, filterValidDimensions, parseDimensionFilters } = require('../config/dimensions');
+const { TABLE_COLUMNS, getActiveColumns, parseColumnLayout, getLayoutColumns, isSortableColumn, formatCellValue } = require('../config/tableColumns');
+const { getCookie } = require('../middleware/auth');
+const {
+  METRICS, AGGREGATIONS, DEFAULT_METRIC, DEFAULT_AGGREGATION, getMetric, getAggregation, parseMetric, parseAggregation, describeValue
+} = require('../config/metrics');
+const { detectRegressions } = require('../analysis/regressions');
+const { parseHardwareFilters } = require('../models/hardware');
+const { compareAB } = require('../analysis/compare');
+const { recommendConfigurations } = require('../analysis/recommendations');
+const { getBenchmarkDetail } = require('../analysis/samples');
+const { orderBuilds, bisect } = require('../analysis/bisect');
+const { parseTrendsQuery, getViewTrends, getChartLabels, loadDashboard } = require('../models/dashboard');
+const { isConfigured: isBuildSyncConfigured, getCommitsBetween } = require('../models/builds');
+
+/**
+ * Build a query string, e.g. the /api/export filters for the rows shown on a page.
+ * @param {Object.<string, *>} params - Parameters; arrays become repeated parameters
+ * @returns {string} URL-encoded query string without empty values
+ */
+function buildQueryString(params) {
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    [].concat(value ?? []).filter(v => v !== '').forEach(v => search.append(key, v));
+  });
+  return search.toString();
+}
 
 /**
  * GET / - Dashboard page.
- * Displays overview statistics and recent benchmarks.
+ * Displays overview statistics, detected regressions and recent benchmarks.
  * @name Dashboard
  * @route {GET} /
  */
 router.get('/', (req, res) => {
   const stats = queries.getStats();
   const recentBenchmarks = stats.recentBenchmarks.map(formatBenchmark);
-  res.render('index', { stats, recentBenchmarks });
+  const regressions = detectRegressions();
+
+  // The home dashboard's charts augment the built-in summary
+  const homeDashboard = queries.getHomeDashboard();
+  const home = homeDashboard ? loadDashboard(homeDashboard.id) : null;
+  const dashboards = queries.getDashboards();
+
+  res.render('index', {
+    stats, recentBenchmarks, regressions, home, dashboards,
+    chartLabels: home ? getChartLabels() : null
+  });
+});
+
+/**
+ * GET /dashboards - Dashboards page.
+ * Lists dashboards and creates or updates them from saved trends views.
+ * @name Dashboards
+ * @route {GET} /dashboards
+ */
+router.get('/dashboards', (req, res) => {
+  const dashboards = queries.getDashboards();
+  const savedViews = queries.getSavedViews();
+  const dashboardViews = dashboards.map(d => ({
+    id: d.id,
+    name: d.name,
+    home: d.home,
+    views: queries.getDashboardViews(d.id).map(v => v.id)
+  }));
+  res.render('dashboards', { dashboards, savedViews, dashboardViews });
+});
+
+/**
+ * GET /models - Model catalogue page.
+ * Lists every model file with its parsed metadata, grouped by family, and lets
+ * submitters set families and aliases.
+ * @name Models
+ * @route {GET} /models
+ */
+router.get('/models', (req, res) => {
+  const models = queries.getModelCatalogue();
+  res.render('models', { models });
+});
+
+/**
+ * GET /dashboards/:id - Dashboard page with one trends chart per saved view.
+ * @name Dashboard
+ * @route {GET} /dashboards/:id
+ * @routeparam {number} id - Dashboard ID
+ */
+router.get('/dashboards/:id', (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const loaded = isNaN(id) ? null : loadDashboard(id);
+  if (!loaded) {
+    return res.status(404).send('Dashboard not found');
+  }
+  res.render('dashboard', { ...loaded, chartLabels: getChartLabels() });
 });
 
+/** @type {string} Prefix of the cookies holding a browser's column layout per table */
+const COLUMN_LAYOUT_COOKIE_PREFIX = 'lbr_columns_';
+
+/**
+ * Read the column layout a browser chose for a table with the column picker.
+ * @param {import('express').Request} req - Express request object
+ * @param {string} table - Table name ('benchmarks' or 'trends')
+ * @returns {string[]} Column keys in display order; empty for automatic columns
+ */
+function getColumnLayout(req, table) {
+  return parseColumnLayout(getCookie(req, COLUMN_LAYOUT_COOKIE_PREFIX + table));
+}
+
+/**
+ * Build the variables of the column picker partial for a table.
+ * @param {string} table - Table name ('benchmarks' or 'trends')
+ * @param {string[]} layout - Chosen column keys (empty for automatic columns)
+ * @param {import('../config/tableColumns').ColumnConfig[]} columns - Columns currently shown
+ * @returns {Object} Column picker variables
+ */
+function buildColumnPicker(table, layout, columns) {
+  return {
+    table,
+    cookieName: COLUMN_LAYOUT_COOKIE_PREFIX + table,
+    custom: layout.length > 0,
+    columns,
+    allColumns: TABLE_COLUMNS,
+    presets: queries.getColumnPresets()
+  };
+}
+
+/** @type {number[]} Page sizes offered on the benchmarks page */
+const PAGE_SIZES = [25, 50, 100, 250];
+
+/**
+ * Load one page of the benchmarks table from the query string: filters,
+ * free-text search, sort column and direction, page size and offset.
+ * Columns follow the browser's column layout.
+ * @param {import('express').Request} req - Express request object
+ * @returns {{benchmarks: Object[], columns: import('../config/tableColumns').ColumnConfig[], layout: string[], pagination: Object}}
+ *   Rows, shown columns, chosen layout and pagination state (total, limit, offset, sort, order
+ *   and a url(overrides) builder for links)
+ */
+function loadBenchmarksTable(req) {
+  const query = req.query;
+  const { model, commit, test_type, test_label } = query;
+  const search = (query.search || '').trim();
+  const filters = { model, commit, testType: test_type, testLabel: test_label, search };
+  const state = {
+    sort: isSortableColumn(query.sort) ? query.sort : 'created_at',
+    order: query.order === 'asc' ? 'asc' : 'desc',
+    limit: PAGE_SIZES.includes(parseInt(query.limit, 10)) ? parseInt(query.limit, 10) : 50,
+    offset: Math.max(parseInt(query.offset, 10) || 0, 0)
+  };
+
+  const total = queries.countBenchmarks(filters);
+  const benchmarks = queries.getBenchmarks({ ...filters, ...state }).map(formatBenchmark);
+  const params = { model, commit, test_type, test_label, search, ...state };
+
+  const layout = getColumnLayout(req, 'benchmarks');
+
+  return {
+    benchmarks,
+    columns: getLayoutColumns(benchmarks, layout),
+    layout,
+    pagination: {
+      ...state,
+      total,
+      url: overrides => '/benchmarks?' + buildQueryString({ ...params, ...overrides })
+    }
+  };
+}
+
 /**
  * GET /benchmarks - Benchmarks listing page.
- * Displays filterable table of all benchmarks with pagination.
- * Supports HTMX partial rendering.
+ * Displays filterable, searchable and sortable table of all benchmarks with pagination.
+ * Supports HTMX partial rendering; the table state is kept in the URL.
  * @name Benchmarks
  * @route {GET} /benchmarks
- * @queryparam {number} [limit=50] - Results per page
+ * @queryparam {number} [limit=50] - Results per page (25, 50, 100 or 250)
  * @queryparam {number} [offset=0] - Pagination offset
  * @queryparam {string} [model] - Filter by model
  * @queryparam {string} [commit] - Filter by commit
  * @queryparam {string} [test_type] - Filter by test type
+ * @queryparam {string} [test_label] - Filter by test label (e.g. pp512, tg128 @ d4096)
+ * @queryparam {string} [search] - Free text matched against model, GPU, CPU and build commit
+ * @queryparam {string} [sort='created_at'] - Column to sort by (any table column)
+ * @queryparam {string} [order='desc'] - Sort direction ('asc' or 'desc')
  */
 router.get('/benchmarks', (req, res) => {
-  const { limit, offset, model, commit, test_type } = req.query;
-  const benchmarks = queries.getBenchmarks({
-    limit: parseInt(limit) || 50,
-    offset: parseInt(offset) || 0,
-    model,
-    commit,
-    testType: test_type
-  }).map(formatBenchmark);
+  const { benchmarks, columns, layout, pagination } = loadBenchmarksTable(req);
+  const selectable = res.locals.auth.can('delete');
+
+  // Check if this is an HTMX request
+  if (req.headers['hx-request']) {
+    return res.render('partials/table', { benchmarks, columns, formatCell: formatCellValue, selectable, pagination });
+  }
 
   const models = queries.getModels();
   const builds = queries.getBuilds();
-  const columns = getActiveColumns(benchmarks);
+  const testLabels = queries.getTestLabels();
+  const { model, commit, test_type, test_label, search } = req.query;
+  const exportQuery = buildQueryString({
+    model, commit, test_type, test_label, search,
+    sort: pagination.sort,
+    order: pagination.order,
+    limit: pagination.limit,
+    offset: pagination.offset
+  });
 
-  // Check if this is an HTMX request
-  if (req.headers['hx-request']) {
-    return res.render('partials/table', { benchmarks, columns, formatCell: formatCellValue });
+  res.render('benchmarks', {
+    benchmarks, models, builds, testLabels, filters: req.query, columns, formatCell: formatCellValue,
+    pagination, pageSizes: PAGE_SIZES, exportQuery, columnPicker: buildColumnPicker('benchmarks', layout, columns)
+  });
+});
+
+/**
+ * GET /benchmarks/:id - Benchmark detail page.
+ * Displays every stored field, a chart of the per-repetition samples with
+ * mean and standard deviation, outliers, and related results.
+ * @name BenchmarkDetail
+ * @route {GET} /benchmarks/:id
+ * @routeparam {number} id - Benchmark ID
+ */
+router.get('/benchmarks/:id', (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const detail = isNaN(id) ? null : getBenchmarkDetail(id);
+  if (!detail) {
+    return res.status(404).send('Benchmark not found');
+  }
+
+  res.render('benchmark', {
+    ...detail,
+    sameBuildColumns: getActiveColumns(detail.same_build),
+    formatCell: formatCellValue
+  });
+});
+
+/**
+ * GET /bisect - Bisect helper page.
+ * Narrows a throughput change in one configuration down to a range of builds
+ * and suggests the next build to benchmark. The state is loaded from
+ * /partials/bisect and refreshed while new results arrive.
+ * @name Bisect
+ * @route {GET} /bisect
+ * @queryparam {number} [id] - ID of a result of the configuration
+ * @queryparam {string} [good] - Last good build commit (default: the build before `bad`)
+ * @queryparam {string} [bad] - First bad build commit (default: the build of result `id`)
+ */
+router.get('/bisect', (req, res) => {
+  const id = parseInt(req.query.id, 10);
+  const reference = isNaN(id) ? null : queries.getBenchmark(id);
+  const builds = reference ? orderBuilds(queries.getSeriesBuilds(reference)) : [];
+
+  res.render('bisect', {
+    reference: reference ? formatBenchmark(reference) : null,
+    builds,
+    filters: req.query,
+    bisectQuery: reference ? buildQueryString({ id, good: req.query.good, bad: req.query.bad }) : ''
+  });
+});
+
+/**
+ * GET /runs - Runs listing page.
+ * Displays submitted runs, most recent first.
+ * @name Runs
+ * @route {GET} /runs
+ * @queryparam {number} [limit=50] - Results per page
+ * @queryparam {number} [offset=0] - Pagination offset
+ */
+router.get('/runs', (req, res) => {
+  const { limit, offset } = req.query;
+  const runs = queries.getRuns({
+    limit: parseInt(limit) || 50,
+    offset: parseInt(offset) || 0
+  });
+
+  res.render('runs', { runs });
+});
+
+/**
+ * GET /runs/:id - Run detail page.
+ * Displays run metadata and every benchmark result submitted with it.
+ * @name RunDetail
+ * @route {GET} /runs/:id
+ * @routeparam {number} id - Run ID
+ */
+router.get('/runs/:id', (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const run = isNaN(id) ? undefined : queries.getRun(id);
+  if (!run) {
+    return res.status(404).send('Run not found');
   }
 
-  res.render('benchmarks', { benchmarks, models, builds, filters: req.query, columns, formatCell: formatCellValue });
+  const benchmarks = queries.getRunBenchmarks(id).map(formatBenchmark);
+  const columns = getActiveColumns(benchmarks);
+
+  res.render('run', { run, benchmarks, columns, formatCell: formatCellValue });
 });
 
 /**
@@ -66,135 +312,294 @@ router.get('/benchmarks', (req, res) => {
  * @name Trends
  * @route {GET} /trends
  * @queryparam {string|string[]} [models] - Filter by model filenames (multi-select)
- * @queryparam {string|string[]} [test_types=['pp','tg']] - Filter by test types (checkboxes)
+ * @queryparam {string|string[]} [test_types=['pp','tg','pp+tg']] - Filter by test types (checkboxes)
+ * @queryparam {string|string[]} [test_labels] - Filter by test labels (multi-select)
  * @queryparam {string|string[]} [group_by] - Dimensions to create separate series for
  * @queryparam {string|string[]} [filter_*] - Dimension filters (e.g., filter_n_batch=512)
+ * @queryparam {string} [metric='tps'] - Charted metric (see config/metrics)
+ * @queryparam {string} [agg='avg'] - Aggregation per chart point: avg, median, p90, min, max or latest
+ * @queryparam {string} [x_axis='build'] - Initial chart x-axis: 'build', 'date', 'depth' or 'prompt'
+ * @queryparam {string} [log] - '1' for a logarithmic y-axis
  */
 router.get('/trends', (req, res) => {
   const models = queries.getModels();
   const builds = queries.getBuilds();
+  const testLabels = queries.getTestLabels();
   const dimensionsByGroup = getDimensionsByGroup();
 
-  // Parse model selection
-  const selectedModels = req.query.models ? [].concat(req.query.models).filter(m => m) : [];
-
-  // Parse test types (default to pp and tg)
-  const testTypes = req.query.test_types ? [].concat(req.query.test_types) : ['pp', 'tg'];
-
-  // Parse group_by dimensions (validated against allowlist)
-  const groupByDimensions = req.query.group_by
-    ? filterValidDimensions([].concat(req.query.group_by).filter(d => d))
-    : [];
-
-  // Parse filter dimensions (filter_<dimension>=value pattern)
-  const dimensionFilters = {};
-  Object.keys(req.query).forEach(key => {
-    if (key.startsWith('filter_')) {
-      const dimension = key.replace('filter_', '');
-      // Only accept valid dimensions
-      if (filterValidDimensions([dimension]).length > 0) {
-        const values = [].concat(req.query[key]).filter(v => v !== '');
-        if (values.length > 0) {
-          // Convert numeric values for numeric dimensions
-          const dimConfig = DIMENSIONS.find(d => d.key === dimension);
-          if (dimConfig && (dimConfig.type === 'numeric' || dimConfig.type === 'boolean')) {
-            dimensionFilters[dimension] = values.map(v => parseInt(v, 10));
-          } else {
-            dimensionFilters[dimension] = values;
-          }
-        }
-      }
-    }
-  });
+  // Parse models, tests, group_by dimensions, filter_<dimension> values and chart options
+  const trendsQuery = parseTrendsQuery(req.query);
+  const {
+    models: selectedModels, testTypes, testLabels: selectedTestLabels, groupByDimensions, dimensionFilters
+  } = trendsQuery;
 
   // Get unique values for all dimensions (for filter dropdowns)
   const dimensionValues = queries.getAllDimensionValues();
 
   // Fetch trend data with dimensional grouping
-  const trends = queries.getDimensionalTrends({
-    groupByDimensions,
-    filters: dimensionFilters,
-    testTypes,
-    models: selectedModels
-  });
+  const trends = getViewTrends(trendsQuery);
 
   // Also fetch individual benchmarks for the data table (with same filters)
   const benchmarks = queries.getBenchmarksFiltered({
     models: selectedModels,
     testTypes,
+    testLabels: selectedTestLabels,
     dimensionFilters
   }).map(formatBenchmark);
 
-  const columns = getActiveColumns(benchmarks);
+  const layout = getColumnLayout(req, 'trends');
+  const columns = getLayoutColumns(benchmarks, layout);
+
+  const exportQuery = buildQueryString({
+    models: selectedModels,
+    test_types: testTypes,
+    test_labels: selectedTestLabels,
+    ...Object.fromEntries(Object.entries(dimensionFilters).map(([key, values]) => [`filter_${key}`, values])),
+    limit: 100
+  });
 
   res.render('trends', {
     trends,
+    metric: getMetric(trendsQuery.metric),
+    metrics: METRICS,
+    aggregations: AGGREGATIONS,
+    chartValue: describeValue(getMetric(trendsQuery.metric), getAggregation(trendsQuery.agg)),
     benchmarks,
     models,
     builds,
+    testLabels,
     dimensionsByGroup,
     dimensionValues,
     columns,
+    columnPicker: buildColumnPicker('trends', layout, columns),
     formatCell: formatCellValue,
+    exportQuery,
+    filters: {
+      models: selectedModels,
+      test_types: testTypes,
+      test_labels: selectedTestLabels,
+      group_by: groupByDimensions,
+      dimension_filters: dimensionFilters,
+      metric: trendsQuery.metric,
+      agg: trendsQuery.agg,
+      x_axis: trendsQuery.xAxis,
+      log_scale: trendsQuery.logScale
+    },
+    savedViews: queries.getSavedViews()
+  });
+});
+
+/**
+ * GET /sweep - Parameter sweep page.
+ * Charts tokens per second against a numeric dimension (batch size, threads,
+ * GPU layers, ...), with one line per model, test and group-by combination.
+ * @name Sweep
+ * @route {GET} /sweep
+ * @queryparam {string} [x='n_batch'] - Numeric dimension on the x-axis
+ * @queryparam {string|string[]} [models] - Filter by model filenames (multi-select)
+ * @queryparam {string|string[]} [commits] - Filter by build commits (all builds averaged when omitted)
+ * @queryparam {string|string[]} [test_types=['pp','tg','pp+tg']] - Filter by test types (checkboxes)
+ * @queryparam {string|string[]} [test_labels] - Filter by test labels (multi-select)
+ * @queryparam {string|string[]} [group_by] - Dimensions to create separate series for
+ * @queryparam {string|string[]} [filter_*] - Dimension filters (e.g., filter_n_threads=8)
+ */
+router.get('/sweep', (req, res) => {
+  const models = queries.getModels();
+  const builds = queries.getBuilds();
+  const testLabels = queries.getTestLabels();
+  const sweepDimensions = getSweepDimensions();
+  const dimensionsByGroup = getDimensionsByGroup();
+  const dimensionValues = queries.getAllDimensionValues();
+
+  const xDimension = sweepDimensions.some(d => d.key === req.query.x) ? req.query.x : 'n_batch';
+  const selectedModels = req.query.models ? [].concat(req.query.models).filter(m => m) : [];
+  const selectedCommits = req.query.commits ? [].concat(req.query.commits).filter(c => c) : [];
+  const testTypes = req.query.test_types ? [].concat(req.query.test_types) : ['pp', 'tg', 'pp+tg'];
+  const selectedTestLabels = req.query.test_labels ? [].concat(req.query.test_labels).filter(l => l) : [];
+  const groupByDimensions = req.query.group_by
+    ? filterValidDimensions([].concat(req.query.group_by).filter(d => d))
+    : [];
+  const dimensionFilters = parseDimensionFilters(req.query);
+
+  const sweep = queries.getSweepData({
+    xDimension,
+    groupByDimensions,
+    filters: dimensionFilters,
+    testTypes,
+    testLabels: selectedTestLabels,
+    models: selectedModels,
+    commits: selectedCommits
+  });
+
+  const exportQuery = buildQueryString({
+    models: selectedModels,
+    commits: selectedCommits,
+    test_types: testTypes,
+    test_labels: selectedTestLabels,
+    ...Object.fromEntries(Object.entries(dimensionFilters).map(([key, values]) => [`filter_${key}`, values]))
+  });
+
+  res.render('sweep', {
+    sweep,
+    models,
+    builds,
+    testLabels,
+    sweepDimensions,
+    dimensionsByGroup,
+    dimensionValues,
+    exportQuery,
     filters: {
+      x: xDimension,
       models: selectedModels,
+      commits: selectedCommits,
       test_types: testTypes,
+      test_labels: selectedTestLabels,
       group_by: groupByDimensions,
       dimension_filters: dimensionFilters
     }
   });
 });
 
+/**
+ * GET /recommendations - Best-configuration page.
+ * Reports the fastest parameter combination for a model on a GPU, per test.
+ * @name Recommendations
+ * @route {GET} /recommendations
+ * @queryparam {string} [model] - Model filename
+ * @queryparam {string} [gpu] - Normalized GPU model
+ */
+router.get('/recommendations', (req, res) => {
+  const models = queries.getModels();
+  const gpuModels = queries.getDimensionValues('gpu_model');
+  const { model, gpu } = req.query;
+
+  // Pick the only GPU when the choice is obvious
+  const selectedGpu = gpu || (gpuModels.length === 1 ? gpuModels[0].value : '');
+  const recommendations = model && selectedGpu ? recommendConfigurations({ model, gpu: selectedGpu }) : null;
+  const parameterLabels = Object.fromEntries(DIMENSIONS.map(d => [d.key, d.label]));
+
+  res.render('recommendations', {
+    models, gpuModels, recommendations, parameterLabels,
+    filters: { model: model || '', gpu: selectedGpu }
+  });
+});
+
 /**
  * GET /compare - Model/build comparison page.
- * Allows side-by-side comparison of benchmark results.
+ * Allows side-by-side comparison of benchmark results, optionally filtered
+ * and split by host, GPU model or GPU count.
  * @name Compare
  * @route {GET} /compare
  * @queryparam {string} [models] - Comma-separated model filenames
  * @queryparam {string} [commits] - Comma-separated build commits
  * @queryparam {string} [test_type='tg'] - Filter by test type
+ * @queryparam {string} [test_label] - Filter by test label (all labels of the test type when omitted)
+ * @queryparam {string|string[]} [hosts] - Host names
+ * @queryparam {string|string[]} [gpu_models] - GPU models
+ * @queryparam {string|string[]} [gpu_counts] - GPU counts
+ * @queryparam {string} [group_by] - Split results by 'host', 'gpu_model' or 'gpu_count'
+ * @queryparam {string} [metric='tps'] - Charted metric (see config/metrics)
+ * @queryparam {string} [agg='avg'] - Aggregation per bar: avg, median, p90, min, max or latest
+ *   (A/B tests compare t/s samples and reject other metrics and aggregations)
+ * @queryparam {string} [baseline] - A/B test: baseline value of the dimension
+ * @queryparam {string} [candidate] - A/B test: candidate value of the dimension
+ * @queryparam {string} [dimension='build_commit'] - A/B test: dimension to compare
+ * @queryparam {string} [ab_test_type] - A/B test: restrict to one test type
+ * @queryparam {string} [ab_test_label] - A/B test: restrict to one test label
+ * @queryparam {number} [alpha=0.05] - A/B test: significance level
  */
 router.get('/compare', (req, res) => {
   const models = queries.getModels();
   const builds = queries.getBuilds();
+  const hosts = queries.getHosts();
+  const gpuModels = queries.getDimensionValues('gpu_model');
+  const gpuCounts = queries.getDimensionValues('gpu_count');
+  const testLabels = queries.getTestLabels();
 
-  const { models: selectedModels, commits, test_type } = req.query;
+  const { models: selectedModels, commits, test_type, test_label } = req.query;
+  const hardware = parseHardwareFilters(req.query);
+  const requestedMetric = parseMetric(req.query.metric);
+  const requestedAggregation = parseAggregation(req.query.agg);
+  const metric = requestedMetric || getMetric(DEFAULT_METRIC);
+  const aggregation = requestedAggregation || getAggregation(DEFAULT_AGGREGATION);
+  const abMode = Boolean(req.query.baseline || req.query.candidate);
   let comparison = [];
 
-  if (selectedModels || commits) {
+  if (!abMode && (selectedModels || commits || hardware.hosts.length || hardware.gpuModels.length || hardware.gpuCounts.length)) {
     comparison = queries.getComparisonData({
       models: selectedModels ? selectedModels.split(',') : [],
       commits: commits ? commits.split(',') : [],
-      testType: test_type || 'tg'
+      testType: test_type || 'tg',
+      testLabels: test_label ? [test_label] : [],
+      ...hardware,
+      metric: metric.key,
+      agg: aggregation.key
     });
   }
 
-  res.render('compare', { comparison, models, builds, filters: req.query });
+  // Statistical A/B comparison (baseline vs candidate)
+  let ab = null;
+  let abError = null;
+  // A/B tests compare t/s samples; an unknown metric or aggregation is not silently dropped either
+  if (abMode && (!requestedMetric || !requestedAggregation ||
+    metric.key !== DEFAULT_METRIC || aggregation.key !== DEFAULT_AGGREGATION)) {
+    abError = 'Metric and aggregation do not apply to A/B tests, which compare t/s samples';
+  } else if (abMode) {
+    try {
+      const { groupBy, ...abHardware } = hardware;
+      ab = compareAB({
+        baseline: req.query.baseline,
+        candidate: req.query.candidate,
+        dimension: req.query.dimension || 'build_commit',
+        alpha: parseFloat(req.query.alpha) || undefined,
+        models: selectedModels ? selectedModels.split(',') : [],
+        testTypes: req.query.ab_test_type ? [req.query.ab_test_type] : [],
+        testLabels: req.query.ab_test_label ? [req.query.ab_test_label] : [],
+        ...abHardware
+      });
+    } catch (error) {
+      abError = error.message;
+    }
+  }
+
+  const columnLabels = {
+    model_filename: 'Model', test_type: 'Type', test_label: 'Test', gpu_info: 'GPU', cpu_info: 'CPU',
+    build_commit: 'Build', build_number: 'Build #', host: 'Host',
+    ...Object.fromEntries(DIMENSIONS.map(d => [d.key, d.label]))
+  };
+  const abDimensions = Object.keys(queries.AB_DIMENSIONS)
+    .filter(key => key !== 'host_id')
+    .map(key => ({ key, label: columnLabels[key] || key }));
+
+  const exportQuery = buildQueryString({
+    models: selectedModels,
+    commits,
+    test_type: test_type || 'tg',
+    test_label,
+    hosts: hardware.hosts,
+    gpu_models: hardware.gpuModels,
+    gpu_counts: hardware.gpuCounts
+  });
+
+  res.render('compare', {
+    comparison, metric, metrics: METRICS, aggregation, aggregations: AGGREGATIONS, chartValue: describeValue(metric, aggregation), models, builds, testLabels, hosts, gpuModels, gpuCounts, hardware,
+    abMode, ab, abError, abDimensions, columnLabels, exportQuery,
+    showCommits: abMode && (req.query.dimension || 'build_commit') === 'build_commit' &&
+      Boolean(req.query.baseline && req.query.candidate) && isBuildSyncConfigured(),
+    filters: req.query
+  });
 });
 
 /**
  * GET /partials/table - HTMX partial for benchmark table.
- * Returns only the table HTML for dynamic updates.
+ * Returns only the table HTML for dynamic updates; accepts the same
+ * parameters as GET /benchmarks.
  * @name PartialsTable
  * @route {GET} /partials/table
- * @queryparam {number} [limit=50] - Results per page
- * @queryparam {number} [offset=0] - Pagination offset
- * @queryparam {string} [model] - Filter by model
- * @queryparam {string} [commit] - Filter by commit
- * @queryparam {string} [test_type] - Filter by test type
  */
 router.get('/partials/table', (req, res) => {
-  const { limit, offset, model, commit, test_type } = req.query;
-  const benchmarks = queries.getBenchmarks({
-    limit: parseInt(limit) || 50,
-    offset: parseInt(offset) || 0,
-    model,
-    commit,
-    testType: test_type
-  }).map(formatBenchmark);
-
-  const columns = getActiveColumns(benchmarks);
-  res.render('partials/table', { benchmarks, columns, formatCell: formatCellValue });
+  const { benchmarks, columns, pagination } = loadBenchmarksTable(req);
+  res.render('partials/table', { benchmarks, columns, formatCell: formatCellValue, selectable: res.locals.auth.can('delete'), pagination });
 });
 
 /**
@@ -205,17 +610,61 @@ router.get('/partials/table', (req, res) => {
  * @queryparam {string} [model] - Filter by model
  * @queryparam {string} [test_type='tg'] - Filter by test type
  * @queryparam {string} [group_by='build_commit'] - Column to group by
+ * @queryparam {string} [metric='tps'] - Metric aggregated into value, avg_value, min_value and max_value
+ * @queryparam {string} [agg='avg'] - Aggregation of the metric into value
  * @returns {Object[]} Array of trend data points for charting
  */
 router.get('/partials/trends-chart', (req, res) => {
-  const { model, test_type, group_by } = req.query;
+  const { model, test_type, group_by, metric, agg } = req.query;
   const trends = queries.getTrends({
     model,
     testType: test_type || 'tg',
-    groupBy: group_by || 'build_commit'
+    groupBy: group_by || 'build_commit',
+    metric,
+    agg
   });
 
   res.json(trends);
 });
 
+/**
+ * GET /partials/commits - HTMX partial listing the commits between two builds.
+ * Loaded by the A/B test on /compare when a llama.cpp checkout is configured.
+ * @name PartialsCommits
+ * @route {GET} /partials/commits
+ * @queryparam {string} from - Older build commit
+ * @queryparam {string} to - Newer build commit
+ */
+router.get('/partials/commits', async (req, res) => {
+  let range = null;
+  let error = null;
+  try {
+    range = await getCommitsBetween(req.query.from, req.query.to);
+  } catch (err) {
+    error = err.message;
+  }
+  res.render('partials/commits', { from: req.query.from, to: req.query.to, range, error });
+});
+
+/**
+ * GET /partials/bisect - HTMX partial with the bisect state of /bisect.
+ * Accepts the same parameters as GET /bisect.
+ * @name PartialsBisect
+ * @route {GET} /partials/bisect
+ */
+router.get('/partials/bisect', async (req, res) => {
+  let result = null;
+  let error = null;
+  try {
+    const id = parseInt(req.query.id, 10);
+    result = isNaN(id) ? null : await bisect({ id, good: req.query.good, bad: req.query.bad });
+    if (!result) {
+      error = 'Benchmark not found';
+    }
+  } catch (err) {
+    error = err.message;
+  }
+  res.render('partials/bisect', { result, error, updatedAt: new Date().toISOString() });
+});
+
 module.exports = router;
@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llama-bench-test-'));
+process.env.DB_PATH = path.join(dir, 'benchmarks.db');
+process.env.BACKUP_DIR = path.join(dir, 'backups');
+
+const { initialize } = require('../src/db');
+const queries = require('../src/db/queries');
+const backup = require('../src/db/backup');
+const { transformBenchmark } = require('../src/models/benchmark');
+const { EXPORT_FORMATS } = require('../src/models/export');
+
+/** @type {Object} llama-bench JSON record */
+const TIMED_RECORD = {
+  build_commit: 'a1b2c3d', build_number: 4000, test_time: '2026-01-02T03:04:05Z',
+  cpu_info: 'AMD Ryzen 9 7950X', gpu_info: 'NVIDIA GeForce RTX 4090', backends: 'CUDA',
+  model_filename: 'models/llama-2-7b.Q4_0.gguf', model_type: 'llama 7B Q4_0',
+  model_size: 3825065984, model_n_params: 6738415616,
+  n_prompt: 512, n_gen: 0, n_batch: 2048, n_ubatch: 512, n_threads: 16, n_gpu_layers: 99,
+  avg_ts: 10500.25, stddev_ts: 35.5, samples_ts: [10480.1, 10520.4]
+};
+
+/** @type {Object} Record as parsed from a markdown table: no file name, test time or samples */
+const MARKDOWN_RECORD = {
+  model_filename: 'llama 7B Q4_0', model_type: 'llama 7B Q4_0', backends: 'CUDA',
+  n_prompt: 0, n_gen: 128, n_gpu_layers: 99, avg_ts: 150.5, stddev_ts: 0.75
+};
+
+/**
+ * Write an export of every stored row, as GET /api/export does.
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {string} Path of the written file
+ */
+function writeExport(format) {
+  const { header, row, footer, extension } = EXPORT_FORMATS[format];
+  let text = header(queries.getBenchmarkColumns());
+  let written = 0;
+  for (const benchmark of queries.iterateBenchmarksFiltered({ testTypes: [], limit: -1 })) {
+    text += row(benchmark, written++);
+  }
+  const file = path.join(dir, `export.${extension}`);
+  fs.writeFileSync(file, text + footer(written));
+  return file;
+}
+
+before(() => {
+  initialize();
+  queries.insertBenchmarks([TIMED_RECORD, MARKDOWN_RECORD].map(transformBenchmark), { run: { name: 'original' } });
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+for (const format of ['jsonl', 'json']) {
+  test(`restoring a ${format} export into the same database skips every row`, async () => {
+    const result = await backup.mergeFile(writeExport(format));
+    assert.deepStrictEqual(result, { runs: 0, inserted: 0, skipped_duplicates: 2, rejected: 0 });
+  });
+}
+
+test('restoring a backup into the same database skips every row', async () => {
+  const created = await backup.createBackup();
+  const result = await backup.mergeFile(created.path);
+  assert.deepStrictEqual(result, { runs: 0, inserted: 0, skipped_duplicates: 2, rejected: 0 });
+});
+
+test('re-submitting a markdown result with new measurements stores it', () => {
+  const result = queries.insertBenchmarks([transformBenchmark({ ...MARKDOWN_RECORD, avg_ts: 149.25 })]);
+  assert.strictEqual(result.inserted, 1);
+});